@@ -13,18 +13,34 @@
  * - Affichages multiples : semaine, semaine complète, jour
  */
 
-import React, { useState, useEffect } from 'react';
-import { StyleSheet, Text, View, ScrollView, TouchableOpacity, Alert, Modal, useColorScheme, StatusBar, Linking, AppState } from 'react-native';
+import React, { useState, useEffect, useRef } from 'react';
+import { StyleSheet, Text, View, ScrollView, SectionList, TouchableOpacity, Alert, Modal, useColorScheme, StatusBar, Linking, AppState, TextInput, Platform } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Ionicons } from '@expo/vector-icons';
-import ICAL from 'ical.js';
 import { SafeAreaProvider, useSafeAreaInsets } from 'react-native-safe-area-context';
 import * as Clipboard from 'expo-clipboard';
 
 import { genCalendar, getLogs, clearLogs } from './adeApi';
+import { getChangeLog, clearChangeLog, getChangesSeenAt, markChangesSeen } from './calendarChanges';
+import { parseGlobalICS, filterGlobalEvents, filterLoadedEvents, filterLoadedSources, groupEventsByDay, summarizeDay, getHourRange, DEFAULT_HOUR_RANGE, getSelectionLabel, getEventTeachers } from './calendarData';
+import { DESCRIPTION_FIXTURES, checkDescriptionFixtures } from './adeDescription';
+import { loadStoredWeeks, loadAllStoredEvents, getStoredLists, clearEventStore, resetEventStoreCache, getLoadedDayEvents, getStoredWeekKeys, getWeekKey, getDayKey, getWeekKeysAround } from './eventStore';
+import { storeGlobalEvents, syncGlobalCalendar, registerBackgroundSync, getSyncStatus, FRESH_SYNC_MINUTES } from './calendarSync';
+import {
+  ensureNotificationPermission, loadNotificationSettings, scheduleCourseReminders, cancelCourseReminders,
+  loadOngoingSetting, saveOngoingSetting, updateOngoingNotification, clearOngoingNotification,
+  loadChangeAlertSettings, saveChangeAlertSettings, getChangeAlertKey, DEFAULT_CHANGE_ALERTS
+} from './notifications';
+import { shareEventsAsICS } from './icsExport';
+import { getFeeds, setFeedEnabled, changeFeedsDirectory, removeAllFeeds } from './calendarFeeds';
+import { getCatalog, loadCatalog, installCatalog, resetCatalog, getDefaultSelection, organizeEventGroups } from './groupCatalog';
+import { DEPARTMENTS, getActiveDepartment, loadDepartment, saveDepartment, formatLocation } from './departments';
+import { findFreeRooms, computeRoomOccupancy, getAverageOccupancy, AFTERNOON_START, DAY_END_HOUR } from './roomAvailability';
+import { findCommonFreeSlots, suggestRoomForSlot } from './commonSlots';
+import { getDayInfo, isHolidayWeek, getHolidaysBetween, getSemesterLabel, getMissingSchoolYears, loadSchoolCalendars, installSchoolCalendar, resetSchoolCalendars, getSchoolCalendarYears } from './schoolCalendar';
+import { updateHomeWidget, loadWidgetSource, saveWidgetSource } from './homeWidget';
 
 import * as Notifications from 'expo-notifications';
-import * as Device from 'expo-device';
 
 // --- CONFIGURATION NOTIFICATIONS ---
 Notifications.setNotificationHandler({
@@ -39,19 +55,21 @@ Notifications.setNotificationHandler({
 // CONFIGURATION
 // ===============================================================================================
 
-/**
- * Mapping des groupes GEII par année
- * Chaque groupe a un ID unique dans le système ADE
- */
-const groupIDs = {
-  'BUT1': { 'A1': 10767, 'A2': 10768, 'B1': 10769, 'B2': 10770, 'C1': 10771, 'C2': 10772, 'D1': 10773, 'D2': 10776, 'M1': 10448 },
-  'BUT2': { 'AII1': 10485, 'AII2': 10515, 'EME1': 10896, 'EME2': 11032, 'ESE1': 10464, 'ESE2': 10932 },
-  'BUT3': { 'AII1': 10538, 'AII2': 10459, 'EME1': 10982, 'EME2': 11014, 'ESE1': 10969, 'ESE2': 10970 },
-};
-
 /** Abréviations des jours de la semaine */
 const daysOfWeekShort = ['Lun', 'Mar', 'Mer', 'Jeu', 'Ven', 'Sam', 'Dim'];
 
+/** Mois de rentrée (septembre) : début de la frise de l'année scolaire */
+const SCHOOL_YEAR_START_MONTH = 8;
+
+/** Largeur d'une semaine dans la frise de l'année scolaire (marges comprises) */
+const WEEK_CHIP_WIDTH = 60;
+
+/** Nombre maximum de semaines de vacances sautées d'un coup (vacances d'été) */
+const MAX_SKIPPED_WEEKS = 10;
+
+/** Nombre maximum de pastilles de cours dans une case de la vue mois */
+const MONTH_MAX_DOTS = 4;
+
 /**
  * Configuration des thèmes
  * Ajout de la propriété 'boxText' pour le texte dans les encadrés
@@ -156,6 +174,12 @@ const themes = {
   }
 };
 
+/** Couleurs de la vue superposée (la première est celle de la sélection principale) */
+const OVERLAY_COLORS = ['#4dabf7', '#ff922b', '#51cf66', '#cc5de8'];
+
+/** Nombre maximum de sélections superposées à la sélection principale */
+const MAX_OVERLAYS = OVERLAY_COLORS.length - 1;
+
 /** Version de l'application */
 const APP_VERSION = "v1.4.0";
 
@@ -163,88 +187,6 @@ const APP_VERSION = "v1.4.0";
 // FONCTIONS UTILITAIRES
 // ===============================================================================================
 
-/**
- * Parse le fichier .ics et retourne TOUS les événements du calendrier global
- * @param {string} url - URL du fichier .ics à télécharger
- * @returns {Promise<Array>} Tableau d'événements parsés
- */
-async function parseGlobalICS(url) {
-  try {
-    console.log("📥 Téléchargement du calendrier global...");
-    const response = await fetch(url);
-    if (!response.ok) throw new Error(`Erreur HTTP: ${response.status}`);
-    
-    const icsText = await response.text();
-    const jcalData = ICAL.parse(icsText);
-    const comp = new ICAL.Component(jcalData);
-    const vevents = comp.getAllSubcomponents('vevent');
-
-    console.log(`✅ ${vevents.length} événements parsés`);
-
-    const events = vevents.map(vevent => {
-      const event = new ICAL.Event(vevent);
-      const description = vevent.getFirstPropertyValue('description') || '';
-      const location = vevent.getFirstPropertyValue('location') || 'Salle inconnue';
-      
-      let cleanSummary = event.summary;
-      
-      // Extraction du type de cours (CM, TD, TP)
-      const typeMatch = cleanSummary.match(/\b(CM|TD|TP)\b/i);
-      const courseType = typeMatch ? typeMatch[1].toUpperCase() : 'Autre';
-     
-      // Extraction du nom du cours (ex: R101, S104)
-      const nameMatch = cleanSummary.match(/\b([A-Z]{2,5}[0-9])\b/i);
-      const courseName = nameMatch ? nameMatch[1].toUpperCase() : 'Inconnu';
-      
-      // Nettoyage du titre (suppression des groupes)
-      const groupRegex = /Gr (?:[A-Z]{2,4}[0-9]?|[A-Z][0-9]?)/;
-      cleanSummary = cleanSummary.replace(groupRegex, '').trim();
-
-      // Parse de la description complète
-      let fullDescription = description.replace(/\\n/g, '\n').trim();
-      
-      const descriptionLines = fullDescription.split('\n').filter(line => line.trim() !== '');
-      const timeLogLine = descriptionLines.find(line => line.startsWith('(Exported'));
-      const teacherLine = descriptionLines[descriptionLines.indexOf(timeLogLine) - 1];
-      const groupLines = descriptionLines.slice(0, descriptionLines.indexOf(teacherLine));
-      
-      return {
-        title: cleanSummary,
-        location: location,
-        start: event.startDate.toJSDate(),
-        end: event.endDate.toJSDate(),
-        fullDescription: fullDescription,
-        groups: groupLines,
-        teacher: teacherLine,
-        timeLog: timeLogLine,
-        courseType,
-        courseName,
-      };
-    });
-
-    events.sort((a, b) => a.start - b.start);
-    return events;
-  } catch (error) {
-    console.error("❌ Erreur parsing ICS global:", error);
-    throw error;
-  }
-}
-
-/**
- * Extrait une liste unique et triée (ex: liste des profs)
- */
-function getUniqueList(events, field) {
-  const items = new Set();
-  events.forEach(event => {
-    if (event[field] && event[field].trim() !== '') {
-      // Nettoyage basique (enlever les sauts de ligne)
-      const val = event[field].replace(/\n/g, ' ').trim();
-      items.add(val);
-    }
-  });
-  return Array.from(items).sort((a, b) => a.localeCompare(b));
-}
-
 /**
  * Groupe une liste de noms par première lettre (pour l'affichage alphabétique)
  */
@@ -259,52 +201,49 @@ function groupAlphabetically(list) {
 }
 
 /**
- * Groupe les salles par étage (Rez-de-chaussée, Étage 1, Étage 2, Autres)
+ * Groupe les salles par étage (Rez-de-chaussée, Étage 1, Étage 2..., Autres)
+ * @param {Array<string>} list - Salles
+ * @param {Object} roomNaming - Règle de nommage des salles du département
  */
-function groupRoomsByFloor(list) {
-  const groups = {
-    'Rez-de-chaussée': [],
-    'Étage 1': [],
-    'Étage 2': [],
-    'Autres': []
+function groupRoomsByFloor(list, roomNaming = getActiveDepartment().roomNaming) {
+  const groups = {};
+  const addTo = (key, room) => {
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(room);
   };
 
   list.forEach(room => {
     const upperRoom = room.toUpperCase().trim();
     
-    // CAS SPÉCIFIQUE : SEUL "GR W AMPHI" va au RdC
-    if (upperRoom.includes('GR W AMPHI') || upperRoom === 'W AMPHI') {
-      groups['Rez-de-chaussée'].push(room);
+    // CAS SPÉCIFIQUE : salles forcées au RdC (ex: "GR W AMPHI")
+    if (roomNaming.groundFloorRooms.some(name => upperRoom.includes(name))) {
+      addTo('Rez-de-chaussée', room);
       return; 
     }
 
-    // Regex pour capturer le numéro après GR W
-    const match = upperRoom.match(/GR\s*W\s*(\d{3})/);
+    // Regex du département pour capturer le chiffre de l'étage
+    const match = upperRoom.match(roomNaming.floorPattern);
 
     if (match && match[1]) {
-      const number = match[1];
-      if (number.startsWith('0')) groups['Rez-de-chaussée'].push(room);
-      else if (number.startsWith('1')) groups['Étage 1'].push(room);
-      else if (number.startsWith('2')) groups['Étage 2'].push(room);
-      else groups['Autres'].push(room);
+      const floor = parseInt(match[1], 10);
+      if (floor === 0) addTo('Rez-de-chaussée', room);
+      else if (floor <= roomNaming.maxFloor) addTo(`Étage ${floor}`, room);
+      else addTo('Autres', room);
     } else {
-      groups['Autres'].push(room);
+      addTo('Autres', room);
     }
   });
 
-  // Nettoyage et Tri Spécial
+  // Tri Spécial
   Object.keys(groups).forEach(key => {
-    if (groups[key].length === 0) delete groups[key];
-    else {
-      groups[key].sort(); // D'abord on trie tout (001, 002, Amphi...)
-
-      // SI on est au RDC, on force l'Amphi en PREMIER
-      if (key === 'Rez-de-chaussée') {
-        const amphiIndex = groups[key].findIndex(r => r.toUpperCase().includes('AMPHI'));
-        if (amphiIndex > -1) {
-          const amphi = groups[key].splice(amphiIndex, 1)[0]; // On le retire de sa place
-          groups[key].unshift(amphi); // On le met tout au début
-        }
+    groups[key].sort(); // D'abord on trie tout (001, 002, Amphi...)
+
+    // SI on est au RDC, on force l'Amphi en PREMIER
+    if (key === 'Rez-de-chaussée') {
+      const amphiIndex = groups[key].findIndex(r => r.toUpperCase().includes('AMPHI'));
+      if (amphiIndex > -1) {
+        const amphi = groups[key].splice(amphiIndex, 1)[0]; // On le retire de sa place
+        groups[key].unshift(amphi); // On le met tout au début
       }
     }
   });
@@ -313,42 +252,97 @@ function groupRoomsByFloor(list) {
 }
 
 /**
- * Filtre Universel : Gère Étudiants, Profs et Salles avec le même fichier
- * @param {Array} allEvents - La totalité du calendrier
- * @param {string} type - 'student', 'teacher', ou 'room'
- * @param {Object} criteria - { year, group } pour student, ou la chaîne de caractère pour teacher/room
+ * Ordre d'affichage des étages (clés de groupRoomsByFloor) : RdC, étages croissants, Autres
+ * @param {Object} grouped - Résultat de groupRoomsByFloor
+ * @returns {Array<string>} Étages triés
  */
-function filterGlobalEvents(allEvents, type, criteria) {
-  if (!allEvents) return [];
-
-  return allEvents.filter(event => {
-    // --- FILTRE ÉTUDIANT ---
-    if (type === 'student') {
-      const { year, group } = criteria;
-      // Cas Spécifique BUT1
-      if (year === 'BUT1') {
-        return event.groups.some(g => g.trim() === group);
-      } 
-      // Cas BUT2 et BUT3
-      else {
-        const searchPattern = `${year}A_${group}`; 
-        return event.groups.some(g => g.includes(searchPattern));
-      }
-    }
-    
-    // --- FILTRE PROFESSEUR ---
-    else if (type === 'teacher') {
-      // On vérifie si le nom du prof est dans la ligne teacher
-      return event.teacher && event.teacher.toUpperCase().includes(criteria.toUpperCase()); 
+function getFloorOrder(grouped) {
+  const rank = (key) => {
+    if (key === 'Rez-de-chaussée') return 0;
+    if (key === 'Autres') return Infinity;
+    return parseInt(key.replace('Étage ', ''), 10);
+  };
+  return Object.keys(grouped).sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Raccourcit le nom d'une salle pour l'affichage (ex: "GR W 104" -> "104")
+ * @param {string} room - Nom complet de la salle
+ * @param {Object} roomNaming - Règle de nommage des salles du département
+ */
+function getRoomDisplayName(room, roomNaming = getActiveDepartment().roomNaming) {
+  const upperRoom = room.toUpperCase();
+  const alias = Object.keys(roomNaming.aliases).find(key => upperRoom.includes(key));
+  if (alias) return roomNaming.aliases[alias];
+  if (roomNaming.floorPattern.test(upperRoom)) return room.replace(roomNaming.stripPrefix, '');
+  return room.replace(/^GR\s*/i, '');
+}
+
+/**
+ * Calcule la disposition en sous-colonnes des événements simultanés d'une journée
+ * Les événements qui se chevauchent (directement ou en chaîne) forment un groupe
+ * dont la largeur est partagée en sous-colonnes de même taille.
+ * Au-delà de maxColumns, la dernière sous-colonne devient un bloc "+N".
+ * @param {Array} dayEvents - Événements d'une même journée
+ * @param {number} maxColumns - Nombre maximum de sous-colonnes lisibles
+ * @returns {Object} { placed: [{ event, column, columns }], overflows: [{ column, columns, start, end, events }] }
+ */
+function layoutOverlappingEvents(dayEvents, maxColumns = 3) {
+  const placed = [];
+  const overflows = [];
+  if (!dayEvents || dayEvents.length === 0) return { placed, overflows };
+
+  // Tri par début, puis les plus longs d'abord pour stabiliser les colonnes
+  const sorted = [...dayEvents].sort((a, b) => (a.start - b.start) || (b.end - a.end));
+
+  let cluster = [];
+  let columnEnds = [];
+  let clusterEnd = 0;
+
+  const flushCluster = () => {
+    const columns = columnEnds.length;
+
+    if (columns <= maxColumns) {
+      cluster.forEach(({ event, column }) => placed.push({ event, column, columns }));
+    } else {
+      // Trop dense : on garde (maxColumns - 1) colonnes et on regroupe le reste
+      const hidden = [];
+      cluster.forEach(({ event, column }) => {
+        if (column < maxColumns - 1) placed.push({ event, column, columns: maxColumns });
+        else hidden.push(event);
+      });
+      overflows.push({
+        column: maxColumns - 1,
+        columns: maxColumns,
+        start: new Date(Math.min(...hidden.map(e => e.start.getTime()))),
+        end: new Date(Math.max(...hidden.map(e => e.end.getTime()))),
+        events: hidden,
+      });
     }
-    
-    // --- FILTRE SALLE ---
-    else if (type === 'room') {
-      return event.location && event.location.toUpperCase().includes(criteria.toUpperCase());
+
+    cluster = [];
+    columnEnds = [];
+  };
+
+  sorted.forEach(event => {
+    // Nouveau groupe si l'événement commence après la fin de tous les précédents
+    if (cluster.length > 0 && event.start.getTime() >= clusterEnd) flushCluster();
+
+    // Première sous-colonne libre, sinon on en ouvre une nouvelle
+    let column = columnEnds.findIndex(end => end <= event.start.getTime());
+    if (column === -1) {
+      column = columnEnds.length;
+      columnEnds.push(event.end.getTime());
+    } else {
+      columnEnds[column] = event.end.getTime();
     }
-    
-    return false;
+
+    cluster.push({ event, column });
+    clusterEnd = cluster.length === 1 ? event.end.getTime() : Math.max(clusterEnd, event.end.getTime());
   });
+  flushCluster();
+
+  return { placed, overflows };
 }
 
 /**
@@ -365,6 +359,21 @@ const getContrastColor = (hexcolor) => {
   return (yiq >= 128) ? '#000' : '#fff';
 };
 
+/**
+ * Formate l'ancienneté de la dernière actualisation (ex: "à jour il y a 5 min")
+ * @param {Date} date - Date de la dernière actualisation réussie
+ * @param {number} now - Timestamp de référence
+ * @returns {string} Libellé relatif
+ */
+const formatSyncAge = (date, now = Date.now()) => {
+  const minutes = Math.floor((now - date.getTime()) / 60000);
+  if (minutes < 1) return "à jour à l'instant";
+  if (minutes < 60) return `à jour il y a ${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `à jour il y a ${hours}h`;
+  return `à jour il y a ${Math.floor(hours / 24)} j`;
+};
+
 /**
  * Calcule le numéro de semaine ISO 8601 d'une date
  * @param {Date} date - Date à analyser
@@ -385,9 +394,15 @@ const getWeekNumber = (date) => {
 /**
  * Modal Universelle de Sélection (Corrigée pour Solarized)
  */
-const UniversalSelectionModal = ({ visible, onClose, onSelect, theme, availableRooms, favorites = [], allEvents }) => {
+const UniversalSelectionModal = ({ visible, onClose, onSelect, onOpenRoomFinder, onOpenRoomHeatmap, theme, catalog, availableRooms, availableTeachers = [], favorites = [] }) => {
   const [tab, setTab] = useState('student');
   const [showFreeOnly, setShowFreeOnly] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+
+  /**
+   * Normalise une chaîne pour la recherche (minuscules, sans accents)
+   */
+  const normalize = (str) => str.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
 
   const isFav = (type, value) => {
     return favorites.some(f => {
@@ -398,11 +413,15 @@ const UniversalSelectionModal = ({ visible, onClose, onSelect, theme, availableR
   };
 
   // Rendu de l'onglet Étudiant
-  const renderStudentTab = () => (
+  const renderStudentTab = () => catalog.years.length === 0 ? (
+    <Text style={{ color: theme.modalText, padding: 20, textAlign: 'center' }}>
+      Aucun groupe connu pour ce département : importez un catalogue des groupes.
+    </Text>
+  ) : (
     <View style={styles.groupTable}>
-      {Object.keys(groupIDs).map(year => (
+      {catalog.years.map(year => (
         <View 
-          key={year} 
+          key={year.key} 
           style={[
             styles.groupColumn,
             { 
@@ -411,14 +430,14 @@ const UniversalSelectionModal = ({ visible, onClose, onSelect, theme, availableR
             }
           ]}
         >
-          <Text style={[styles.groupYearTitle, { color: theme.boxText || theme.modalText }]}>{year}</Text>
+          <Text style={[styles.groupYearTitle, { color: theme.boxText || theme.modalText }]}>{year.label}</Text>
           
-          {Object.keys(groupIDs[year]).map(groupName => {
-            const value = { year, group: groupName };
+          {year.groups.map(group => {
+            const value = { year: year.key, group: group.key };
             const fav = isFav('student', value);
             return (
               <TouchableOpacity 
-                key={groupName} 
+                key={group.key} 
                 style={[
                   styles.groupButton, 
                   { 
@@ -431,7 +450,7 @@ const UniversalSelectionModal = ({ visible, onClose, onSelect, theme, availableR
                 onPress={() => onSelect('student', value)}
               >
                 {/* MODIF ICI : Utilisation de modalText au lieu de buttonText */}
-                <Text style={[styles.groupButtonText, { color: theme.modalText }]}>{groupName}</Text>
+                <Text style={[styles.groupButtonText, { color: theme.modalText }]}>{group.label}</Text>
                 {fav && <Ionicons name="star" size={12} color="#FFD700" style={{ marginLeft: 5 }} />}
               </TouchableOpacity>
             );
@@ -449,7 +468,7 @@ const UniversalSelectionModal = ({ visible, onClose, onSelect, theme, availableR
     // On cherche toutes les salles occupées dans cet intervalle
     const occupiedSet = new Set();
     
-    allEvents.forEach(event => {
+    getLoadedDayEvents(now).forEach(event => {
       // Si l'événement chevauche la période [Maintenant -> Future]
       // (Commence avant la fin de la période ET termine après le début de la période)
       if (event.start < future && event.end > now) {
@@ -473,8 +492,43 @@ const UniversalSelectionModal = ({ visible, onClose, onSelect, theme, availableR
       listToDisplay = getFreeRooms();
     }
 
+    // Recherche par nom (Enseignants)
+    if (type === 'teacher' && searchQuery.trim() !== '') {
+      const query = normalize(searchQuery.trim());
+      listToDisplay = listToDisplay.filter(item => normalize(item).includes(query));
+    }
+
+    // Champ de recherche (Visible uniquement pour les enseignants)
+    const searchBar = type === 'teacher' && (
+      <View style={{ flexDirection: 'row', alignItems: 'center', width: '100%', marginBottom: 15, paddingHorizontal: 10, borderRadius: 8, backgroundColor: theme.buttonBackground }}>
+        <Ionicons name="search" size={18} color={theme.buttonText} style={{ opacity: 0.6, marginRight: 8 }} />
+        <TextInput
+          value={searchQuery}
+          onChangeText={setSearchQuery}
+          placeholder="Rechercher un enseignant..."
+          placeholderTextColor={theme.modalText + '80'}
+          autoCorrect={false}
+          style={{ flex: 1, paddingVertical: 8, color: theme.buttonText }}
+        />
+        {searchQuery.length > 0 && (
+          <TouchableOpacity onPress={() => setSearchQuery('')}>
+            <Ionicons name="close-circle" size={18} color={theme.buttonText} style={{ opacity: 0.6 }} />
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+
+    // Le champ de recherche reste au même endroit de l'arbre quel que soit le résultat :
+    // il n'est pas recréé (et le clavier reste ouvert) quand la liste devient vide
+    const withSearchBar = (content) => (
+      <View style={{ width: '100%' }}>
+        {searchBar}
+        {content}
+      </View>
+    );
+
     if (!listToDisplay || listToDisplay.length === 0) {
-      return (
+      return withSearchBar(
         <View style={{ width: '100%', alignItems: 'center', marginTop: 20 }}>
           {type === 'room' && showFreeOnly && (
              // Si on filtre et qu'il n'y a rien, on affiche le switch quand même pour pouvoir l'enlever
@@ -494,7 +548,9 @@ const UniversalSelectionModal = ({ visible, onClose, onSelect, theme, availableR
           <Text style={{color: theme.modalText, padding: 20, textAlign: 'center'}}>
             {type === 'room' && showFreeOnly 
               ? "Aucune salle libre trouvée pour les 15 prochaines minutes occupied." 
-              : "Aucune donnée disponible."}
+              : (type === 'teacher' && searchQuery.trim() !== '')
+                ? "Aucun enseignant ne correspond à la recherche."
+                : "Aucune donnée disponible."}
           </Text>
         </View>
       );
@@ -505,16 +561,15 @@ const UniversalSelectionModal = ({ visible, onClose, onSelect, theme, availableR
 
     if (type === 'room') {
       grouped = groupRoomsByFloor(listToDisplay);
-      const floorOrder = ['Rez-de-chaussée', 'Étage 1', 'Étage 2', 'Autres'];
-      sortedKeys = floorOrder.filter(key => grouped[key]);
+      sortedKeys = getFloorOrder(grouped);
     } else {
       grouped = groupAlphabetically(listToDisplay);
       sortedKeys = Object.keys(grouped).sort();
     }
 
-    return (
-      <ScrollView style={{ width: '100%', maxHeight: 400 }}>
-        
+    return withSearchBar(
+      <ScrollView style={{ width: '100%', maxHeight: 400 }} keyboardShouldPersistTaps="handled">
+
         {/* --- LE BOUTON SWITCH (Visible uniquement pour les salles) --- */}
         {type === 'room' && (
           <View style={{ 
@@ -567,6 +622,26 @@ const UniversalSelectionModal = ({ visible, onClose, onSelect, theme, availableR
           </View>
         )}
 
+        {/* Outils salles : recherche sur un créneau précis et carte d'occupation */}
+        {type === 'room' && (
+          <View style={{ flexDirection: 'row', marginBottom: 20 }}>
+            <TouchableOpacity
+              onPress={onOpenRoomFinder}
+              style={{ flex: 1, flexDirection: 'row', alignItems: 'center', justifyContent: 'center', marginRight: 5, paddingVertical: 10, borderRadius: 8, backgroundColor: theme.buttonBackground }}
+            >
+              <Ionicons name="search-outline" size={18} color={theme.buttonText} style={{ marginRight: 8 }} />
+              <Text style={{ color: theme.buttonText, fontWeight: 'bold' }}>Salle libre</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={onOpenRoomHeatmap}
+              style={{ flex: 1, flexDirection: 'row', alignItems: 'center', justifyContent: 'center', marginLeft: 5, paddingVertical: 10, borderRadius: 8, backgroundColor: theme.buttonBackground }}
+            >
+              <Ionicons name="grid-outline" size={18} color={theme.buttonText} style={{ marginRight: 8 }} />
+              <Text style={{ color: theme.buttonText, fontWeight: 'bold' }}>Occupation</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
         {sortedKeys.map(key => (
           <View key={key} style={{ width: '100%', marginBottom: 15 }}>
             <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 5 }}>
@@ -576,12 +651,7 @@ const UniversalSelectionModal = ({ visible, onClose, onSelect, theme, availableR
             
             <View style={{ flexDirection: 'row', flexWrap: 'wrap' }}>
               {grouped[key].map((item, index) => {
-                let displayName = item;
-                if (type === 'room') {
-                  if (item.toUpperCase().includes('GR W AMPHI')) displayName = "Amphi Geii (W)"; 
-                  else if (/GR\s*W\s*\d/.test(item.toUpperCase())) displayName = item.replace(/^GR\s*W\s*/i, '');
-                  else displayName = item.replace(/^GR\s*/i, '');
-                }
+                const displayName = type === 'room' ? getRoomDisplayName(item) : item;
 
                 const fav = isFav(type, item);
 
@@ -620,12 +690,12 @@ const UniversalSelectionModal = ({ visible, onClose, onSelect, theme, availableR
         <View style={[styles.modalContent, { backgroundColor: theme.modalBackground, maxHeight: '90%' }]}>
           
           <View style={{ flexDirection: 'row', marginBottom: 20, width: '100%', justifyContent: 'center' }}>
-            {['student', 'room'].map(t => {
-              const labels = { student: 'Étudiants', room: 'Salles' };
+            {['student', 'teacher', 'room'].map(t => {
+              const labels = { student: 'Étudiants', teacher: 'Enseignants', room: 'Salles' };
               const isActive = tab === t;
               return (
                 <TouchableOpacity 
-                  key={t} onPress={() => setTab(t)}
+                  key={t} onPress={() => { setTab(t); setSearchQuery(''); }}
                   style={{ 
                     paddingVertical: 8, paddingHorizontal: 12, 
                     borderBottomWidth: isActive ? 3 : 0, borderColor: theme.text, marginHorizontal: 5
@@ -640,6 +710,7 @@ const UniversalSelectionModal = ({ visible, onClose, onSelect, theme, availableR
           </View>
 
           {tab === 'student' && renderStudentTab()}
+          {tab === 'teacher' && renderList(availableTeachers, 'teacher')}
           {tab === 'room' && renderList(availableRooms, 'room')}
 
           <View style={styles.buttonContainer}>
@@ -654,94 +725,176 @@ const UniversalSelectionModal = ({ visible, onClose, onSelect, theme, availableR
 };
 
 /**
- * Modal de sélection du thème
+ * Modal "Salle libre" : salles disponibles sur toute une fenêtre (jour, début, durée)
  */
-const ThemeSelectionModal = ({ visible, onClose, onBack, onSelectTheme, theme, themePreference }) => {
-  
-  // Helper pour le rendu d'un bouton de thème
-  const renderThemeButton = (label, value, previewColor = null, icon = null) => { // Ajout de previewColor et icon
-    const isSelected = themePreference === value;
-    return (
-      <TouchableOpacity 
-        style={[
-          styles.menuButton, 
-          { 
-            backgroundColor: theme.buttonBackground,
-            flexDirection: 'row', 
-            alignItems: 'center', 
-            justifyContent: 'center' 
-          }, 
-          isSelected && styles.selectedButton
-        ]} 
-        onPress={() => onSelectTheme(value)}
-      >
-        {/* MODIF ICI : Affichage de la pastille de couleur OU de l'icône */}
-        {previewColor ? (
-          <View style={{ 
-            width: 20, 
-            height: 20, 
-            borderRadius: 10, 
-            backgroundColor: previewColor, 
-            marginRight: 10,
-            borderWidth: 1, // Petite bordure pour la démarquer
-            borderColor: theme.borderColor
-          }} />
-        ) : (
-          icon && (
-            <Ionicons 
-              name={icon} 
-              size={20} 
-              color={theme.buttonText} 
-              style={{ marginRight: 10 }} 
-            />
-          )
-        )}
-        
-        <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>{label}</Text>
-      </TouchableOpacity>
-    );
+const RoomFinderModal = ({ visible, onClose, onBack, onSelectRoom, onDayChange, availableRooms, theme }) => {
+  const padZero = (num) => num < 10 ? `0${num}` : num;
+  const formatTime = (date) => `${padZero(date.getHours())}:${padZero(date.getMinutes())}`;
+  const formatMinutes = (minutes) => {
+    const h = Math.floor(minutes / 60);
+    const m = minutes % 60;
+    if (h === 0) return `${m} min`;
+    return m === 0 ? `${h}h` : `${h}h${padZero(m)}`;
+  };
+
+  // Jours proposés : les 7 prochains jours hors dimanche
+  const days = [];
+  for (let i = 0; days.length < 7; i++) {
+    const day = new Date();
+    day.setHours(0, 0, 0, 0);
+    day.setDate(day.getDate() + i);
+    if (day.getDay() !== 0) days.push(day);
+  }
+
+  // Heures de début : toutes les 30 min de 8h00 à 18h30
+  const startSlots = Array.from({ length: (DAY_END_HOUR - 8) * 2 }, (_, i) => 8 * 60 + i * 30);
+  const durations = [
+    { value: 30, label: '30 min' },
+    { value: 60, label: '1h' },
+    { value: 90, label: '1h30' },
+    { value: 120, label: '2h' },
+    { value: 180, label: '3h' },
+    { value: 'afternoon', label: "Tout l'après-midi" },
+  ];
+
+  // Par défaut : aujourd'hui, prochaine demi-heure
+  const getDefaultStart = () => {
+    const now = new Date();
+    const next = Math.ceil((now.getHours() * 60 + now.getMinutes()) / 30) * 30;
+    return startSlots.includes(next) ? next : startSlots[0];
+  };
+
+  const [dayIndex, setDayIndex] = useState(0);
+  const [startMinutes, setStartMinutes] = useState(getDefaultStart);
+  const [duration, setDuration] = useState(60);
+  // Cours du jour choisi : null pendant le chargement, 'unavailable' si le jour n'est pas dans le planning enregistré
+  const [dayEvents, setDayEvents] = useState(null);
+
+  // La semaine du jour choisi est chargée avant le calcul (sinon toutes les salles paraîtraient libres)
+  useEffect(() => {
+    if (!visible) return;
+    const day = days[dayIndex];
+    let cancelled = false;
+    setDayEvents(null);
+
+    const loadDay = async () => {
+      try {
+        if (!getStoredWeekKeys().includes(getWeekKey(day))) {
+          if (!cancelled) setDayEvents('unavailable');
+          return;
+        }
+        await onDayChange(day);
+        if (!cancelled) setDayEvents(getLoadedDayEvents(day));
+      } catch (error) {
+        console.error('Erreur chargement jour (salle libre):', error);
+        if (!cancelled) setDayEvents('unavailable');
+      }
+    };
+    loadDay();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [visible, dayIndex]);
+
+  // Fenêtre recherchée
+  const windowStart = new Date(days[dayIndex]);
+  const windowEnd = new Date(days[dayIndex]);
+  if (duration === 'afternoon') {
+    windowStart.setHours(AFTERNOON_START.hours, AFTERNOON_START.minutes, 0, 0);
+    windowEnd.setHours(DAY_END_HOUR, 0, 0, 0);
+  } else {
+    windowStart.setMinutes(startMinutes);
+    windowEnd.setMinutes(startMinutes + duration);
+  }
+
+  const isDayReady = Array.isArray(dayEvents);
+  const freeRooms = visible && isDayReady ? findFreeRooms(dayEvents, availableRooms, windowStart, windowEnd) : [];
+  const freeByRoom = new Map(freeRooms.map(r => [r.room, r]));
+  const grouped = groupRoomsByFloor(freeRooms.map(r => r.room));
+  const floors = getFloorOrder(grouped);
+
+  const renderChip = (key, label, active, onPress) => (
+    <TouchableOpacity
+      key={key}
+      onPress={onPress}
+      style={{ paddingVertical: 6, paddingHorizontal: 12, borderRadius: 15, marginRight: 8, backgroundColor: active ? '#4caf50' : theme.buttonBackground }}
+    >
+      <Text style={{ color: active ? '#fff' : theme.buttonText, fontWeight: active ? 'bold' : 'normal', fontSize: 13 }}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const formatDay = (date) => {
+    const label = date.toLocaleDateString('fr-FR', { weekday: 'short', day: 'numeric' });
+    return label.charAt(0).toUpperCase() + label.slice(1);
   };
 
   return (
     <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
       <View style={[styles.modalOverlay, { backgroundColor: theme.modalBackground === themes.dark.modalBackground ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.5)' }]}>
-        <View style={[
-          styles.menuContent, 
-          { 
-            backgroundColor: theme.modalBackground, 
-            width: '85%', 
-            maxHeight: '80%' // <--- C'est ici que la magie opère ! (Limite la hauteur)
-          }
-        ]}>
-          
-          <Text style={[styles.modalTitle, { color: theme.modalText, marginBottom: 5 }]}>Thèmes 🎨</Text>
-          
-          {/* Le ScrollView va automatiquement gérer le défilement si ça dépasse */}
-          <ScrollView style={{ width: '100%' }} showsVerticalScrollIndicator={true}>
-            
-            {/* --- SECTION CLASSIQUE --- */}
-            <Text style={{ color: theme.modalText, fontSize: 12, fontWeight: 'bold', opacity: 0.5, marginBottom: 10, marginTop: 15, textTransform: 'uppercase', letterSpacing: 1 }}>
-              Classique
-            </Text>
+        <View style={[styles.modalContent, { backgroundColor: theme.modalBackground, width: '90%', maxHeight: '90%' }]}>
+          <Text style={[styles.modalTitle, { color: theme.modalText, marginBottom: 15 }]}>Salle libre 🔍</Text>
 
-            {renderThemeButton('Appareil', 'system', null, 'phone-portrait-outline')}
-            {renderThemeButton('Jour', 'light', null, 'sunny-outline')}
-            {renderThemeButton('Nuit', 'dark', null, 'moon-outline')}
+          <View style={{ width: '100%', marginBottom: 10 }}>
+            <Text style={{ color: theme.modalText, fontWeight: 'bold', marginBottom: 6 }}>Jour</Text>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+              {days.map((day, index) => renderChip(index, formatDay(day), index === dayIndex, () => setDayIndex(index)))}
+            </ScrollView>
+          </View>
 
-            {/* --- SECTION PERSONNALISÉ --- */}
-            <Text style={{ color: theme.modalText, fontSize: 12, fontWeight: 'bold', opacity: 0.5, marginBottom: 10, marginTop: 20, textTransform: 'uppercase', letterSpacing: 1 }}>
-              Personnalisé
-            </Text>
+          {duration !== 'afternoon' && (
+            <View style={{ width: '100%', marginBottom: 10 }}>
+              <Text style={{ color: theme.modalText, fontWeight: 'bold', marginBottom: 6 }}>Début</Text>
+              <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                {startSlots.map(minutes => renderChip(minutes, `${Math.floor(minutes / 60)}h${padZero(minutes % 60)}`, minutes === startMinutes, () => setStartMinutes(minutes)))}
+              </ScrollView>
+            </View>
+          )}
 
-            {renderThemeButton('Abyss', 'abyss', themes.abyss.modalBackground)}
-            {renderThemeButton('Dark Green', 'darkgreen', '#4caf50')} 
-            {renderThemeButton('Comfy', 'comfy', '#3e3530')}
-            {renderThemeButton('Violet', 'violet', '#201a2b')}
-            {renderThemeButton('Dracula', 'dracula', '#bd93f9')}
-            {renderThemeButton('Nord', 'nord', '#88c0d0')}
-            {renderThemeButton('Solarized', 'solarized', '#b58900')}
-            {renderThemeButton('Monokai', 'monokai', '#f92672')}
+          <View style={{ width: '100%', marginBottom: 10 }}>
+            <Text style={{ color: theme.modalText, fontWeight: 'bold', marginBottom: 6 }}>Durée</Text>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+              {durations.map(d => renderChip(d.value, d.label, d.value === duration, () => setDuration(d.value)))}
+            </ScrollView>
+          </View>
+
+          <Text style={{ color: theme.modalText, opacity: 0.6, fontSize: 12, marginBottom: 10, textAlign: 'center' }}>
+            {dayEvents === null && 'Chargement du planning...'}
+            {dayEvents === 'unavailable' && "Planning de ce jour non disponible : impossible de savoir quelles salles sont libres."}
+            {isDayReady && `${freeRooms.length} salle(s) libre(s) de ${formatTime(windowStart)} à ${formatTime(windowEnd)}`}
+          </Text>
+
+          <ScrollView style={{ width: '100%' }}>
+            {isDayReady && floors.length === 0 && (
+              <Text style={{ color: theme.modalText, opacity: 0.6, fontStyle: 'italic', textAlign: 'center', marginVertical: 20 }}>
+                Aucune salle libre sur ce créneau.
+              </Text>
+            )}
+
+            {floors.map(floor => (
+              <View key={floor} style={{ width: '100%', marginBottom: 15 }}>
+                <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 5 }}>
+                  <Text style={{ color: theme.modalText, fontSize: 18, fontWeight: 'bold', marginRight: 10 }}>{floor}</Text>
+                  <View style={{ height: 1, flex: 1, backgroundColor: theme.borderColor }} />
+                </View>
 
+                {grouped[floor].map(room => {
+                  const { nextBusyAt, freeMinutes } = freeByRoom.get(room);
+                  return (
+                    <TouchableOpacity
+                      key={room}
+                      onPress={() => onSelectRoom(room)}
+                      style={[styles.groupButton, { backgroundColor: theme.buttonBackground, width: '100%', marginBottom: 8, flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', borderLeftWidth: 5, borderLeftColor: '#4caf50' }]}
+                    >
+                      <Text style={[styles.groupButtonText, { color: theme.buttonText }]}>{getRoomDisplayName(room)}</Text>
+                      <Text style={{ color: theme.buttonText, fontSize: 12, opacity: 0.8 }}>
+                        {nextBusyAt ? `Occupée à ${formatTime(nextBusyAt)} • libre ${formatMinutes(freeMinutes)}` : "Libre jusqu'au soir"}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            ))}
           </ScrollView>
 
           <View style={styles.buttonContainer}>
@@ -759,100 +912,180 @@ const ThemeSelectionModal = ({ visible, onClose, onBack, onSelectTheme, theme, t
 };
 
 /**
- * Modal de gestion des Favoris (UI Améliorée)
+ * Modal "Créneaux communs" : moments où toutes les sélections choisies sont libres
+ * (réunions de projet entre groupes et/ou enseignants)
  */
-const FavoritesModal = ({ visible, onClose, onToggleFavorite, onSelectFavorite, isFavorite, favorites, theme }) => {
-  
-  const studentFavs = favorites.filter(f => f.type === 'student');
-  const roomFavs = favorites.filter(f => f.type === 'room');
-  const hasAnyFavorite = favorites.length > 0;
-
-  const renderColumn = (title, items) => {
-    if (items.length === 0) return null;
-    return (
-      <View style={{ flex: 1, minWidth: 100, paddingHorizontal: 5 }}>
-        <Text style={{ color: theme.modalText, fontWeight: 'bold', marginBottom: 10, textAlign: 'center', textDecorationLine: 'underline' }}>
-          {title}
-        </Text>
-        {items.map((fav, index) => (
-          <TouchableOpacity 
-            key={index} 
-            style={[
-              styles.groupButton, 
-              { 
-                backgroundColor: theme.buttonBackground, 
-                width: '100%', 
-                paddingVertical: 10, 
-                marginBottom: 8,
-                // Bordure dorée pour rappeler que c'est un favori
-                borderWidth: 1,
-                borderColor: '#FFD700' 
-              }
-            ]}
-            onPress={() => onSelectFavorite(fav)}
-          >
-            <Text style={[styles.groupButtonText, { color: theme.buttonText, fontSize: 12, textAlign: 'center' }]}>
-              {fav.label}
-            </Text>
-          </TouchableOpacity>
-        ))}
-      </View>
-    );
+const CommonSlotsModal = ({ visible, onClose, onBack, selections, favorites = [], onAddSelection, onRemoveSelection, onOpenSelection, onWeekChange, availableRooms, theme }) => {
+  const padZero = (num) => num < 10 ? `0${num}` : num;
+  const formatTime = (date) => `${padZero(date.getHours())}:${padZero(date.getMinutes())}`;
+  const formatMinutes = (minutes) => {
+    const h = Math.floor(minutes / 60);
+    const m = minutes % 60;
+    if (h === 0) return `${m} min`;
+    return m === 0 ? `${h}h` : `${h}h${padZero(m)}`;
   };
 
-  return (
-    <Modal animationType="fade" transparent={true} visible={visible} onRequestClose={onClose}>
-      <View style={[styles.modalOverlay, { backgroundColor: theme.modalBackground === themes.dark.modalBackground ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.5)' }]}>
-        <View style={[styles.modalContent, { backgroundColor: theme.modalBackground, width: '90%', maxHeight: '80%' }]}>
-          
-          <Text style={[styles.modalTitle, { color: theme.modalText, marginBottom: 15 }]}>Favoris ⭐</Text>
+  const [weekOffset, setWeekOffset] = useState(0);
+  const [duration, setDuration] = useState(60);
+  const [withRoom, setWithRoom] = useState(false);
 
-          {/* Bouton d'action principal */}
-          <TouchableOpacity 
-            style={[
-              styles.menuButton, 
-              { 
-                backgroundColor: theme.buttonBackground, // Fond du thème
-                borderColor: isFavorite ? '#ff6b6b' : '#51cf66', // Bordure Rouge ou Verte
-                borderWidth: 2,
-                flexDirection: 'row',
-                justifyContent: 'center',
-                alignItems: 'center'
-              }
-            ]} 
-            onPress={onToggleFavorite}
+  const durations = [30, 60, 90, 120, 180];
+
+  // Jours ouvrés de la semaine affichée (lundi -> vendredi)
+  const monday = new Date();
+  monday.setHours(0, 0, 0, 0);
+  monday.setDate(monday.getDate() - (monday.getDay() || 7) + 1 + weekOffset * 7);
+  const days = Array.from({ length: 5 }, (_, i) => {
+    const day = new Date(monday);
+    day.setDate(day.getDate() + i);
+    return day;
+  });
+
+  // Les semaines du calendrier sont chargées à la demande
+  useEffect(() => {
+    if (visible) onWeekChange(monday);
+  }, [visible, weekOffset]);
+
+  const isSelected = (fav) => selections.some(s => s.type === fav.type && JSON.stringify(s.value) === JSON.stringify(fav.value));
+
+  // Calcul uniquement quand la modal est ouverte
+  const slots = visible && selections.length > 0
+    ? findCommonFreeSlots(selections.map(s => filterLoadedEvents(s.type, s.value)), days, { minMinutes: duration })
+    : [];
+
+  const renderChip = (key, label, active, onPress) => (
+    <TouchableOpacity
+      key={key}
+      onPress={onPress}
+      style={{ paddingVertical: 6, paddingHorizontal: 12, borderRadius: 15, marginRight: 8, backgroundColor: active ? '#4caf50' : theme.buttonBackground }}
+    >
+      <Text style={{ color: active ? '#fff' : theme.buttonText, fontWeight: active ? 'bold' : 'normal', fontSize: 13 }}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const formatDay = (date) => {
+    const label = date.toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'short' });
+    return label.charAt(0).toUpperCase() + label.slice(1);
+  };
+
+  return (
+    <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
+      <View style={[styles.modalOverlay, { backgroundColor: theme.modalBackground === themes.dark.modalBackground ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.5)' }]}>
+        <View style={[styles.modalContent, { backgroundColor: theme.modalBackground, width: '90%', maxHeight: '90%' }]}>
+          <Text style={[styles.modalTitle, { color: theme.modalText, marginBottom: 15 }]}>Créneaux communs 🤝</Text>
+
+          {/* Sélections comparées */}
+          <View style={{ width: '100%', marginBottom: 10 }}>
+            <Text style={{ color: theme.modalText, fontWeight: 'bold', marginBottom: 6 }}>Participants</Text>
+            <View style={{ flexDirection: 'row', flexWrap: 'wrap' }}>
+              {selections.map((selection, index) => (
+                <TouchableOpacity
+                  key={`${selection.label}-${index}`}
+                  onPress={() => onRemoveSelection(index)}
+                  style={{ flexDirection: 'row', alignItems: 'center', paddingVertical: 6, paddingHorizontal: 12, borderRadius: 15, marginRight: 8, marginBottom: 6, backgroundColor: '#4caf50' }}
+                >
+                  <Text style={{ color: '#fff', fontWeight: 'bold', fontSize: 13, marginRight: 4 }}>{selection.label}</Text>
+                  <Ionicons name="close" size={14} color="#fff" />
+                </TouchableOpacity>
+              ))}
+              <TouchableOpacity
+                onPress={onOpenSelection}
+                style={{ flexDirection: 'row', alignItems: 'center', paddingVertical: 6, paddingHorizontal: 12, borderRadius: 15, marginBottom: 6, backgroundColor: theme.buttonBackground }}
+              >
+                <Ionicons name="add" size={14} color={theme.buttonText} style={{ marginRight: 4 }} />
+                <Text style={{ color: theme.buttonText, fontSize: 13 }}>Ajouter</Text>
+              </TouchableOpacity>
+            </View>
+
+            {/* Ajout rapide depuis les favoris */}
+            {favorites.filter(fav => !isSelected(fav)).length > 0 && (
+              <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ marginTop: 4 }}>
+                {favorites.filter(fav => !isSelected(fav)).map((fav, index) =>
+                  renderChip(`fav-${index}`, `★ ${fav.label}`, false, () => onAddSelection(fav.type, fav.value))
+                )}
+              </ScrollView>
+            )}
+          </View>
+
+          <View style={{ width: '100%', marginBottom: 10 }}>
+            <Text style={{ color: theme.modalText, fontWeight: 'bold', marginBottom: 6 }}>Durée minimale</Text>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+              {durations.map(d => renderChip(d, formatMinutes(d), d === duration, () => setDuration(d)))}
+            </ScrollView>
+          </View>
+
+          <TouchableOpacity
+            activeOpacity={0.8}
+            onPress={() => setWithRoom(!withRoom)}
+            style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', width: '100%', marginBottom: 10 }}
           >
-            {/* Icône dynamique */}
-            <Ionicons 
-              name={isFavorite ? "remove-circle-outline" : "add-circle-outline"} 
-              size={24} 
-              color={isFavorite ? "#ff6b6b" : "#51cf66"} 
-              style={{ marginRight: 10 }} 
-            />
-            <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>
-              {isFavorite ? "Retirer des favoris" : "Ajouter aux favoris"}
-            </Text>
+            <Text style={{ color: theme.modalText, fontWeight: 'bold' }}>Proposer une salle libre</Text>
+            <Ionicons name={withRoom ? 'toggle' : 'toggle-outline'} size={32} color={withRoom ? '#4caf50' : theme.modalText} />
           </TouchableOpacity>
 
-          {/* Barre de séparation */}
-          <View style={{ height: 1, width: '100%', backgroundColor: theme.borderColor, marginVertical: 20 }} />
-
-          {/* Listes */}
-          {!hasAnyFavorite ? (
-            <Text style={{ color: theme.modalText, opacity: 0.6, fontStyle: 'italic', marginVertical: 20 }}>
-              Vous n'avez aucun favori pour le moment.
+          {/* Navigation semaine */}
+          <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', width: '100%', marginBottom: 10 }}>
+            <TouchableOpacity onPress={() => setWeekOffset(weekOffset - 1)} style={{ padding: 5 }}>
+              <Ionicons name="arrow-back" size={22} color={theme.modalText} />
+            </TouchableOpacity>
+            <Text style={{ color: theme.modalText, fontWeight: 'bold' }}>
+              Semaine du {monday.toLocaleDateString('fr-FR')}
             </Text>
-          ) : (
-            <ScrollView style={{ width: '100%' }}>
-              <View style={{ flexDirection: 'row', justifyContent: 'space-between', flexWrap: 'wrap' }}>
-                {renderColumn("Étudiants", studentFavs)}
-                {renderColumn("Salles", roomFavs)}
-              </View>
-            </ScrollView>
-          )}
+            <TouchableOpacity onPress={() => setWeekOffset(weekOffset + 1)} style={{ padding: 5 }}>
+              <Ionicons name="arrow-forward" size={22} color={theme.modalText} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={{ width: '100%' }}>
+            {selections.length === 0 && (
+              <Text style={{ color: theme.modalText, opacity: 0.6, fontStyle: 'italic', textAlign: 'center', marginVertical: 20 }}>
+                Ajoutez des groupes ou des enseignants.
+              </Text>
+            )}
+            {selections.length > 0 && slots.length === 0 && (
+              <Text style={{ color: theme.modalText, opacity: 0.6, fontStyle: 'italic', textAlign: 'center', marginVertical: 20 }}>
+                Aucun créneau commun de {formatMinutes(duration)} cette semaine.
+              </Text>
+            )}
+
+            {days.map(day => {
+              const daySlots = slots.filter(slot => slot.start.toDateString() === day.toDateString());
+              if (daySlots.length === 0) return null;
+
+              return (
+                <View key={day.toDateString()} style={{ width: '100%', marginBottom: 15 }}>
+                  <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 5 }}>
+                    <Text style={{ color: theme.modalText, fontSize: 16, fontWeight: 'bold', marginRight: 10 }}>{formatDay(day)}</Text>
+                    <View style={{ height: 1, flex: 1, backgroundColor: theme.borderColor }} />
+                  </View>
+
+                  {daySlots.map(slot => {
+                    const room = withRoom ? suggestRoomForSlot(getLoadedDayEvents(slot.start), availableRooms, slot, duration) : null;
+                    return (
+                      <View
+                        key={slot.start.getTime()}
+                        style={[styles.groupButton, { backgroundColor: theme.buttonBackground, width: '100%', marginBottom: 8, flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', borderLeftWidth: 5, borderLeftColor: '#4caf50' }]}
+                      >
+                        <Text style={[styles.groupButtonText, { color: theme.buttonText }]}>
+                          {formatTime(slot.start)} - {formatTime(slot.end)}
+                        </Text>
+                        <Text style={{ color: theme.buttonText, fontSize: 12, opacity: 0.8 }}>
+                          {formatMinutes(slot.minutes)}
+                          {withRoom && ` • ${room ? getRoomDisplayName(room) : 'aucune salle'}`}
+                        </Text>
+                      </View>
+                    );
+                  })}
+                </View>
+              );
+            })}
+          </ScrollView>
 
           <View style={styles.buttonContainer}>
-            <TouchableOpacity onPress={onClose} style={[styles.closeButton, { backgroundColor: theme.modalButton, width: '100%', alignItems: 'center' }]}>
+            <TouchableOpacity onPress={onBack} style={[styles.backButton, { backgroundColor: theme.modalButton }]}>
+              <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Retour</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={onClose} style={[styles.closeButton, { backgroundColor: theme.modalButton }]}>
               <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Fermer</Text>
             </TouchableOpacity>
           </View>
@@ -863,184 +1096,811 @@ const FavoritesModal = ({ visible, onClose, onToggleFavorite, onSelectFavorite,
 };
 
 /**
- * Modal de personnalisation des couleurs (Refonte UI Moderne)
+ * Modal "Occupation des salles" : carte de chaleur par étage (salles en lignes, demi-heures en colonnes)
  */
-const CourseColorCustomizationModal = ({ visible, onClose, onBack, events, courseTypeColors, courseNameColors, onSelectColor, theme, coloringMode, onSetColoringMode }) => {
-  // --- CONFIGURATION ---
-  const allCourseTypes = ['CM', 'TD', 'TP', 'Autre'];
-  // Récupération unique et triée des matières
-  const allCourseNames = [...new Set(events.map(event => event.courseName))].sort();
-  
-  // Nouvelle Palette Étendue (24 couleurs)
-  const colorPalette = [
-    { code: null, name: 'Par défaut' },
-    // Rouges / Oranges
-    { code: '#ffadad', name: 'Rouge Pastel' }, { code: '#ffd6a5', name: 'Orange Pastel' }, 
-    { code: '#fdffb6', name: 'Jaune Pastel' }, { code: '#ffc6ff', name: 'Rose Bonbon' },
-    { code: '#ff8fab', name: 'Rose Vif' },     { code: '#e07a5f', name: 'Terre Cuite' },
-    // Verts
-    { code: '#caffbf', name: 'Vert Lime' },    { code: '#9bf6ff', name: 'Cyan Pastel' },
-    { code: '#52b788', name: 'Vert Forêt' },   { code: '#b7e4c7', name: 'Vert Menthe' },
-    // Bleus
-    { code: '#a0c4ff', name: 'Bleu Ciel' },    { code: '#bdb2ff', name: 'Violet Lavande' },
-    { code: '#0077b6', name: 'Bleu Océan' },   { code: '#023e8a', name: 'Bleu Royal' },
-    // Sombres / Neutres
-    { code: '#343a40', name: 'Gris Anthracite' }, { code: '#6c757d', name: 'Gris Souris' },
-    { code: '#cdb4db', name: 'Mauve' },        { code: '#ffc8dd', name: 'Rose Pâle' },
-    // Vifs
-    { code: '#ff9f1c', name: 'Orange Vif' },   { code: '#2ec4b6', name: 'Turquoise' },
-    { code: '#e71d36', name: 'Rouge Vif' },    { code: '#7209b7', name: 'Violet Profond' }
-  ];
+const RoomHeatmapModal = ({ visible, onClose, onBack, onSelectRoom, onWeekChange, availableRooms, theme }) => {
+  const [weekOffset, setWeekOffset] = useState(0);
+  const [dayIndex, setDayIndex] = useState(() => {
+    const today = new Date().getDay();
+    return today === 0 ? 0 : today - 1;
+  });
 
-  // --- ÉTATS ---
-  // Item en cours d'édition (ex: 'CM' ou 'AUTO5'). Si null, on affiche la liste.
-  const [editingItem, setEditingItem] = useState(null); 
+  const CELL_WIDTH = 14;
+  const ROW_HEIGHT = 22;
+  const NAME_WIDTH = 70;
 
-  // --- RENDU : SÉLECTEUR DE COULEUR (GRILLE) ---
-  const renderColorPicker = () => (
-    <View style={{ flex: 1, width: '100%' }}>
-      <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 15, paddingHorizontal: 10 }}>
-        <TouchableOpacity onPress={() => setEditingItem(null)} style={{ padding: 5 }}>
-          <Ionicons name="arrow-back" size={24} color={theme.text} />
-        </TouchableOpacity>
-        <Text style={{ fontSize: 18, fontWeight: 'bold', color: theme.modalText, marginLeft: 10 }}>
-          Couleur pour "{editingItem}"
-        </Text>
-      </View>
+  // Couleur d'une case selon le taux d'occupation
+  const getCellColor = (rate) => {
+    if (rate === 0) return theme.borderColor;
+    if (rate < 1) return '#ff9f1c';
+    return '#ff6b6b';
+  };
+  // Couleur d'un pourcentage de saturation (étage ou jour)
+  const getRateColor = (rate) => {
+    if (rate >= 0.75) return '#ff6b6b';
+    if (rate >= 0.4) return '#ff9f1c';
+    return '#51cf66';
+  };
+  const formatRate = (rate) => `${Math.round(rate * 100)}%`;
+
+  // Jours de la semaine affichée (lundi -> samedi)
+  const monday = new Date();
+  monday.setHours(0, 0, 0, 0);
+  monday.setDate(monday.getDate() - (monday.getDay() || 7) + 1 + weekOffset * 7);
+  const days = Array.from({ length: 6 }, (_, i) => {
+    const day = new Date(monday);
+    day.setDate(day.getDate() + i);
+    return day;
+  });
 
-      <ScrollView contentContainerStyle={{ flexDirection: 'row', flexWrap: 'wrap', justifyContent: 'center', paddingBottom: 20 }}>
-        {colorPalette.map((color, index) => {
-          const isSelected = (coloringMode === 'type' ? courseTypeColors[editingItem] : courseNameColors[editingItem]) === color.code;
-          return (
-            <TouchableOpacity 
-              key={index} 
-              style={{
-                width: '45%', // 2 colonnes
-                margin: 5,
-                padding: 10,
-                borderRadius: 12,
-                backgroundColor: theme.buttonBackground,
-                flexDirection: 'row',
-                alignItems: 'center',
-                borderWidth: isSelected ? 2 : 0,
-                borderColor: theme.text,
-                overflow: 'hidden' // Empêche le débordement visuel
-              }}
-              onPress={() => {
-                onSelectColor(editingItem, color.code, coloringMode);
-                setEditingItem(null); 
-              }}
-            >
-              {/* La pastille de couleur reste fixe */}
-              <View style={{ 
-                width: 30, height: 30, borderRadius: 15, 
-                backgroundColor: color.code || theme.eventBackground,
-                borderWidth: 1, borderColor: theme.borderColor, marginRight: 10,
-                flexShrink: 0 // Empêche la pastille de s'écraser
-              }} />
-              
-              {/* Le texte prend la place restante et rétrécit si besoin */}
-              <Text 
-                style={{ 
-                  color: theme.buttonText, 
-                  fontSize: 12, // Un peu plus petit (c'était 14)
-                  fontWeight: '500',
-                  flex: 1, // Prend toute la largeur dispo
-                  flexWrap: 'wrap' // Permet d'aller à la ligne si vraiment trop long
-                }}
-                numberOfLines={2} // Limite à 2 lignes max
-                adjustsFontSizeToFit={true} // Rétrécit la police si ça ne rentre pas (iOS/Android)
-                minimumFontScale={0.8} // Limite du rétrécissement
-              >
-                {color.name}
-              </Text>
-            </TouchableOpacity>
-          );
-        })}
-      </ScrollView>
-    </View>
-  );
+  // Les semaines du calendrier sont chargées à la demande
+  useEffect(() => {
+    if (visible) onWeekChange(monday);
+  }, [visible, weekOffset]);
 
-  // --- RENDU : LISTE DES MATIÈRES / TYPES ---
-  const renderList = () => {
-    const data = coloringMode === 'type' ? allCourseTypes : allCourseNames;
-    
-    return (
-      <View style={{ flex: 1, width: '100%' }}>
-        {/* Toggle Type / Matière */}
-        <View style={styles.viewToggleContainer}>
-          <TouchableOpacity 
-            style={[styles.toggleButton, coloringMode === 'type' && styles.toggleButtonActive, { backgroundColor: theme.buttonBackground }]} 
-            onPress={() => onSetColoringMode('type')}
-          >
-            <Text style={[styles.toggleButtonText, { color: theme.buttonText }]}>Par Type</Text>
-          </TouchableOpacity>
-          <TouchableOpacity 
-            style={[styles.toggleButton, coloringMode === 'name' && styles.toggleButtonActive, { backgroundColor: theme.buttonBackground }]} 
-            onPress={() => onSetColoringMode('name')}
-          >
-            <Text style={[styles.toggleButtonText, { color: theme.buttonText }]}>Par Matière</Text>
-          </TouchableOpacity>
-        </View>
+  const grouped = groupRoomsByFloor(availableRooms);
+  const floors = getFloorOrder(grouped);
 
-        {/* Liste Scrollable */}
-        <ScrollView style={{ width: '100%' }} showsVerticalScrollIndicator={true}>
-          {data.map((item, index) => {
-            const currentColor = coloringMode === 'type' ? courseTypeColors[item] : courseNameColors[item];
-            return (
-              <TouchableOpacity 
-                key={index} 
-                style={{
-                  flexDirection: 'row',
-                  alignItems: 'center',
-                  justifyContent: 'space-between',
-                  paddingVertical: 15,
-                  paddingHorizontal: 10,
-                  borderBottomWidth: 1,
-                  borderBottomColor: theme.borderColor
-                }}
-                onPress={() => setEditingItem(item)}
-              >
-                <Text style={{ fontSize: 16, color: theme.modalText, fontWeight: '500', flex: 1 }}>
-                  {item}
-                </Text>
-                
-                <View style={{ flexDirection: 'row', alignItems: 'center' }}>
-                  {/* Pastille de prévisualisation */}
-                  <View style={{ 
-                    width: 24, height: 24, borderRadius: 12, 
-                    backgroundColor: currentColor || theme.eventBackground,
-                    borderWidth: 1, borderColor: theme.borderColor, marginRight: 10
-                  }} />
-                  <Ionicons name="chevron-forward" size={20} color={theme.text} style={{ opacity: 0.5 }} />
-                </View>
-              </TouchableOpacity>
-            );
-          })}
-          {/* Espace vide en bas pour le scroll */}
-          <View style={{ height: 20 }} />
-        </ScrollView>
-      </View>
-    );
+  // Calcul uniquement quand la modal est ouverte (événements du jour via l'index)
+  const occupancyByDay = visible ? days.map(day => computeRoomOccupancy(getLoadedDayEvents(day), availableRooms, day)) : [];
+  const { slots = [], rows = {} } = occupancyByDay[dayIndex] || {};
+
+  const formatDay = (date) => {
+    const label = date.toLocaleDateString('fr-FR', { weekday: 'short', day: 'numeric' });
+    return label.charAt(0).toUpperCase() + label.slice(1);
   };
-  
+
   return (
     <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
       <View style={[styles.modalOverlay, { backgroundColor: theme.modalBackground === themes.dark.modalBackground ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.5)' }]}>
-        <View style={[styles.modalContent, { backgroundColor: theme.modalBackground, height: '80%', maxHeight: '80%', width: '95%', padding: 20 }]}>
+        <View style={[styles.modalContent, { backgroundColor: theme.modalBackground, width: '95%', maxHeight: '90%' }]}>
+          <Text style={[styles.modalTitle, { color: theme.modalText, marginBottom: 10 }]}>Occupation des salles 🌡️</Text>
+
+          {/* Navigation semaine */}
+          <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', width: '100%', marginBottom: 10 }}>
+            <TouchableOpacity onPress={() => setWeekOffset(weekOffset - 1)} style={{ padding: 5 }}>
+              <Ionicons name="chevron-back" size={22} color={theme.modalText} />
+            </TouchableOpacity>
+            <Text style={{ color: theme.modalText, fontWeight: 'bold' }}>Semaine {getWeekNumber(monday)}</Text>
+            <TouchableOpacity onPress={() => setWeekOffset(weekOffset + 1)} style={{ padding: 5 }}>
+              <Ionicons name="chevron-forward" size={22} color={theme.modalText} />
+            </TouchableOpacity>
+          </View>
+
+          {/* Jours avec taux d'occupation global */}
+          <View style={{ flexDirection: 'row', width: '100%', marginBottom: 10 }}>
+            {days.map((day, index) => {
+              const rate = occupancyByDay[index] ? getAverageOccupancy(occupancyByDay[index].rows, availableRooms) : 0;
+              const isActive = index === dayIndex;
+              return (
+                <TouchableOpacity
+                  key={index}
+                  onPress={() => setDayIndex(index)}
+                  style={{ flex: 1, alignItems: 'center', paddingVertical: 5, marginHorizontal: 2, borderRadius: 8, backgroundColor: isActive ? theme.buttonBackground : 'transparent' }}
+                >
+                  <Text style={{ color: isActive ? theme.buttonText : theme.modalText, fontSize: 11, fontWeight: isActive ? 'bold' : 'normal' }}>{formatDay(day)}</Text>
+                  <Text style={{ color: getRateColor(rate), fontSize: 11, fontWeight: 'bold' }}>{formatRate(rate)}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          <ScrollView style={{ width: '100%' }}>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+              <View>
+                {/* En-tête des heures */}
+                <View style={{ flexDirection: 'row', marginLeft: NAME_WIDTH }}>
+                  {slots.map((slot, i) => (
+                    <View key={i} style={{ width: CELL_WIDTH }}>
+                      {slot.getMinutes() === 0 && (
+                        <Text style={{ color: theme.modalText, fontSize: 9, opacity: 0.6, width: CELL_WIDTH * 2 }}>{slot.getHours()}h</Text>
+                      )}
+                    </View>
+                  ))}
+                </View>
+
+                {floors.map(floor => {
+                  const floorRate = getAverageOccupancy(rows, grouped[floor]);
+                  return (
+                    <View key={floor} style={{ marginTop: 10 }}>
+                      <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 4 }}>
+                        <Text style={{ color: theme.modalText, fontSize: 15, fontWeight: 'bold', marginRight: 8 }}>{floor}</Text>
+                        <Text style={{ color: getRateColor(floorRate), fontSize: 12, fontWeight: 'bold' }}>{formatRate(floorRate)}</Text>
+                      </View>
+
+                      {grouped[floor].map(room => (
+                        <TouchableOpacity key={room} onPress={() => onSelectRoom(room)} style={{ flexDirection: 'row', alignItems: 'center', height: ROW_HEIGHT }}>
+                          <Text style={{ color: theme.modalText, fontSize: 11, width: NAME_WIDTH }} numberOfLines={1}>{getRoomDisplayName(room)}</Text>
+                          {(rows[room] || []).map((rate, i) => (
+                            <View
+                              key={i}
+                              style={{
+                                width: CELL_WIDTH - 1, height: ROW_HEIGHT - 4, marginRight: 1,
+                                backgroundColor: getCellColor(rate),
+                                borderTopLeftRadius: i % 2 === 0 ? 3 : 0, borderBottomLeftRadius: i % 2 === 0 ? 3 : 0,
+                              }}
+                            />
+                          ))}
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  );
+                })}
+              </View>
+            </ScrollView>
+          </ScrollView>
+
+          {/* Légende */}
+          <View style={{ flexDirection: 'row', justifyContent: 'center', marginTop: 10 }}>
+            {[
+              { label: 'Libre', color: theme.borderColor },
+              { label: 'Partiel', color: '#ff9f1c' },
+              { label: 'Occupée', color: '#ff6b6b' },
+            ].map(item => (
+              <View key={item.label} style={{ flexDirection: 'row', alignItems: 'center', marginHorizontal: 8 }}>
+                <View style={{ width: 12, height: 12, borderRadius: 3, backgroundColor: item.color, marginRight: 4 }} />
+                <Text style={{ color: theme.modalText, fontSize: 11 }}>{item.label}</Text>
+              </View>
+            ))}
+          </View>
+
+          <View style={styles.buttonContainer}>
+            <TouchableOpacity onPress={onBack} style={[styles.backButton, { backgroundColor: theme.modalButton }]}>
+              <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Retour</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={onClose} style={[styles.closeButton, { backgroundColor: theme.modalButton }]}>
+              <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Fermer</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+/**
+ * Modal de sélection du thème
+ */
+const ThemeSelectionModal = ({ visible, onClose, onBack, onSelectTheme, theme, themePreference }) => {
+  
+  // Helper pour le rendu d'un bouton de thème
+  const renderThemeButton = (label, value, previewColor = null, icon = null) => { // Ajout de previewColor et icon
+    const isSelected = themePreference === value;
+    return (
+      <TouchableOpacity 
+        style={[
+          styles.menuButton, 
+          { 
+            backgroundColor: theme.buttonBackground,
+            flexDirection: 'row', 
+            alignItems: 'center', 
+            justifyContent: 'center' 
+          }, 
+          isSelected && styles.selectedButton
+        ]} 
+        onPress={() => onSelectTheme(value)}
+      >
+        {/* MODIF ICI : Affichage de la pastille de couleur OU de l'icône */}
+        {previewColor ? (
+          <View style={{ 
+            width: 20, 
+            height: 20, 
+            borderRadius: 10, 
+            backgroundColor: previewColor, 
+            marginRight: 10,
+            borderWidth: 1, // Petite bordure pour la démarquer
+            borderColor: theme.borderColor
+          }} />
+        ) : (
+          icon && (
+            <Ionicons 
+              name={icon} 
+              size={20} 
+              color={theme.buttonText} 
+              style={{ marginRight: 10 }} 
+            />
+          )
+        )}
+        
+        <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>{label}</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
+      <View style={[styles.modalOverlay, { backgroundColor: theme.modalBackground === themes.dark.modalBackground ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.5)' }]}>
+        <View style={[
+          styles.menuContent, 
+          { 
+            backgroundColor: theme.modalBackground, 
+            width: '85%', 
+            maxHeight: '80%' // <--- C'est ici que la magie opère ! (Limite la hauteur)
+          }
+        ]}>
+          
+          <Text style={[styles.modalTitle, { color: theme.modalText, marginBottom: 5 }]}>Thèmes 🎨</Text>
+          
+          {/* Le ScrollView va automatiquement gérer le défilement si ça dépasse */}
+          <ScrollView style={{ width: '100%' }} showsVerticalScrollIndicator={true}>
+            
+            {/* --- SECTION CLASSIQUE --- */}
+            <Text style={{ color: theme.modalText, fontSize: 12, fontWeight: 'bold', opacity: 0.5, marginBottom: 10, marginTop: 15, textTransform: 'uppercase', letterSpacing: 1 }}>
+              Classique
+            </Text>
+
+            {renderThemeButton('Appareil', 'system', null, 'phone-portrait-outline')}
+            {renderThemeButton('Jour', 'light', null, 'sunny-outline')}
+            {renderThemeButton('Nuit', 'dark', null, 'moon-outline')}
+
+            {/* --- SECTION PERSONNALISÉ --- */}
+            <Text style={{ color: theme.modalText, fontSize: 12, fontWeight: 'bold', opacity: 0.5, marginBottom: 10, marginTop: 20, textTransform: 'uppercase', letterSpacing: 1 }}>
+              Personnalisé
+            </Text>
+
+            {renderThemeButton('Abyss', 'abyss', themes.abyss.modalBackground)}
+            {renderThemeButton('Dark Green', 'darkgreen', '#4caf50')} 
+            {renderThemeButton('Comfy', 'comfy', '#3e3530')}
+            {renderThemeButton('Violet', 'violet', '#201a2b')}
+            {renderThemeButton('Dracula', 'dracula', '#bd93f9')}
+            {renderThemeButton('Nord', 'nord', '#88c0d0')}
+            {renderThemeButton('Solarized', 'solarized', '#b58900')}
+            {renderThemeButton('Monokai', 'monokai', '#f92672')}
+
+          </ScrollView>
+
+          <View style={styles.buttonContainer}>
+            <TouchableOpacity onPress={onBack} style={[styles.backButton, { backgroundColor: theme.modalButton }]}>
+              <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Retour</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={onClose} style={[styles.closeButton, { backgroundColor: theme.modalButton }]}>
+              <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Fermer</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+/**
+ * Modal de gestion des Favoris (UI Améliorée)
+ */
+const FavoritesModal = ({ visible, onClose, onToggleFavorite, onSelectFavorite, isFavorite, favorites, theme }) => {
+  
+  const studentFavs = favorites.filter(f => f.type === 'student');
+  const teacherFavs = favorites.filter(f => f.type === 'teacher');
+  const roomFavs = favorites.filter(f => f.type === 'room');
+  const hasAnyFavorite = favorites.length > 0;
+
+  const renderColumn = (title, items) => {
+    if (items.length === 0) return null;
+    return (
+      <View style={{ flex: 1, minWidth: 100, paddingHorizontal: 5 }}>
+        <Text style={{ color: theme.modalText, fontWeight: 'bold', marginBottom: 10, textAlign: 'center', textDecorationLine: 'underline' }}>
+          {title}
+        </Text>
+        {items.map((fav, index) => (
+          <TouchableOpacity 
+            key={index} 
+            style={[
+              styles.groupButton, 
+              { 
+                backgroundColor: theme.buttonBackground, 
+                width: '100%', 
+                paddingVertical: 10, 
+                marginBottom: 8,
+                // Bordure dorée pour rappeler que c'est un favori
+                borderWidth: 1,
+                borderColor: '#FFD700' 
+              }
+            ]}
+            onPress={() => onSelectFavorite(fav)}
+          >
+            <Text style={[styles.groupButtonText, { color: theme.buttonText, fontSize: 12, textAlign: 'center' }]}>
+              {fav.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    );
+  };
+
+  return (
+    <Modal animationType="fade" transparent={true} visible={visible} onRequestClose={onClose}>
+      <View style={[styles.modalOverlay, { backgroundColor: theme.modalBackground === themes.dark.modalBackground ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.5)' }]}>
+        <View style={[styles.modalContent, { backgroundColor: theme.modalBackground, width: '90%', maxHeight: '80%' }]}>
+          
+          <Text style={[styles.modalTitle, { color: theme.modalText, marginBottom: 15 }]}>Favoris ⭐</Text>
+
+          {/* Bouton d'action principal */}
+          <TouchableOpacity 
+            style={[
+              styles.menuButton, 
+              { 
+                backgroundColor: theme.buttonBackground, // Fond du thème
+                borderColor: isFavorite ? '#ff6b6b' : '#51cf66', // Bordure Rouge ou Verte
+                borderWidth: 2,
+                flexDirection: 'row',
+                justifyContent: 'center',
+                alignItems: 'center'
+              }
+            ]} 
+            onPress={onToggleFavorite}
+          >
+            {/* Icône dynamique */}
+            <Ionicons 
+              name={isFavorite ? "remove-circle-outline" : "add-circle-outline"} 
+              size={24} 
+              color={isFavorite ? "#ff6b6b" : "#51cf66"} 
+              style={{ marginRight: 10 }} 
+            />
+            <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>
+              {isFavorite ? "Retirer des favoris" : "Ajouter aux favoris"}
+            </Text>
+          </TouchableOpacity>
+
+          {/* Barre de séparation */}
+          <View style={{ height: 1, width: '100%', backgroundColor: theme.borderColor, marginVertical: 20 }} />
+
+          {/* Listes */}
+          {!hasAnyFavorite ? (
+            <Text style={{ color: theme.modalText, opacity: 0.6, fontStyle: 'italic', marginVertical: 20 }}>
+              Vous n'avez aucun favori pour le moment.
+            </Text>
+          ) : (
+            <ScrollView style={{ width: '100%' }}>
+              <View style={{ flexDirection: 'row', justifyContent: 'space-between', flexWrap: 'wrap' }}>
+                {renderColumn("Étudiants", studentFavs)}
+                {renderColumn("Enseignants", teacherFavs)}
+                {renderColumn("Salles", roomFavs)}
+              </View>
+            </ScrollView>
+          )}
+
+          <View style={styles.buttonContainer}>
+            <TouchableOpacity onPress={onClose} style={[styles.closeButton, { backgroundColor: theme.modalButton, width: '100%', alignItems: 'center' }]}>
+              <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Fermer</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+/**
+ * Modal de personnalisation des couleurs (Refonte UI Moderne)
+ */
+const CourseColorCustomizationModal = ({ visible, onClose, onBack, events, courseTypeColors, courseNameColors, onSelectColor, theme, coloringMode, onSetColoringMode }) => {
+  // --- CONFIGURATION ---
+  const allCourseTypes = ['CM', 'TD', 'TP', 'Autre'];
+  // Récupération unique et triée des matières
+  const allCourseNames = [...new Set(events.map(event => event.courseName))].sort();
+  
+  // Nouvelle Palette Étendue (24 couleurs)
+  const colorPalette = [
+    { code: null, name: 'Par défaut' },
+    // Rouges / Oranges
+    { code: '#ffadad', name: 'Rouge Pastel' }, { code: '#ffd6a5', name: 'Orange Pastel' }, 
+    { code: '#fdffb6', name: 'Jaune Pastel' }, { code: '#ffc6ff', name: 'Rose Bonbon' },
+    { code: '#ff8fab', name: 'Rose Vif' },     { code: '#e07a5f', name: 'Terre Cuite' },
+    // Verts
+    { code: '#caffbf', name: 'Vert Lime' },    { code: '#9bf6ff', name: 'Cyan Pastel' },
+    { code: '#52b788', name: 'Vert Forêt' },   { code: '#b7e4c7', name: 'Vert Menthe' },
+    // Bleus
+    { code: '#a0c4ff', name: 'Bleu Ciel' },    { code: '#bdb2ff', name: 'Violet Lavande' },
+    { code: '#0077b6', name: 'Bleu Océan' },   { code: '#023e8a', name: 'Bleu Royal' },
+    // Sombres / Neutres
+    { code: '#343a40', name: 'Gris Anthracite' }, { code: '#6c757d', name: 'Gris Souris' },
+    { code: '#cdb4db', name: 'Mauve' },        { code: '#ffc8dd', name: 'Rose Pâle' },
+    // Vifs
+    { code: '#ff9f1c', name: 'Orange Vif' },   { code: '#2ec4b6', name: 'Turquoise' },
+    { code: '#e71d36', name: 'Rouge Vif' },    { code: '#7209b7', name: 'Violet Profond' }
+  ];
+
+  // --- ÉTATS ---
+  // Item en cours d'édition (ex: 'CM' ou 'AUTO5'). Si null, on affiche la liste.
+  const [editingItem, setEditingItem] = useState(null); 
+
+  // --- RENDU : SÉLECTEUR DE COULEUR (GRILLE) ---
+  const renderColorPicker = () => (
+    <View style={{ flex: 1, width: '100%' }}>
+      <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 15, paddingHorizontal: 10 }}>
+        <TouchableOpacity onPress={() => setEditingItem(null)} style={{ padding: 5 }}>
+          <Ionicons name="arrow-back" size={24} color={theme.text} />
+        </TouchableOpacity>
+        <Text style={{ fontSize: 18, fontWeight: 'bold', color: theme.modalText, marginLeft: 10 }}>
+          Couleur pour "{editingItem}"
+        </Text>
+      </View>
+
+      <ScrollView contentContainerStyle={{ flexDirection: 'row', flexWrap: 'wrap', justifyContent: 'center', paddingBottom: 20 }}>
+        {colorPalette.map((color, index) => {
+          const isSelected = (coloringMode === 'type' ? courseTypeColors[editingItem] : courseNameColors[editingItem]) === color.code;
+          return (
+            <TouchableOpacity 
+              key={index} 
+              style={{
+                width: '45%', // 2 colonnes
+                margin: 5,
+                padding: 10,
+                borderRadius: 12,
+                backgroundColor: theme.buttonBackground,
+                flexDirection: 'row',
+                alignItems: 'center',
+                borderWidth: isSelected ? 2 : 0,
+                borderColor: theme.text,
+                overflow: 'hidden' // Empêche le débordement visuel
+              }}
+              onPress={() => {
+                onSelectColor(editingItem, color.code, coloringMode);
+                setEditingItem(null); 
+              }}
+            >
+              {/* La pastille de couleur reste fixe */}
+              <View style={{ 
+                width: 30, height: 30, borderRadius: 15, 
+                backgroundColor: color.code || theme.eventBackground,
+                borderWidth: 1, borderColor: theme.borderColor, marginRight: 10,
+                flexShrink: 0 // Empêche la pastille de s'écraser
+              }} />
+              
+              {/* Le texte prend la place restante et rétrécit si besoin */}
+              <Text 
+                style={{ 
+                  color: theme.buttonText, 
+                  fontSize: 12, // Un peu plus petit (c'était 14)
+                  fontWeight: '500',
+                  flex: 1, // Prend toute la largeur dispo
+                  flexWrap: 'wrap' // Permet d'aller à la ligne si vraiment trop long
+                }}
+                numberOfLines={2} // Limite à 2 lignes max
+                adjustsFontSizeToFit={true} // Rétrécit la police si ça ne rentre pas (iOS/Android)
+                minimumFontScale={0.8} // Limite du rétrécissement
+              >
+                {color.name}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+    </View>
+  );
+
+  // --- RENDU : LISTE DES MATIÈRES / TYPES ---
+  const renderList = () => {
+    const data = coloringMode === 'type' ? allCourseTypes : allCourseNames;
+    
+    return (
+      <View style={{ flex: 1, width: '100%' }}>
+        {/* Toggle Type / Matière */}
+        <View style={styles.viewToggleContainer}>
+          <TouchableOpacity 
+            style={[styles.toggleButton, coloringMode === 'type' && styles.toggleButtonActive, { backgroundColor: theme.buttonBackground }]} 
+            onPress={() => onSetColoringMode('type')}
+          >
+            <Text style={[styles.toggleButtonText, { color: theme.buttonText }]}>Par Type</Text>
+          </TouchableOpacity>
+          <TouchableOpacity 
+            style={[styles.toggleButton, coloringMode === 'name' && styles.toggleButtonActive, { backgroundColor: theme.buttonBackground }]} 
+            onPress={() => onSetColoringMode('name')}
+          >
+            <Text style={[styles.toggleButtonText, { color: theme.buttonText }]}>Par Matière</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Liste Scrollable */}
+        <ScrollView style={{ width: '100%' }} showsVerticalScrollIndicator={true}>
+          {data.map((item, index) => {
+            const currentColor = coloringMode === 'type' ? courseTypeColors[item] : courseNameColors[item];
+            return (
+              <TouchableOpacity 
+                key={index} 
+                style={{
+                  flexDirection: 'row',
+                  alignItems: 'center',
+                  justifyContent: 'space-between',
+                  paddingVertical: 15,
+                  paddingHorizontal: 10,
+                  borderBottomWidth: 1,
+                  borderBottomColor: theme.borderColor
+                }}
+                onPress={() => setEditingItem(item)}
+              >
+                <Text style={{ fontSize: 16, color: theme.modalText, fontWeight: '500', flex: 1 }}>
+                  {item}
+                </Text>
+                
+                <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+                  {/* Pastille de prévisualisation */}
+                  <View style={{ 
+                    width: 24, height: 24, borderRadius: 12, 
+                    backgroundColor: currentColor || theme.eventBackground,
+                    borderWidth: 1, borderColor: theme.borderColor, marginRight: 10
+                  }} />
+                  <Ionicons name="chevron-forward" size={20} color={theme.text} style={{ opacity: 0.5 }} />
+                </View>
+              </TouchableOpacity>
+            );
+          })}
+          {/* Espace vide en bas pour le scroll */}
+          <View style={{ height: 20 }} />
+        </ScrollView>
+      </View>
+    );
+  };
+  
+  return (
+    <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
+      <View style={[styles.modalOverlay, { backgroundColor: theme.modalBackground === themes.dark.modalBackground ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.5)' }]}>
+        <View style={[styles.modalContent, { backgroundColor: theme.modalBackground, height: '80%', maxHeight: '80%', width: '95%', padding: 20 }]}>
           
           {!editingItem && (
             <Text style={[styles.modalTitle, { color: theme.modalText, marginBottom: 15 }]}>Couleurs des cours 🎨</Text>
           )}
 
-          {editingItem ? renderColorPicker() : renderList()}
+          {editingItem ? renderColorPicker() : renderList()}
+
+          {!editingItem && (
+            <View style={styles.buttonContainer}>
+              <TouchableOpacity onPress={onBack} style={[styles.backButton, { backgroundColor: theme.modalButton }]}>
+                <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Retour</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={onClose} style={[styles.closeButton, { backgroundColor: theme.modalButton }]}>
+                <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Fermer</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+/**
+ * Modal du menu principal
+ */
+const MenuModal = ({ visible, onClose, onOpenPersonalization, onForceRefresh, onOpenNotifications, onOpenChanges, onOpenExport, onOpenOverlay, overlayCount = 0, onOpenCommonSlots, onOpenWidget, onOpenDepartment, departmentLabel, changesCount = 0, lastSyncAt, theme, onMenuTitlePress, tapCount, appVersion }) => {
+  
+  // Fonction pour gérer le clic sur le logo GitHub
+  const handleOpenGithub = () => {
+    Alert.alert(
+      "Projet Open Source",
+      "Consulter le dêpot GitHub du projet ?\n(Code source, documentation...)",
+      [
+        { text: "Non", style: "cancel" },
+        { 
+          text: "Oui", 
+          onPress: () => Linking.openURL('https://github.com/DoodzProg/Mobile-App_BUT-GEII-Tours_EDT-ade?tab=readme-ov-file') 
+        }
+      ]
+    );
+  };
+
+  return (
+    <Modal animationType="fade" transparent={true} visible={visible} onRequestClose={onClose}>
+      <TouchableOpacity style={styles.modalOverlay} activeOpacity={1} onPress={onClose}>
+        <View style={[styles.menuContent, { backgroundColor: theme.modalBackground, position: 'relative' }]}>
+          
+          {/* --- 1. Logo GITHUB (Aligné en haut à gauche) --- */}
+          <TouchableOpacity 
+            onPress={handleOpenGithub}
+            style={{ 
+              position: 'absolute', 
+              top: 20, 
+              left: 20, 
+              zIndex: 10,
+              padding: 5
+            }}
+          >
+            <Ionicons name="logo-github" size={32} color={theme.modalText} />
+          </TouchableOpacity>
+
+          {/* --- 2. Titre "Menu" (Centré avec Easter Egg Logs) --- */}
+          <TouchableOpacity activeOpacity={1} onPress={onMenuTitlePress} style={{ marginTop: 15, marginBottom: 20 }}>
+            <Text style={[styles.menuTitle, { color: theme.modalText, marginBottom: 0 }]}>Menu</Text>
+          </TouchableOpacity>
+          
+          {/* Compteur pour l'Easter Egg (Logs) */}
+          {tapCount > 0 && tapCount < 5 && (
+            <Text style={{ color: theme.modalText, fontSize: 10, textAlign: 'center', marginBottom: 10 }}>
+              encore {5 - tapCount}...
+            </Text>
+          )}
+
+          {/* --- Les Boutons --- */}
+
+          <TouchableOpacity style={[styles.menuButton, { backgroundColor: theme.buttonBackground }]} onPress={onOpenPersonalization}>
+            <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Personnalisation</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity style={[styles.menuButton, { backgroundColor: theme.buttonBackground }]} onPress={onOpenNotifications}>
+            <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'center' }}>
+              <Ionicons name="notifications" size={20} color={theme.buttonText} style={{ marginRight: 10 }} />
+              <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Notifications</Text>
+            </View>
+          </TouchableOpacity>
+
+          <TouchableOpacity style={[styles.menuButton, { backgroundColor: theme.buttonBackground }]} onPress={onOpenChanges}>
+            <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'center' }}>
+              <Ionicons name="git-compare-outline" size={20} color={theme.buttonText} style={{ marginRight: 10 }} />
+              <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Modifications</Text>
+              {changesCount > 0 && (
+                <View style={{ marginLeft: 8, minWidth: 20, paddingHorizontal: 5, height: 20, borderRadius: 10, backgroundColor: '#ff6b6b', justifyContent: 'center', alignItems: 'center' }}>
+                  <Text style={{ color: '#fff', fontSize: 11, fontWeight: 'bold' }}>{changesCount}</Text>
+                </View>
+              )}
+            </View>
+          </TouchableOpacity>
+
+          <TouchableOpacity style={[styles.menuButton, { backgroundColor: theme.buttonBackground }]} onPress={onOpenExport}>
+            <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'center' }}>
+              <Ionicons name="share-outline" size={20} color={theme.buttonText} style={{ marginRight: 10 }} />
+              <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Exporter (.ics)</Text>
+            </View>
+          </TouchableOpacity>
+
+          <TouchableOpacity style={[styles.menuButton, { backgroundColor: theme.buttonBackground }]} onPress={onOpenOverlay}>
+            <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'center' }}>
+              <Ionicons name="layers-outline" size={20} color={theme.buttonText} style={{ marginRight: 10 }} />
+              <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Superposer</Text>
+              {overlayCount > 0 && (
+                <Text style={[styles.menuButtonText, { color: theme.buttonText, opacity: 0.6, marginLeft: 6 }]}>({overlayCount + 1})</Text>
+              )}
+            </View>
+          </TouchableOpacity>
+
+          <TouchableOpacity style={[styles.menuButton, { backgroundColor: theme.buttonBackground }]} onPress={onOpenCommonSlots}>
+            <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'center' }}>
+              <Ionicons name="people-outline" size={20} color={theme.buttonText} style={{ marginRight: 10 }} />
+              <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Créneaux communs</Text>
+            </View>
+          </TouchableOpacity>
+
+          {Platform.OS === 'android' && (
+            <TouchableOpacity style={[styles.menuButton, { backgroundColor: theme.buttonBackground }]} onPress={onOpenWidget}>
+              <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'center' }}>
+                <Ionicons name="apps-outline" size={20} color={theme.buttonText} style={{ marginRight: 10 }} />
+                <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Widget</Text>
+              </View>
+            </TouchableOpacity>
+          )}
+
+          <TouchableOpacity style={[styles.menuButton, { backgroundColor: theme.buttonBackground }]} onPress={onOpenDepartment}>
+            <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'center' }}>
+              <Ionicons name="business-outline" size={20} color={theme.buttonText} style={{ marginRight: 10 }} />
+              <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Département ({departmentLabel})</Text>
+            </View>
+          </TouchableOpacity>
 
-          {!editingItem && (
-            <View style={styles.buttonContainer}>
-              <TouchableOpacity onPress={onBack} style={[styles.backButton, { backgroundColor: theme.modalButton }]}>
-                <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Retour</Text>
+          <TouchableOpacity style={[styles.menuButton, { backgroundColor: theme.buttonBackground }]} onPress={onForceRefresh}>
+            <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'center' }}>
+              <Ionicons name="refresh" size={20} color={theme.buttonText} style={{ marginRight: 10 }} />
+              <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Actualiser le planning</Text>
+            </View>
+          </TouchableOpacity>
+
+          {lastSyncAt && (
+            <Text style={{ color: theme.modalText, opacity: 0.5, fontSize: 11, marginTop: 5 }}>
+              Dernière actualisation : {lastSyncAt.toLocaleDateString('fr-FR')} à {lastSyncAt.toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' })}
+            </Text>
+          )}
+
+          <View style={{ marginTop: 20, width: '100%', flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
+            <Text style={{ color: theme.modalText, opacity: 0.5, fontSize: 12 }}>{appVersion}</Text>
+            <TouchableOpacity onPress={onClose} style={[styles.closeButton, { backgroundColor: theme.modalButton }]}>
+              <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Fermer</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </TouchableOpacity>
+    </Modal>
+  );
+};
+
+/**
+ * Modal de choix du département (affichée au premier lancement, puis depuis le menu)
+ * Sans onClose, le choix est obligatoire. Depuis le menu, elle permet aussi de mettre à jour
+ * les données de l'IUT (catalogue des groupes, calendrier scolaire) à partir d'un JSON copié.
+ */
+const DepartmentPickerModal = ({ visible, onClose, onSelect, currentKey, onCatalogChange, onSchoolCalendarChange, theme }) => {
+  /**
+   * Installe un catalogue de groupes (JSON) copié dans le presse-papier
+   */
+  const handleImportCatalog = async () => {
+    try {
+      const catalog = await installCatalog(await Clipboard.getStringAsync());
+      onCatalogChange(catalog);
+      Alert.alert("📚 Catalogue installé", `Version ${catalog.version} • ${catalog.years.length} promotion(s)`);
+    } catch (error) {
+      Alert.alert("❌ Catalogue refusé", error.message);
+    }
+  };
+
+  const handleResetCatalog = async () => {
+    onCatalogChange(await resetCatalog());
+    Alert.alert("Catalogue", "Catalogue embarqué rétabli.");
+  };
+
+  /**
+   * Installe le calendrier scolaire d'une année (JSON) copié dans le presse-papier
+   */
+  const handleImportSchoolCalendar = async () => {
+    try {
+      const calendar = await installSchoolCalendar(await Clipboard.getStringAsync());
+      onSchoolCalendarChange(getSchoolCalendarYears());
+      Alert.alert("🌴 Calendrier installé", `Année ${calendar.year} • ${calendar.holidays.length} période(s) de vacances`);
+    } catch (error) {
+      Alert.alert("❌ Calendrier refusé", error.message);
+    }
+  };
+
+  const handleResetSchoolCalendars = async () => {
+    onSchoolCalendarChange(await resetSchoolCalendars());
+    Alert.alert("Calendrier scolaire", "Calendriers embarqués rétablis.");
+  };
+
+  const renderDataRow = (label, onImport, onReset) => (
+    <View style={{ width: '100%', marginBottom: 10 }}>
+      <Text style={{ color: theme.modalText, fontSize: 12, opacity: 0.7, marginBottom: 6 }}>{label}</Text>
+      <View style={{ flexDirection: 'row', justifyContent: 'space-between' }}>
+        <TouchableOpacity onPress={onImport} style={[styles.logsActionButton, { backgroundColor: theme.buttonBackground, flex: 1, marginRight: 8 }]}>
+          <Ionicons name="clipboard-outline" size={18} color={theme.buttonText} />
+          <Text style={[styles.logsButtonText, { color: theme.buttonText }]}>Importer</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={onReset} style={[styles.logsActionButton, { backgroundColor: theme.buttonBackground, flex: 1 }]}>
+          <Ionicons name="arrow-undo-outline" size={18} color={theme.buttonText} />
+          <Text style={[styles.logsButtonText, { color: theme.buttonText }]}>Réinitialiser</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose || (() => {})}>
+      <View style={[styles.modalOverlay, { backgroundColor: theme.modalBackground === themes.dark.modalBackground ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.5)' }]}>
+        <View style={[styles.menuContent, { backgroundColor: theme.modalBackground }]}>
+          <Text style={[styles.menuTitle, { color: theme.modalText }]}>Département 🏫</Text>
+          <Text style={{ color: theme.modalText, opacity: 0.6, fontSize: 12, marginTop: 5, marginBottom: 20, textAlign: 'center' }}>
+            Choisissez votre département de l'IUT de Tours
+          </Text>
+
+          {DEPARTMENTS.map(department => {
+            const isActive = department.key === currentKey;
+            // Sans catalogue embarqué, le département n'aurait aucun groupe : désactivé tant que ses ressources ADE
+            // ne sont pas connues (sauf s'il est déjà actif, avec un catalogue importé)
+            const isAvailable = !!department.catalog || isActive;
+            return (
+              <TouchableOpacity
+                key={department.key}
+                disabled={!isAvailable}
+                style={[styles.menuButton, { backgroundColor: theme.buttonBackground, borderWidth: isActive ? 2 : 0, borderColor: '#4caf50', opacity: isAvailable ? 1 : 0.4 }]}
+                onPress={() => onSelect(department.key)}
+              >
+                <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>{department.label}</Text>
+                <Text style={{ color: theme.buttonText, opacity: 0.6, fontSize: 11, textAlign: 'center' }}>
+                  {isAvailable ? department.name : `${department.name} • bientôt disponible`}
+                </Text>
               </TouchableOpacity>
-              <TouchableOpacity onPress={onClose} style={[styles.closeButton, { backgroundColor: theme.modalButton }]}>
+            );
+          })}
+
+          {/* Données de l'IUT : JSON publié par le département, copié dans le presse-papier */}
+          {onClose && (
+            <View style={{ width: '100%', marginTop: 10, paddingTop: 15, borderTopWidth: 1, borderTopColor: theme.borderColor }}>
+              <Text style={{ color: theme.modalText, fontSize: 15, fontWeight: 'bold', marginBottom: 4 }}>Mettre à jour les données</Text>
+              <Text style={{ color: theme.modalText, opacity: 0.6, fontSize: 11, marginBottom: 10 }}>
+                Copiez le fichier JSON fourni par votre département, puis touchez Importer
+              </Text>
+              {renderDataRow(`Catalogue des groupes : ${getCatalog().version}`, handleImportCatalog, handleResetCatalog)}
+              {renderDataRow(`Calendrier scolaire : ${getSchoolCalendarYears().join(', ')}`, handleImportSchoolCalendar, handleResetSchoolCalendars)}
+            </View>
+          )}
+
+          {onClose && (
+            <View style={styles.buttonContainer}>
+              <TouchableOpacity onPress={onClose} style={[styles.closeButton, { backgroundColor: theme.modalButton, width: '100%', alignItems: 'center' }]}>
                 <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Fermer</Text>
               </TouchableOpacity>
             </View>
@@ -1052,214 +1912,694 @@ const CourseColorCustomizationModal = ({ visible, onClose, onBack, events, cours
 };
 
 /**
- * Modal du menu principal
+ * Modal de réglage des notifications (Version Toggle Switch)
+ */
+const NotificationSettingsModal = ({ visible, onClose, onBack, theme, notificationsEnabled, setNotificationsEnabled, notificationDelay, setNotificationDelay, ongoingEnabled, setOngoingEnabled, changeAlerts, setChangeAlerts, favorites = [], onSave }) => {
+  
+  const hours = Array.from({ length: 25 }, (_, i) => i);
+  const minutes = Array.from({ length: 60 }, (_, i) => i);
+
+  // Composant interne pour le Scroll de temps
+  const TimeColumn = ({ data, selected, onSelect, suffix }) => (
+    <ScrollView 
+      style={{ height: 150, width: 80, backgroundColor: theme.buttonBackground, borderRadius: 8, marginHorizontal: 5 }}
+      contentContainerStyle={{ paddingVertical: 60 }}
+      showsVerticalScrollIndicator={false}
+      snapToInterval={40}
+      decelerationRate="fast"
+    >
+      {data.map((item) => {
+        const isSelected = item === selected;
+        return (
+          <TouchableOpacity 
+            key={item} 
+            style={{ height: 40, justifyContent: 'center', alignItems: 'center' }}
+            onPress={() => onSelect(item)}
+          >
+            <Text style={{ color: theme.modalText, fontSize: 18, fontWeight: isSelected ? 'bold' : 'normal', opacity: isSelected ? 1 : 0.3 }}>
+              {item < 10 ? `0${item}` : item} {suffix}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </ScrollView>
+  );
+
+  // Petit interrupteur pour les alertes de modification
+  const renderSmallSwitch = (value, onToggle) => (
+    <TouchableOpacity
+      activeOpacity={0.8}
+      onPress={onToggle}
+      style={{
+        width: 44,
+        height: 26,
+        borderRadius: 13,
+        backgroundColor: value ? '#4caf50' : theme.borderColor,
+        padding: 2,
+        justifyContent: 'center',
+        alignItems: value ? 'flex-end' : 'flex-start',
+      }}
+    >
+      <View style={{ width: 22, height: 22, borderRadius: 11, backgroundColor: '#fff' }} />
+    </TouchableOpacity>
+  );
+
+  const toggleFavoriteAlert = (fav) => {
+    const key = getChangeAlertKey(fav.type, fav.value);
+    setChangeAlerts(prev => ({ ...prev, favorites: { ...prev.favorites, [key]: !prev.favorites[key] } }));
+  };
+
+  return (
+    <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
+      <View style={[styles.modalOverlay, { backgroundColor: theme.modalBackground === themes.dark.modalBackground ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.5)' }]}>
+        <View style={[styles.menuContent, { backgroundColor: theme.modalBackground, width: '90%', maxHeight: '90%' }]}>
+          
+          <Text style={[styles.modalTitle, { color: theme.modalText, marginBottom: 30 }]}>Paramètres Notifications</Text>
+
+          {/* --- ZONE TOGGLE --- */}
+          <View style={{ 
+            flexDirection: 'row', 
+            justifyContent: 'space-between', 
+            alignItems: 'center', 
+            width: '100%', 
+            paddingHorizontal: 10,
+            marginBottom: notificationsEnabled ? 30 : 10 // Plus d'espace si ouvert
+          }}>
+            <Text style={{ color: theme.modalText, fontSize: 16, fontWeight: '600' }}>
+              État des notifications :
+            </Text>
+
+            {/* LE BOUTON SWITCH CUSTOM */}
+            <TouchableOpacity 
+              activeOpacity={0.8}
+              onPress={() => setNotificationsEnabled(!notificationsEnabled)}
+              style={{
+                width: 60,
+                height: 34,
+                borderRadius: 20,
+                backgroundColor: notificationsEnabled ? '#4caf50' : theme.borderColor, // Vert si ON, Gris si OFF
+                padding: 4,
+                justifyContent: 'center',
+                alignItems: notificationsEnabled ? 'flex-end' : 'flex-start', // Bouge le cercle
+                borderWidth: 1,
+                borderColor: theme.borderColor
+              }}
+            >
+              {/* Le cercle (Thumb) */}
+              <View style={{
+                width: 26,
+                height: 26,
+                borderRadius: 13,
+                backgroundColor: '#fff',
+                shadowColor: "#000",
+                shadowOffset: { width: 0, height: 2 },
+                shadowOpacity: 0.2,
+                shadowRadius: 2,
+                elevation: 2,
+              }} />
+            </TouchableOpacity>
+          </View>
+
+          {/* --- ZONE SÉLECTEUR DE TEMPS (Conditionnelle) --- */}
+          {notificationsEnabled && (
+            <View style={{ alignItems: 'center', marginBottom: 20, width: '100%' }}>
+              {/* Ligne de séparation subtile */}
+              <View style={{ height: 1, width: '80%', backgroundColor: theme.borderColor, marginBottom: 20 }} />
+
+              <Text style={{ color: theme.modalText, marginBottom: 15, fontStyle: 'italic', opacity: 0.8 }}>
+                M'alerter avant le cours :
+              </Text>
+              
+              <View style={{ flexDirection: 'row', height: 150, alignItems: 'center' }}>
+                <TimeColumn 
+                  data={hours} 
+                  selected={notificationDelay.hours} 
+                  onSelect={(h) => setNotificationDelay(prev => ({ ...prev, hours: h }))} 
+                  suffix="h"
+                />
+                <Text style={{ color: theme.modalText, fontSize: 20, fontWeight: 'bold', marginHorizontal: 5 }}>:</Text>
+                <TimeColumn 
+                  data={minutes} 
+                  selected={notificationDelay.minutes} 
+                  onSelect={(m) => setNotificationDelay(prev => ({ ...prev, minutes: m }))} 
+                  suffix="m"
+                />
+              </View>
+
+              <Text style={{ color: '#4caf50', marginTop: 15, fontSize: 13, fontWeight: '500' }}>
+                Rappel configuré : {notificationDelay.hours}h {notificationDelay.minutes}m avant
+              </Text>
+            </View>
+          )}
+
+          {/* --- ZONE NOTIFICATION PERMANENTE (Android) --- */}
+          {Platform.OS === 'android' && (
+            <>
+              <View style={{ height: 1, width: '80%', backgroundColor: theme.borderColor, marginBottom: 15 }} />
+              <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', width: '100%', paddingHorizontal: 10, marginBottom: 15 }}>
+                <View style={{ flex: 1, marginRight: 10 }}>
+                  <Text style={{ color: theme.modalText, fontSize: 16, fontWeight: '600' }}>En cours / Ensuite</Text>
+                  <Text style={{ color: theme.modalText, fontSize: 11, opacity: 0.6 }}>
+                    Notification permanente pendant la journée de cours (salle, compte à rebours)
+                  </Text>
+                </View>
+                {renderSmallSwitch(ongoingEnabled, () => setOngoingEnabled(!ongoingEnabled))}
+              </View>
+            </>
+          )}
+
+          {/* --- ZONE ALERTES DE MODIFICATION --- */}
+          <View style={{ height: 1, width: '80%', backgroundColor: theme.borderColor, marginBottom: 15 }} />
+          <Text style={{ color: theme.modalText, fontSize: 16, fontWeight: '600', alignSelf: 'flex-start', paddingHorizontal: 10 }}>
+            Alertes de modification
+          </Text>
+          <Text style={{ color: theme.modalText, fontSize: 11, opacity: 0.6, alignSelf: 'flex-start', paddingHorizontal: 10, marginBottom: 10 }}>
+            Cours ajouté, annulé, déplacé ou changé de salle{notificationsEnabled ? '' : ' (activez les notifications pour les recevoir)'}
+          </Text>
+
+          <ScrollView style={{ width: '100%', maxHeight: 160 }}>
+            <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', paddingHorizontal: 10, paddingVertical: 6 }}>
+              <Text style={{ color: theme.modalText, fontSize: 14 }}>Sélection actuelle</Text>
+              {renderSmallSwitch(changeAlerts.current, () => setChangeAlerts(prev => ({ ...prev, current: !prev.current })))}
+            </View>
+
+            {favorites.map((fav, index) => (
+              <View key={index} style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', paddingHorizontal: 10, paddingVertical: 6 }}>
+                <View style={{ flexDirection: 'row', alignItems: 'center', flex: 1 }}>
+                  <Ionicons name="star" size={12} color="#FFD700" style={{ marginRight: 6 }} />
+                  <Text style={{ color: theme.modalText, fontSize: 14, flex: 1 }} numberOfLines={1}>{fav.label}</Text>
+                </View>
+                {renderSmallSwitch(!!changeAlerts.favorites[getChangeAlertKey(fav.type, fav.value)], () => toggleFavoriteAlert(fav))}
+              </View>
+            ))}
+          </ScrollView>
+
+          <View style={styles.buttonContainer}>
+             <TouchableOpacity onPress={onBack} style={[styles.backButton, { backgroundColor: theme.modalButton }]}>
+              <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Retour</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={onSave} style={[styles.closeButton, { backgroundColor: theme.buttonBackground, borderWidth: 1, borderColor: '#4caf50' }]}>
+              <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Enregistrer</Text>
+            </TouchableOpacity>
+          </View>
+
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+/**
+ * Modal du sous-menu personnalisation
+ */
+const PersonalizationMenuModal = ({ visible, onClose, onBack, onOpenThemeSelector, onOpenCourseColorCustomization, onOpenViewSelector, theme }) => {
+  return (
+    <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
+      <View style={[styles.modalOverlay, { backgroundColor: theme.modalBackground === themes.dark.modalBackground ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.5)' }]}>
+        <View style={[styles.menuContent, { backgroundColor: theme.modalBackground }]}>
+          <Text style={[styles.menuTitle, { color: theme.modalText }]}>Personnalisation</Text>
+          
+          <TouchableOpacity style={[styles.menuButton, { backgroundColor: theme.buttonBackground }]} onPress={onOpenThemeSelector}>
+            <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Thèmes</Text>
+          </TouchableOpacity>
+          
+          <TouchableOpacity style={[styles.menuButton, { backgroundColor: theme.buttonBackground }]} onPress={onOpenCourseColorCustomization}>
+            <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Couleurs des cours</Text>
+          </TouchableOpacity>
+          
+          <TouchableOpacity style={[styles.menuButton, { backgroundColor: theme.buttonBackground }]} onPress={onOpenViewSelector}>
+            <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Type d'affichage</Text>
+          </TouchableOpacity>
+          
+          {/* Le bouton Notifications a été retiré d'ici */}
+          
+          <View style={styles.buttonContainer}>
+            <TouchableOpacity onPress={onBack} style={[styles.backButton, { backgroundColor: theme.modalButton }]}>
+              <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Retour</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={onClose} style={[styles.closeButton, { backgroundColor: theme.modalButton }]}>
+              <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Fermer</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+/**
+ * Modal de sélection du type d'affichage
  */
-const MenuModal = ({ visible, onClose, onOpenPersonalization, onForceRefresh, onOpenNotifications, theme, onMenuTitlePress, tapCount, appVersion }) => {
-  
-  // Fonction pour gérer le clic sur le logo GitHub
-  const handleOpenGithub = () => {
-    Alert.alert(
-      "Projet Open Source",
-      "Consulter le dêpot GitHub du projet ?\n(Code source, documentation...)",
-      [
-        { text: "Non", style: "cancel" },
-        { 
-          text: "Oui", 
-          onPress: () => Linking.openURL('https://github.com/DoodzProg/Mobile-App_BUT-GEII-Tours_EDT-ade?tab=readme-ov-file') 
-        }
-      ]
-    );
-  };
+const ViewSelectionModal = ({ visible, onClose, onBack, onToggleView, viewMode, hourRange, onChangeHourRange, theme }) => {
+  // Réglage d'une borne de la plage minimale (au moins une heure entre début et fin)
+  const renderHourStepper = (label, key, min, max) => (
+    <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', width: '100%', marginBottom: 8 }}>
+      <Text style={{ color: theme.modalText }}>{label}</Text>
+      <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+        <TouchableOpacity disabled={hourRange[key] <= min} onPress={() => onChangeHourRange({ ...hourRange, [key]: hourRange[key] - 1 })} style={{ padding: 6, opacity: hourRange[key] <= min ? 0.3 : 1 }}>
+          <Ionicons name="remove-circle-outline" size={24} color={theme.modalText} />
+        </TouchableOpacity>
+        <Text style={{ color: theme.modalText, fontWeight: 'bold', width: 36, textAlign: 'center' }}>{hourRange[key]}h</Text>
+        <TouchableOpacity disabled={hourRange[key] >= max} onPress={() => onChangeHourRange({ ...hourRange, [key]: hourRange[key] + 1 })} style={{ padding: 6, opacity: hourRange[key] >= max ? 0.3 : 1 }}>
+          <Ionicons name="add-circle-outline" size={24} color={theme.modalText} />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
 
   return (
-    <Modal animationType="fade" transparent={true} visible={visible} onRequestClose={onClose}>
-      <TouchableOpacity style={styles.modalOverlay} activeOpacity={1} onPress={onClose}>
-        <View style={[styles.menuContent, { backgroundColor: theme.modalBackground, position: 'relative' }]}>
+    <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
+      <View style={[styles.modalOverlay, { backgroundColor: theme.modalBackground === themes.dark.modalBackground ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.5)' }]}>
+        <View style={[styles.menuContent, { backgroundColor: theme.modalBackground }]}>
+          <Text style={[styles.menuTitle, { color: theme.modalText }]}>Choisissez l'affichage</Text>
           
-          {/* --- 1. Logo GITHUB (Aligné en haut à gauche) --- */}
           <TouchableOpacity 
-            onPress={handleOpenGithub}
-            style={{ 
-              position: 'absolute', 
-              top: 20, 
-              left: 20, 
-              zIndex: 10,
-              padding: 5
-            }}
+            style={[styles.menuButton, viewMode === 'week' && styles.selectedButton, { backgroundColor: theme.buttonBackground }]} 
+            onPress={() => onToggleView('week')}
           >
-            <Ionicons name="logo-github" size={32} color={theme.modalText} />
+            <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Semaine (5j)</Text>
           </TouchableOpacity>
 
-          {/* --- 2. Titre "Menu" (Centré avec Easter Egg Logs) --- */}
-          <TouchableOpacity activeOpacity={1} onPress={onMenuTitlePress} style={{ marginTop: 15, marginBottom: 20 }}>
-            <Text style={[styles.menuTitle, { color: theme.modalText, marginBottom: 0 }]}>Menu</Text>
+          <TouchableOpacity 
+            style={[styles.menuButton, viewMode === 'fullweek' && styles.selectedButton, { backgroundColor: theme.buttonBackground }]} 
+            onPress={() => onToggleView('fullweek')}
+          >
+            <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Semaine & Week-end (7j)</Text>
           </TouchableOpacity>
-          
-          {/* Compteur pour l'Easter Egg (Logs) */}
-          {tapCount > 0 && tapCount < 5 && (
-            <Text style={{ color: theme.modalText, fontSize: 10, textAlign: 'center', marginBottom: 10 }}>
-              encore {5 - tapCount}...
-            </Text>
-          )}
 
-          {/* --- Les Boutons --- */}
+          <TouchableOpacity 
+            style={[styles.menuButton, viewMode === 'day' && styles.selectedButton, { backgroundColor: theme.buttonBackground }]} 
+            onPress={() => onToggleView('day')}
+          >
+            <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Jour</Text>
+          </TouchableOpacity>
 
-          <TouchableOpacity style={[styles.menuButton, { backgroundColor: theme.buttonBackground }]} onPress={onOpenPersonalization}>
-            <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Personnalisation</Text>
+          <TouchableOpacity 
+            style={[styles.menuButton, viewMode === 'agenda' && styles.selectedButton, { backgroundColor: theme.buttonBackground }]} 
+            onPress={() => onToggleView('agenda')}
+          >
+            <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Agenda (liste)</Text>
           </TouchableOpacity>
 
-          <TouchableOpacity style={[styles.menuButton, { backgroundColor: theme.buttonBackground }]} onPress={onOpenNotifications}>
-            <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'center' }}>
-              <Ionicons name="notifications" size={20} color={theme.buttonText} style={{ marginRight: 10 }} />
-              <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Notifications</Text>
-            </View>
+          <TouchableOpacity 
+            style={[styles.menuButton, viewMode === 'month' && styles.selectedButton, { backgroundColor: theme.buttonBackground }]} 
+            onPress={() => onToggleView('month')}
+          >
+            <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Mois</Text>
           </TouchableOpacity>
 
-          <TouchableOpacity style={[styles.menuButton, { backgroundColor: theme.buttonBackground }]} onPress={onForceRefresh}>
-            <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'center' }}>
-              <Ionicons name="refresh" size={20} color={theme.buttonText} style={{ marginRight: 10 }} />
-              <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Actualiser le planning</Text>
-            </View>
+          {/* --- PLAGE HORAIRE DE LA GRILLE --- */}
+          <View style={{ height: 1, width: '80%', backgroundColor: theme.borderColor, marginVertical: 10 }} />
+          <Text style={{ color: theme.modalText, fontWeight: 'bold', marginBottom: 4 }}>Plage horaire</Text>
+          <Text style={{ color: theme.modalText, fontSize: 12, opacity: 0.7, marginBottom: 10, textAlign: 'center' }}>
+            {hourRange.compact
+              ? 'Grille limitée aux heures de cours affichées'
+              : 'Plage toujours visible, élargie si des cours débordent'}
+          </Text>
+          {!hourRange.compact && renderHourStepper('Début', 'start', 0, hourRange.end - 1)}
+          {!hourRange.compact && renderHourStepper('Fin', 'end', hourRange.start + 1, 24)}
+          <TouchableOpacity 
+            style={[styles.menuButton, hourRange.compact && styles.selectedButton, { backgroundColor: theme.buttonBackground }]} 
+            onPress={() => onChangeHourRange({ ...hourRange, compact: !hourRange.compact })}
+          >
+            <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Mode compact {hourRange.compact ? '✓' : ''}</Text>
           </TouchableOpacity>
 
-          <View style={{ marginTop: 20, width: '100%', flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
-            <Text style={{ color: theme.modalText, opacity: 0.5, fontSize: 12 }}>{appVersion}</Text>
+          <View style={styles.buttonContainer}>
+            <TouchableOpacity onPress={onBack} style={[styles.backButton, { backgroundColor: theme.modalButton }]}>
+              <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Retour</Text>
+            </TouchableOpacity>
             <TouchableOpacity onPress={onClose} style={[styles.closeButton, { backgroundColor: theme.modalButton }]}>
               <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Fermer</Text>
             </TouchableOpacity>
           </View>
         </View>
-      </TouchableOpacity>
+      </View>
+    </Modal>
+  );
+};
+
+/**
+ * Modal de détails d'un événement (Version Finale avec boxText)
+ */
+const EventDetailsModal = ({ visible, onClose, onBack, event, theme }) => {
+  if (!event) return null;
+  
+  const padZero = (num) => num < 10 ? `0${num}` : num;
+  const startTime = `${padZero(event.start.getHours())}:${padZero(event.start.getMinutes())}`;
+  const endTime = `${padZero(event.end.getHours())}:${padZero(event.end.getMinutes())}`;
+
+  const displayLocation = formatLocation(event.location);
+
+  // Organise les groupes par promotion du catalogue actif
+  const activeGroups = organizeEventGroups(event.groups);
+
+  // Rendu d'une ligne d'information "Box"
+  const renderInfoBox = (icon, label, value) => (
+    <View style={{ 
+      backgroundColor: theme.borderColor, 
+      borderRadius: 12, 
+      padding: 12, 
+      marginBottom: 10,
+      flexDirection: 'row',
+      alignItems: 'center'
+    }}>
+      {/* MODIF: Utilisation de boxText pour l'icône */}
+      <Ionicons name={icon} size={24} color={theme.boxText || theme.text} style={{ opacity: 0.7, marginRight: 15 }} />
+      <View style={{ flex: 1 }}>
+        {/* MODIF: Utilisation de boxText pour le label */}
+        <Text style={{ color: theme.boxText || theme.modalText, fontSize: 11, textTransform: 'uppercase', opacity: 0.7, marginBottom: 2, fontWeight: 'bold' }}>
+          {label}
+        </Text>
+        {/* MODIF: Utilisation de boxText pour la valeur */}
+        <Text style={{ color: theme.boxText || theme.modalText, fontSize: 15, fontWeight: '500' }}>
+          {value || "Non spécifié"}
+        </Text>
+      </View>
+    </View>
+  );
+
+  return (
+    <Modal animationType="fade" transparent={true} visible={visible} onRequestClose={onClose}>
+      <View style={[styles.modalOverlay, { backgroundColor: theme.modalBackground === themes.dark.modalBackground ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.5)' }]}>
+        <View style={[styles.detailsModalContent, { backgroundColor: theme.modalBackground, maxHeight: '90%', width: '90%', padding: 0 }]}>
+          
+          {/* En-tête */}
+          <View style={{ padding: 20, borderBottomWidth: 1, borderBottomColor: theme.borderColor, alignItems: 'center', width: '100%' }}>
+            <Text style={[styles.detailsModalTitle, { color: theme.modalText, marginBottom: 5 }]}>Détails du cours</Text>
+            {(() => {
+              const fullDate = event.start.toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long' });
+              const formattedDate = fullDate.charAt(0).toUpperCase() + fullDate.slice(1);
+              return (
+                <Text style={{ color: theme.modalText, opacity: 0.7, fontStyle: 'italic' }}>
+                  {formattedDate} • {event.start.getFullYear()}
+                </Text>
+              );
+            })()}
+          </View>
+
+          <ScrollView style={{ width: '100%', padding: 20 }}>
+            
+            {/* Infos Principales */}
+            {renderInfoBox("school-outline", "Matière", event.title)}
+            {renderInfoBox("time-outline", "Horaires", `${startTime} - ${endTime}`)}
+            {renderInfoBox("location-outline", "Salle", displayLocation)}
+            {renderInfoBox("person-outline", getEventTeachers(event).length > 1 ? "Enseignants" : "Enseignant", getEventTeachers(event).join('\n'))}
+            {event.notes && event.notes.length > 0 && renderInfoBox("chatbox-ellipses-outline", "Remarques", event.notes.join('\n'))}
+
+            {/* Groupes Dynamiques */}
+            {activeGroups.length > 0 && (
+              <View style={{ marginTop: 10, marginBottom: 20 }}>
+                <Text style={{ color: theme.modalText, fontSize: 11, textTransform: 'uppercase', opacity: 0.5, marginBottom: 10, fontWeight: 'bold', marginLeft: 5 }}>
+                  Groupes concernés
+                </Text>
+                
+                <View style={{ flexDirection: 'row', justifyContent: 'space-between' }}>
+                  {activeGroups.map((col, index) => (
+                    <View key={col.title} style={{ 
+                      flex: 1, 
+                      backgroundColor: theme.borderColor, 
+                      borderRadius: 8, 
+                      padding: 12, 
+                      marginRight: index < activeGroups.length - 1 ? 8 : 0 
+                    }}>
+                      {/* C'EST ICI QUE TU MODIFIES LE TITRE DE COLONNE */}
+                      <Text style={{ color: theme.boxText || theme.modalText, fontWeight: 'bold', textAlign: 'center', marginBottom: 8, opacity: 0.9, borderBottomWidth: 1, borderBottomColor: theme.eventBorder, paddingBottom: 5 }}>
+                        {col.title}
+                      </Text>
+                      
+                      <View style={{ alignItems: 'center' }}>
+                        {col.data.map((g, i) => (
+                          // C'EST ICI QUE TU MODIFIES LA LISTE DES GROUPES
+                          <Text key={i} style={{ color: theme.boxText || theme.modalText, fontSize: 14, marginBottom: 4, fontWeight: '500' }}>
+                            {g}
+                          </Text>
+                        ))}
+                      </View>
+                    </View>
+                  ))}
+                </View>
+              </View>
+            )}
+
+            {/* Time Log */}
+            {event.timeLog && (
+              <Text style={{ textAlign: 'center', color: theme.modalText, opacity: 0.3, fontSize: 10, fontStyle: 'italic', marginBottom: 10 }}>
+                {event.timeLog}
+              </Text>
+            )}
+
+          </ScrollView>
+
+          {/* Footer */}
+          <View style={{ padding: 20, borderTopWidth: 1, borderTopColor: theme.borderColor, width: '100%', flexDirection: 'row', justifyContent: 'space-between' }}>
+            <TouchableOpacity onPress={onBack} style={[styles.backButton, { backgroundColor: theme.modalButton, flex: 1, marginRight: 10, alignItems: 'center' }]}>
+              <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Retour</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={onClose} style={[styles.closeButton, { backgroundColor: theme.modalButton, flex: 1, marginLeft: 10, alignItems: 'center' }]}>
+              <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Fermer</Text>
+            </TouchableOpacity>
+          </View>
+
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+
+/**
+ * Modal listant des cours simultanés (ouverte via le bloc "+N" du planning)
+ */
+const OverlappingEventsModal = ({ visible, onClose, events, onSelectEvent, getEventColor, theme }) => {
+  const padZero = (num) => num < 10 ? `0${num}` : num;
+  const formatTime = (date) => `${padZero(date.getHours())}:${padZero(date.getMinutes())}`;
+
+  return (
+    <Modal animationType="fade" transparent={true} visible={visible} onRequestClose={onClose}>
+      <View style={[styles.modalOverlay, { backgroundColor: theme.modalBackground === themes.dark.modalBackground ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.5)' }]}>
+        <View style={[styles.modalContent, { backgroundColor: theme.modalBackground, width: '90%', maxHeight: '80%' }]}>
+          <Text style={[styles.modalTitle, { color: theme.modalText, marginBottom: 15 }]}>Cours simultanés</Text>
+
+          <ScrollView style={{ width: '100%' }}>
+            {events.map((event, index) => (
+              <TouchableOpacity
+                key={index}
+                onPress={() => onSelectEvent(event)}
+                style={{
+                  flexDirection: 'row',
+                  alignItems: 'center',
+                  padding: 12,
+                  marginBottom: 8,
+                  borderRadius: 8,
+                  backgroundColor: theme.buttonBackground,
+                }}
+              >
+                <View style={{ width: 12, height: 12, borderRadius: 6, backgroundColor: getEventColor(event), borderWidth: 1, borderColor: theme.borderColor, marginRight: 12 }} />
+                <View style={{ flex: 1 }}>
+                  <Text style={{ color: theme.buttonText, fontWeight: 'bold' }} numberOfLines={1}>{event.title}</Text>
+                  <Text style={{ color: theme.buttonText, fontSize: 12, opacity: 0.7 }} numberOfLines={1}>
+                    {formatTime(event.start)} - {formatTime(event.end)} • {event.location}
+                  </Text>
+                </View>
+                <Ionicons name="chevron-forward" size={18} color={theme.buttonText} style={{ opacity: 0.5 }} />
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+
+          <View style={styles.buttonContainer}>
+            <TouchableOpacity onPress={onClose} style={[styles.closeButton, { backgroundColor: theme.modalButton, width: '100%', alignItems: 'center' }]}>
+              <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Fermer</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
     </Modal>
   );
 };
 
 /**
- * Modal de réglage des notifications (Version Toggle Switch)
+ * Modal "Aller à..." : mini calendrier, bouton Aujourd'hui et frise des semaines de l'année scolaire
+ * Les semaines sans aucun cours dans le calendrier global (vacances) sont grisées.
  */
-const NotificationSettingsModal = ({ visible, onClose, onBack, theme, notificationsEnabled, setNotificationsEnabled, notificationDelay, setNotificationDelay, onSave }) => {
-  
-  const hours = Array.from({ length: 25 }, (_, i) => i);
-  const minutes = Array.from({ length: 60 }, (_, i) => i);
+const DatePickerModal = ({ visible, onClose, date, onSelectDate, weekKeys, theme }) => {
+  const [monthCursor, setMonthCursor] = useState(() => new Date(date.getFullYear(), date.getMonth(), 1));
+  const stripRef = useRef(null);
 
-  // Composant interne pour le Scroll de temps
-  const TimeColumn = ({ data, selected, onSelect, suffix }) => (
-    <ScrollView 
-      style={{ height: 150, width: 80, backgroundColor: theme.buttonBackground, borderRadius: 8, marginHorizontal: 5 }}
-      contentContainerStyle={{ paddingVertical: 60 }}
-      showsVerticalScrollIndicator={false}
-      snapToInterval={40}
-      decelerationRate="fast"
-    >
-      {data.map((item) => {
-        const isSelected = item === selected;
-        return (
-          <TouchableOpacity 
-            key={item} 
-            style={{ height: 40, justifyContent: 'center', alignItems: 'center' }}
-            onPress={() => onSelect(item)}
-          >
-            <Text style={{ color: theme.modalText, fontSize: 18, fontWeight: isSelected ? 'bold' : 'normal', opacity: isSelected ? 1 : 0.3 }}>
-              {item < 10 ? `0${item}` : item} {suffix}
-            </Text>
-          </TouchableOpacity>
-        );
-      })}
-    </ScrollView>
-  );
+  // Le mini calendrier s'ouvre sur le mois affiché
+  useEffect(() => {
+    if (visible) setMonthCursor(new Date(date.getFullYear(), date.getMonth(), 1));
+  }, [visible]);
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const selectedWeekKey = getWeekKey(date);
+  const storedWeeks = new Set(weekKeys);
+
+  // Grille du mini calendrier (6 semaines à partir du lundi)
+  const gridStart = new Date(monthCursor);
+  gridStart.setDate(gridStart.getDate() - (gridStart.getDay() || 7) + 1);
+  const gridDays = Array.from({ length: 42 }, (_, i) => {
+    const day = new Date(gridStart);
+    day.setDate(gridStart.getDate() + i);
+    return day;
+  });
+  const monthLabel = monthCursor.toLocaleDateString('fr-FR', { month: 'long', year: 'numeric' });
+
+  // Semaines de l'année scolaire de la date affichée (septembre -> août)
+  const schoolYear = date.getMonth() >= SCHOOL_YEAR_START_MONTH ? date.getFullYear() : date.getFullYear() - 1;
+  const firstMonday = new Date(schoolYear, SCHOOL_YEAR_START_MONTH, 1);
+  firstMonday.setDate(firstMonday.getDate() - (firstMonday.getDay() || 7) + 1);
+  const schoolYearEnd = new Date(schoolYear + 1, SCHOOL_YEAR_START_MONTH, 1);
+  const schoolWeeks = [];
+  for (const monday = new Date(firstMonday); monday < schoolYearEnd; monday.setDate(monday.getDate() + 7)) {
+    schoolWeeks.push(new Date(monday));
+  }
+  const selectedWeekIndex = schoolWeeks.findIndex(monday => getWeekKey(monday) === selectedWeekKey);
+
+  const changeMonth = (delta) => setMonthCursor(new Date(monthCursor.getFullYear(), monthCursor.getMonth() + delta, 1));
 
   return (
     <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
       <View style={[styles.modalOverlay, { backgroundColor: theme.modalBackground === themes.dark.modalBackground ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.5)' }]}>
-        <View style={[styles.menuContent, { backgroundColor: theme.modalBackground, width: '90%' }]}>
-          
-          <Text style={[styles.modalTitle, { color: theme.modalText, marginBottom: 30 }]}>Paramètres Notifications</Text>
+        <View style={[styles.menuContent, { backgroundColor: theme.modalBackground }]}>
+          <Text style={[styles.menuTitle, { color: theme.modalText }]}>Aller à...</Text>
 
-          {/* --- ZONE TOGGLE --- */}
-          <View style={{ 
-            flexDirection: 'row', 
-            justifyContent: 'space-between', 
-            alignItems: 'center', 
-            width: '100%', 
-            paddingHorizontal: 10,
-            marginBottom: notificationsEnabled ? 30 : 10 // Plus d'espace si ouvert
-          }}>
-            <Text style={{ color: theme.modalText, fontSize: 16, fontWeight: '600' }}>
-              État des notifications :
-            </Text>
+          <TouchableOpacity style={[styles.menuButton, { backgroundColor: theme.buttonBackground, marginTop: 10 }]} onPress={() => onSelectDate(new Date())}>
+            <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'center' }}>
+              <Ionicons name="today-outline" size={20} color={theme.buttonText} style={{ marginRight: 10 }} />
+              <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Aujourd'hui</Text>
+            </View>
+          </TouchableOpacity>
 
-            {/* LE BOUTON SWITCH CUSTOM */}
-            <TouchableOpacity 
-              activeOpacity={0.8}
-              onPress={() => setNotificationsEnabled(!notificationsEnabled)}
-              style={{
-                width: 60,
-                height: 34,
-                borderRadius: 20,
-                backgroundColor: notificationsEnabled ? '#4caf50' : theme.borderColor, // Vert si ON, Gris si OFF
-                padding: 4,
-                justifyContent: 'center',
-                alignItems: notificationsEnabled ? 'flex-end' : 'flex-start', // Bouge le cercle
-                borderWidth: 1,
-                borderColor: theme.borderColor
-              }}
-            >
-              {/* Le cercle (Thumb) */}
-              <View style={{
-                width: 26,
-                height: 26,
-                borderRadius: 13,
-                backgroundColor: '#fff',
-                shadowColor: "#000",
-                shadowOffset: { width: 0, height: 2 },
-                shadowOpacity: 0.2,
-                shadowRadius: 2,
-                elevation: 2,
-              }} />
+          {/* Mini calendrier */}
+          <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', width: '100%', marginTop: 10 }}>
+            <TouchableOpacity onPress={() => changeMonth(-1)} style={{ padding: 5 }}>
+              <Ionicons name="chevron-back" size={22} color={theme.modalText} />
+            </TouchableOpacity>
+            <Text style={{ color: theme.modalText, fontWeight: 'bold' }}>{monthLabel.charAt(0).toUpperCase() + monthLabel.slice(1)}</Text>
+            <TouchableOpacity onPress={() => changeMonth(1)} style={{ padding: 5 }}>
+              <Ionicons name="chevron-forward" size={22} color={theme.modalText} />
             </TouchableOpacity>
           </View>
 
-          {/* --- ZONE SÉLECTEUR DE TEMPS (Conditionnelle) --- */}
-          {notificationsEnabled && (
-            <View style={{ alignItems: 'center', marginBottom: 20, width: '100%' }}>
-              {/* Ligne de séparation subtile */}
-              <View style={{ height: 1, width: '80%', backgroundColor: theme.borderColor, marginBottom: 20 }} />
+          <View style={{ flexDirection: 'row', width: '100%' }}>
+            {daysOfWeekShort.map(dayName => (
+              <Text key={dayName} style={{ flex: 1, textAlign: 'center', color: theme.modalText, opacity: 0.6, fontSize: 11 }}>{dayName}</Text>
+            ))}
+          </View>
+          <View style={{ flexDirection: 'row', flexWrap: 'wrap', width: '100%' }}>
+            {gridDays.map(day => {
+              const isToday = day.getTime() === today.getTime();
+              const isSelectedWeek = getWeekKey(day) === selectedWeekKey;
+              const inMonth = day.getMonth() === monthCursor.getMonth();
+              return (
+                <TouchableOpacity
+                  key={day.toDateString()}
+                  onPress={() => onSelectDate(day)}
+                  style={{ width: `${100 / 7}%`, paddingVertical: 6, alignItems: 'center', backgroundColor: isSelectedWeek ? theme.buttonBackground : 'transparent', borderRadius: 6 }}
+                >
+                  <Text style={{ color: isToday ? theme.todayHeaderBackground : theme.modalText, fontWeight: isToday ? 'bold' : 'normal', opacity: inMonth ? 1 : 0.35 }}>
+                    {day.getDate()}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
 
-              <Text style={{ color: theme.modalText, marginBottom: 15, fontStyle: 'italic', opacity: 0.8 }}>
-                M'alerter avant le cours :
-              </Text>
-              
-              <View style={{ flexDirection: 'row', height: 150, alignItems: 'center' }}>
-                <TimeColumn 
-                  data={hours} 
-                  selected={notificationDelay.hours} 
-                  onSelect={(h) => setNotificationDelay(prev => ({ ...prev, hours: h }))} 
-                  suffix="h"
-                />
-                <Text style={{ color: theme.modalText, fontSize: 20, fontWeight: 'bold', marginHorizontal: 5 }}>:</Text>
-                <TimeColumn 
-                  data={minutes} 
-                  selected={notificationDelay.minutes} 
-                  onSelect={(m) => setNotificationDelay(prev => ({ ...prev, minutes: m }))} 
-                  suffix="m"
-                />
-              </View>
+          {/* Frise de l'année scolaire */}
+          <Text style={{ color: theme.modalText, fontWeight: 'bold', alignSelf: 'flex-start', marginTop: 15, marginBottom: 6 }}>
+            Année {schoolYear}-{schoolYear + 1}
+          </Text>
+          <ScrollView
+            ref={stripRef}
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            style={{ width: '100%' }}
+            onLayout={() => {
+              if (selectedWeekIndex > 0) stripRef.current?.scrollTo({ x: (selectedWeekIndex - 2) * WEEK_CHIP_WIDTH, animated: false });
+            }}
+          >
+            {schoolWeeks.map(monday => {
+              const weekKey = getWeekKey(monday);
+              const isSelected = weekKey === selectedWeekKey;
+              // Les semaines enregistrées font foi : une semaine de vacances supposée avec des cours n'est pas grisée
+              const isEmpty = storedWeeks.size > 0 ? !storedWeeks.has(weekKey) : isHolidayWeek(monday);
+              return (
+                <TouchableOpacity
+                  key={weekKey}
+                  onPress={() => onSelectDate(monday)}
+                  style={{
+                    width: WEEK_CHIP_WIDTH - 6, marginHorizontal: 3, paddingVertical: 6, borderRadius: 8, alignItems: 'center',
+                    backgroundColor: isSelected ? theme.todayHeaderBackground : theme.buttonBackground,
+                    opacity: isEmpty && !isSelected ? 0.4 : 1,
+                  }}
+                >
+                  <Text style={{ color: isSelected ? theme.todayHeaderText : theme.buttonText, fontWeight: 'bold', fontSize: 13 }}>S{getWeekNumber(monday)}</Text>
+                  <Text style={{ color: isSelected ? theme.todayHeaderText : theme.buttonText, fontSize: 10 }}>
+                    {monday.toLocaleDateString('fr-FR', { day: 'numeric', month: 'short' })}
+                  </Text>
+                  {isEmpty && <Ionicons name="sunny-outline" size={12} color={isSelected ? theme.todayHeaderText : theme.buttonText} />}
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+          <Text style={{ color: theme.modalText, opacity: 0.6, fontSize: 11, marginTop: 6 }}>Grisé : vacances ou semaine sans cours</Text>
 
-              <Text style={{ color: '#4caf50', marginTop: 15, fontSize: 13, fontWeight: '500' }}>
-                Rappel configuré : {notificationDelay.hours}h {notificationDelay.minutes}m avant
-              </Text>
-            </View>
-          )}
+          <View style={styles.buttonContainer}>
+            <TouchableOpacity onPress={onClose} style={[styles.closeButton, { backgroundColor: theme.modalButton }]}>
+              <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Fermer</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+/**
+ * Modal du widget Android : choix de l'emploi du temps affiché sur l'écran d'accueil
+ */
+const WidgetModal = ({ visible, onClose, onBack, source, currentLabel, favorites, onSelectSource, theme }) => {
+  const renderOption = (label, subtitle, option) => {
+    const isSelected = option ? source && source.type === option.type && JSON.stringify(source.value) === JSON.stringify(option.value) : !source;
+    return (
+      <TouchableOpacity
+        key={label}
+        onPress={() => onSelectSource(option)}
+        style={{ flexDirection: 'row', alignItems: 'center', width: '100%', paddingVertical: 10, borderBottomWidth: 1, borderBottomColor: theme.borderColor }}
+      >
+        <Ionicons name={isSelected ? 'radio-button-on' : 'radio-button-off'} size={20} color={isSelected ? '#4caf50' : theme.modalText} style={{ marginRight: 12 }} />
+        <View style={{ flex: 1 }}>
+          <Text style={{ color: theme.modalText, fontSize: 15, fontWeight: isSelected ? 'bold' : 'normal' }} numberOfLines={1}>{label}</Text>
+          {subtitle && <Text style={{ color: theme.modalText, opacity: 0.6, fontSize: 11 }}>{subtitle}</Text>}
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
+      <View style={[styles.modalOverlay, { backgroundColor: theme.modalBackground === themes.dark.modalBackground ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.5)' }]}>
+        <View style={[styles.menuContent, { backgroundColor: theme.modalBackground }]}>
+          <Text style={[styles.menuTitle, { color: theme.modalText }]}>Widget 📱</Text>
+          <Text style={{ color: theme.modalText, opacity: 0.6, fontSize: 12, marginTop: 5, marginBottom: 20, textAlign: 'center' }}>
+            Ajoutez le widget "Prochains cours" depuis l'écran d'accueil, puis choisissez l'emploi du temps qu'il affiche
+          </Text>
+
+          <ScrollView style={{ width: '100%', maxHeight: 300 }}>
+            {renderOption('Sélection actuelle', currentLabel, null)}
+            {favorites.map(fav => renderOption(fav.label, 'Favori', fav))}
+          </ScrollView>
 
           <View style={styles.buttonContainer}>
-             <TouchableOpacity onPress={onBack} style={[styles.backButton, { backgroundColor: theme.modalButton }]}>
+            <TouchableOpacity onPress={onBack} style={[styles.backButton, { backgroundColor: theme.modalButton }]}>
               <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Retour</Text>
             </TouchableOpacity>
-            <TouchableOpacity onPress={onSave} style={[styles.closeButton, { backgroundColor: theme.buttonBackground, borderWidth: 1, borderColor: '#4caf50' }]}>
-              <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Enregistrer</Text>
+            <TouchableOpacity onPress={onClose} style={[styles.closeButton, { backgroundColor: theme.modalButton }]}>
+              <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Fermer</Text>
             </TouchableOpacity>
           </View>
-
         </View>
       </View>
     </Modal>
@@ -1267,29 +2607,49 @@ const NotificationSettingsModal = ({ visible, onClose, onBack, theme, notificati
 };
 
 /**
- * Modal du sous-menu personnalisation
+ * Modal de la vue superposée : plusieurs sélections affichées sur la même grille
+ * (chaque sélection a sa couleur, la sélection principale reste en tête)
  */
-const PersonalizationMenuModal = ({ visible, onClose, onBack, onOpenThemeSelector, onOpenCourseColorCustomization, onOpenViewSelector, theme }) => {
+const OverlayModal = ({ visible, onClose, onBack, sources, onAdd, onRemove, theme }) => {
+  const canAdd = sources.length <= MAX_OVERLAYS;
+
   return (
     <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
       <View style={[styles.modalOverlay, { backgroundColor: theme.modalBackground === themes.dark.modalBackground ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.5)' }]}>
         <View style={[styles.menuContent, { backgroundColor: theme.modalBackground }]}>
-          <Text style={[styles.menuTitle, { color: theme.modalText }]}>Personnalisation</Text>
-          
-          <TouchableOpacity style={[styles.menuButton, { backgroundColor: theme.buttonBackground }]} onPress={onOpenThemeSelector}>
-            <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Thèmes</Text>
-          </TouchableOpacity>
-          
-          <TouchableOpacity style={[styles.menuButton, { backgroundColor: theme.buttonBackground }]} onPress={onOpenCourseColorCustomization}>
-            <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Couleurs des cours</Text>
-          </TouchableOpacity>
-          
-          <TouchableOpacity style={[styles.menuButton, { backgroundColor: theme.buttonBackground }]} onPress={onOpenViewSelector}>
-            <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Type d'affichage</Text>
-          </TouchableOpacity>
-          
-          {/* Le bouton Notifications a été retiré d'ici */}
-          
+          <Text style={[styles.menuTitle, { color: theme.modalText }]}>Superposer</Text>
+          <Text style={{ color: theme.modalText, opacity: 0.6, fontSize: 12, marginTop: 5, marginBottom: 20, textAlign: 'center' }}>
+            Affichez plusieurs emplois du temps sur la même grille (ex : votre groupe et celui d'un binôme)
+          </Text>
+
+          {sources.map((source, index) => (
+            <View key={`${source.label}-${index}`} style={{ flexDirection: 'row', alignItems: 'center', width: '100%', paddingVertical: 10, borderBottomWidth: 1, borderBottomColor: theme.borderColor }}>
+              <View style={{ width: 14, height: 14, borderRadius: 7, backgroundColor: OVERLAY_COLORS[index], marginRight: 12 }} />
+              <View style={{ flex: 1 }}>
+                <Text style={{ color: theme.modalText, fontSize: 15, fontWeight: 'bold' }} numberOfLines={1}>{source.label}</Text>
+                {index === 0 && <Text style={{ color: theme.modalText, opacity: 0.6, fontSize: 11 }}>Sélection principale</Text>}
+              </View>
+              {index > 0 && (
+                <TouchableOpacity onPress={() => onRemove(index - 1)} style={{ padding: 5 }}>
+                  <Ionicons name="close-circle-outline" size={24} color="#ff6b6b" />
+                </TouchableOpacity>
+              )}
+            </View>
+          ))}
+
+          {canAdd ? (
+            <TouchableOpacity style={[styles.menuButton, { backgroundColor: theme.buttonBackground, marginTop: 15 }]} onPress={onAdd}>
+              <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'center' }}>
+                <Ionicons name="add-circle-outline" size={20} color={theme.buttonText} style={{ marginRight: 10 }} />
+                <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Ajouter un emploi du temps</Text>
+              </View>
+            </TouchableOpacity>
+          ) : (
+            <Text style={{ color: theme.modalText, opacity: 0.6, fontSize: 12, marginTop: 15, fontStyle: 'italic' }}>
+              {MAX_OVERLAYS + 1} emplois du temps maximum
+            </Text>
+          )}
+
           <View style={styles.buttonContainer}>
             <TouchableOpacity onPress={onBack} style={[styles.backButton, { backgroundColor: theme.modalButton }]}>
               <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Retour</Text>
@@ -1305,35 +2665,66 @@ const PersonalizationMenuModal = ({ visible, onClose, onBack, onOpenThemeSelecto
 };
 
 /**
- * Modal de sélection du type d'affichage
+ * Modal d'export de l'emploi du temps au format .ics
  */
-const ViewSelectionModal = ({ visible, onClose, onBack, onToggleView, viewMode, theme }) => {
+const ExportModal = ({ visible, onClose, onBack, onExport, selectionLabel, feed, onToggleFeed, onChangeFeedsDirectory, theme }) => {
+  const padZero = (num) => num < 10 ? `0${num}` : num;
+  const formatGeneratedAt = (timestamp) => {
+    const date = new Date(timestamp);
+    return `${date.toLocaleDateString('fr-FR')} à ${padZero(date.getHours())}:${padZero(date.getMinutes())}`;
+  };
+
+  const ranges = [
+    { value: 'displayed', label: 'Période affichée', icon: 'calendar-outline' },
+    { value: 'upcoming', label: '4 prochaines semaines', icon: 'play-forward-outline' },
+    { value: 'all', label: "Toute l'année", icon: 'infinite-outline' },
+  ];
+
   return (
     <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
       <View style={[styles.modalOverlay, { backgroundColor: theme.modalBackground === themes.dark.modalBackground ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.5)' }]}>
         <View style={[styles.menuContent, { backgroundColor: theme.modalBackground }]}>
-          <Text style={[styles.menuTitle, { color: theme.modalText }]}>Choisissez l'affichage</Text>
-          
-          <TouchableOpacity 
-            style={[styles.menuButton, viewMode === 'week' && styles.selectedButton, { backgroundColor: theme.buttonBackground }]} 
-            onPress={() => onToggleView('week')}
-          >
-            <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Semaine (5j)</Text>
-          </TouchableOpacity>
+          <Text style={[styles.menuTitle, { color: theme.modalText }]}>Exporter (.ics)</Text>
+          <Text style={{ color: theme.modalText, opacity: 0.6, fontSize: 12, marginTop: 5, marginBottom: 20, textAlign: 'center' }}>
+            {selectionLabel} • à importer dans Google Agenda ou un autre agenda
+          </Text>
 
-          <TouchableOpacity 
-            style={[styles.menuButton, viewMode === 'fullweek' && styles.selectedButton, { backgroundColor: theme.buttonBackground }]} 
-            onPress={() => onToggleView('fullweek')}
-          >
-            <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Semaine & Week-end (7j)</Text>
-          </TouchableOpacity>
+          {ranges.map(range => (
+            <TouchableOpacity key={range.value} style={[styles.menuButton, { backgroundColor: theme.buttonBackground }]} onPress={() => onExport(range.value)}>
+              <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'center' }}>
+                <Ionicons name={range.icon} size={20} color={theme.buttonText} style={{ marginRight: 10 }} />
+                <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>{range.label}</Text>
+              </View>
+            </TouchableOpacity>
+          ))}
 
-          <TouchableOpacity 
-            style={[styles.menuButton, viewMode === 'day' && styles.selectedButton, { backgroundColor: theme.buttonBackground }]} 
-            onPress={() => onToggleView('day')}
-          >
-            <Text style={[styles.menuButtonText, { color: theme.buttonText }]}>Jour</Text>
-          </TouchableOpacity>
+          {/* Flux local : fichier .ics régénéré après chaque actualisation */}
+          <View style={{ width: '100%', marginTop: 10, paddingTop: 15, borderTopWidth: 1, borderTopColor: theme.borderColor }}>
+            <TouchableOpacity
+              activeOpacity={0.8}
+              onPress={onToggleFeed}
+              style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between' }}
+            >
+              <View style={{ flex: 1, marginRight: 10 }}>
+                <Text style={{ color: theme.modalText, fontSize: 15, fontWeight: 'bold' }}>Flux local</Text>
+                <Text style={{ color: theme.modalText, opacity: 0.6, fontSize: 11 }}>Fichier .ics mis à jour à chaque actualisation, dans un dossier partagé lisible par votre agenda</Text>
+              </View>
+              <Ionicons name={feed ? 'toggle' : 'toggle-outline'} size={36} color={feed ? '#4caf50' : theme.modalText} />
+            </TouchableOpacity>
+
+            {feed && (
+              <View style={{ backgroundColor: theme.borderColor, borderRadius: 10, padding: 10, marginTop: 10 }}>
+                <Text style={{ color: theme.modalText, fontSize: 11, fontFamily: 'monospace' }} numberOfLines={3}>{feed.fileName || feed.uri}</Text>
+                <Text style={{ color: theme.modalText, opacity: 0.6, fontSize: 11, marginTop: 5, fontStyle: 'italic' }}>
+                  Généré le {formatGeneratedAt(feed.generatedAt)}
+                </Text>
+                <TouchableOpacity onPress={onChangeFeedsDirectory} style={{ flexDirection: 'row', alignItems: 'center', marginTop: 8 }}>
+                  <Ionicons name="folder-open-outline" size={16} color={theme.modalText} style={{ marginRight: 6 }} />
+                  <Text style={{ color: theme.modalText, fontSize: 13, fontWeight: 'bold' }}>Changer de dossier</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+          </View>
 
           <View style={styles.buttonContainer}>
             <TouchableOpacity onPress={onBack} style={[styles.backButton, { backgroundColor: theme.modalButton }]}>
@@ -1350,187 +2741,112 @@ const ViewSelectionModal = ({ visible, onClose, onBack, onToggleView, viewMode,
 };
 
 /**
- * Modal de détails d'un événement (Version Finale avec boxText)
+ * Modal "Modifications" : cours ajoutés, annulés, déplacés ou changés de salle
  */
-const EventDetailsModal = ({ visible, onClose, onBack, event, theme }) => {
-  if (!event) return null;
-  
+const ChangesModal = ({ visible, onClose, onBack, changes, onClear, theme }) => {
   const padZero = (num) => num < 10 ? `0${num}` : num;
-  const startTime = `${padZero(event.start.getHours())}:${padZero(event.start.getMinutes())}`;
-  const endTime = `${padZero(event.end.getHours())}:${padZero(event.end.getMinutes())}`;
-
-  // Fonction pour nettoyer le nom de la salle
-  const formatLocation = (location) => {
-    if (!location) return "";
-    return location.split(',').map(part => {
-      const room = part.trim();
-      const upperRoom = room.toUpperCase();
-      
-      if (upperRoom.includes('GR W AMPHI')) {
-        return "Amphi Geii (W)";
-      }
-      
-      return room
-        .replace(/^GR\s*W\s*/i, '')
-        .replace(/^GR\s*/i, '');
-    }).join(', ');
+  const formatTime = (date) => `${padZero(date.getHours())}:${padZero(date.getMinutes())}`;
+  const formatDay = (date) => {
+    const day = date.toLocaleDateString('fr-FR', { weekday: 'short', day: 'numeric', month: 'short' });
+    return day.charAt(0).toUpperCase() + day.slice(1);
+  };
+  const formatSlot = (event) => `${formatDay(event.start)} ${formatTime(event.start)} - ${formatTime(event.end)}`;
+
+  // Libellé, icône et couleur selon le type de modification
+  const describeChange = (change) => {
+    if (change.type === 'added') return { label: 'Ajouté', icon: 'add-circle-outline', color: '#51cf66' };
+    if (change.type === 'removed') return { label: 'Annulé', icon: 'close-circle-outline', color: '#ff6b6b' };
+    if (change.fields.includes('time')) return { label: 'Déplacé', icon: 'time-outline', color: '#ff9f1c' };
+    return { label: 'Changement de salle', icon: 'location-outline', color: '#66a3ff' };
   };
 
-  const displayLocation = formatLocation(event.location);
-
-  // Organise les groupes
-  const organizeGroups = (rawGroups) => {
-    const columns = { 'BUT1': [], 'BUT2': [], 'BUT3': [] };
-    
-    rawGroups.forEach(g => {
-      const groupUpper = g.toUpperCase();
-      
-      if (groupUpper.includes('BUT2')) {
-        columns['BUT2'].push(g.replace(/^BUT2A_/i, '').replace(/^BUT2_/i, ''));
-      } else if (groupUpper.includes('BUT3')) {
-        columns['BUT3'].push(g.replace(/^BUT3A_/i, '').replace(/^BUT3_/i, ''));
-      } else {
-        let cleanName = g;
-        if (g.includes('BUT1')) {
-           const match = g.match(/_([A-D][1-2])/);
-           if (match) cleanName = match[1];
-        }
-        columns['BUT1'].push(cleanName);
-      }
-    });
-
-    const activeColumns = [];
-    ['BUT1', 'BUT2', 'BUT3'].forEach(year => {
-      if (columns[year].length > 0) {
-        columns[year].sort();
-        activeColumns.push({ title: year, data: columns[year] });
-      }
-    });
+  const renderChange = (change, index) => {
+    const { label, icon, color } = describeChange(change);
+    const event = change.after || change.before;
+    const timeChanged = change.type === 'modified' && change.fields.includes('time');
+    const roomChanged = change.type === 'modified' && change.fields.includes('location');
 
-    return activeColumns;
-  };
+    return (
+      <View key={index} style={{ backgroundColor: theme.borderColor, borderRadius: 12, padding: 12, marginBottom: 10, borderLeftWidth: 5, borderLeftColor: color }}>
+        <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 4 }}>
+          <Ionicons name={icon} size={18} color={color} style={{ marginRight: 6 }} />
+          <Text style={{ color, fontSize: 11, fontWeight: 'bold', textTransform: 'uppercase' }}>{label}</Text>
+          {roomChanged && timeChanged && (
+            <Text style={{ color: '#66a3ff', fontSize: 11, fontWeight: 'bold', textTransform: 'uppercase' }}> + salle</Text>
+          )}
+        </View>
 
-  const activeGroups = organizeGroups(event.groups);
+        <Text style={{ color: theme.boxText || theme.modalText, fontSize: 15, fontWeight: 'bold' }} numberOfLines={2}>{event.title}</Text>
 
-  // Rendu d'une ligne d'information "Box"
-  const renderInfoBox = (icon, label, value) => (
-    <View style={{ 
-      backgroundColor: theme.borderColor, 
-      borderRadius: 12, 
-      padding: 12, 
-      marginBottom: 10,
-      flexDirection: 'row',
-      alignItems: 'center'
-    }}>
-      {/* MODIF: Utilisation de boxText pour l'icône */}
-      <Ionicons name={icon} size={24} color={theme.boxText || theme.text} style={{ opacity: 0.7, marginRight: 15 }} />
-      <View style={{ flex: 1 }}>
-        {/* MODIF: Utilisation de boxText pour le label */}
-        <Text style={{ color: theme.boxText || theme.modalText, fontSize: 11, textTransform: 'uppercase', opacity: 0.7, marginBottom: 2, fontWeight: 'bold' }}>
-          {label}
-        </Text>
-        {/* MODIF: Utilisation de boxText pour la valeur */}
-        <Text style={{ color: theme.boxText || theme.modalText, fontSize: 15, fontWeight: '500' }}>
-          {value || "Non spécifié"}
+        {timeChanged ? (
+          <>
+            <Text style={{ color: theme.boxText || theme.modalText, fontSize: 12, opacity: 0.6, textDecorationLine: 'line-through' }}>{formatSlot(change.before)}</Text>
+            <Text style={{ color: theme.boxText || theme.modalText, fontSize: 13 }}>{formatSlot(change.after)}</Text>
+          </>
+        ) : (
+          <Text style={{ color: theme.boxText || theme.modalText, fontSize: 13, textDecorationLine: change.type === 'removed' ? 'line-through' : 'none' }}>{formatSlot(event)}</Text>
+        )}
+
+        {roomChanged ? (
+          <Text style={{ color: theme.boxText || theme.modalText, fontSize: 13 }}>
+            {change.before.location} → {change.after.location}
+          </Text>
+        ) : (
+          <Text style={{ color: theme.boxText || theme.modalText, fontSize: 13, opacity: 0.8 }}>{event.location}</Text>
+        )}
+
+        <Text style={{ color: theme.boxText || theme.modalText, fontSize: 10, opacity: 0.5, marginTop: 4, fontStyle: 'italic' }}>
+          Détecté le {change.detectedAt.toLocaleDateString('fr-FR')} à {formatTime(change.detectedAt)}
         </Text>
       </View>
-    </View>
-  );
+    );
+  };
 
   return (
-    <Modal animationType="fade" transparent={true} visible={visible} onRequestClose={onClose}>
+    <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
       <View style={[styles.modalOverlay, { backgroundColor: theme.modalBackground === themes.dark.modalBackground ? 'rgba(0,0,0,0.8)' : 'rgba(0,0,0,0.5)' }]}>
-        <View style={[styles.detailsModalContent, { backgroundColor: theme.modalBackground, maxHeight: '90%', width: '90%', padding: 0 }]}>
-          
-          {/* En-tête */}
-          <View style={{ padding: 20, borderBottomWidth: 1, borderBottomColor: theme.borderColor, alignItems: 'center', width: '100%' }}>
-            <Text style={[styles.detailsModalTitle, { color: theme.modalText, marginBottom: 5 }]}>Détails du cours</Text>
-            {(() => {
-              const fullDate = event.start.toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long' });
-              const formattedDate = fullDate.charAt(0).toUpperCase() + fullDate.slice(1);
-              return (
-                <Text style={{ color: theme.modalText, opacity: 0.7, fontStyle: 'italic' }}>
-                  {formattedDate} • {event.start.getFullYear()}
-                </Text>
-              );
-            })()}
-          </View>
-
-          <ScrollView style={{ width: '100%', padding: 20 }}>
-            
-            {/* Infos Principales */}
-            {renderInfoBox("school-outline", "Matière", event.title)}
-            {renderInfoBox("time-outline", "Horaires", `${startTime} - ${endTime}`)}
-            {renderInfoBox("location-outline", "Salle", displayLocation)}
-            {renderInfoBox("person-outline", "Enseignant", event.teacher)}
-
-            {/* Groupes Dynamiques */}
-            {activeGroups.length > 0 && (
-              <View style={{ marginTop: 10, marginBottom: 20 }}>
-                <Text style={{ color: theme.modalText, fontSize: 11, textTransform: 'uppercase', opacity: 0.5, marginBottom: 10, fontWeight: 'bold', marginLeft: 5 }}>
-                  Groupes concernés
-                </Text>
-                
-                <View style={{ flexDirection: 'row', justifyContent: 'space-between' }}>
-                  {activeGroups.map((col, index) => (
-                    <View key={col.title} style={{ 
-                      flex: 1, 
-                      backgroundColor: theme.borderColor, 
-                      borderRadius: 8, 
-                      padding: 12, 
-                      marginRight: index < activeGroups.length - 1 ? 8 : 0 
-                    }}>
-                      {/* C'EST ICI QUE TU MODIFIES LE TITRE DE COLONNE */}
-                      <Text style={{ color: theme.boxText || theme.modalText, fontWeight: 'bold', textAlign: 'center', marginBottom: 8, opacity: 0.9, borderBottomWidth: 1, borderBottomColor: theme.eventBorder, paddingBottom: 5 }}>
-                        {col.title}
-                      </Text>
-                      
-                      <View style={{ alignItems: 'center' }}>
-                        {col.data.map((g, i) => (
-                          // C'EST ICI QUE TU MODIFIES LA LISTE DES GROUPES
-                          <Text key={i} style={{ color: theme.boxText || theme.modalText, fontSize: 14, marginBottom: 4, fontWeight: '500' }}>
-                            {g}
-                          </Text>
-                        ))}
-                      </View>
-                    </View>
-                  ))}
-                </View>
-              </View>
-            )}
-
-            {/* Time Log */}
-            {event.timeLog && (
-              <Text style={{ textAlign: 'center', color: theme.modalText, opacity: 0.3, fontSize: 10, fontStyle: 'italic', marginBottom: 10 }}>
-                {event.timeLog}
-              </Text>
-            )}
+        <View style={[styles.modalContent, { backgroundColor: theme.modalBackground, width: '90%', maxHeight: '85%' }]}>
+          <Text style={[styles.modalTitle, { color: theme.modalText, marginBottom: 5 }]}>Modifications 📝</Text>
+          <Text style={{ color: theme.modalText, opacity: 0.6, fontSize: 12, marginBottom: 15, textAlign: 'center' }}>
+            Changements détectés lors des actualisations pour la sélection actuelle
+          </Text>
 
-          </ScrollView>
+          {changes.length === 0 ? (
+            <Text style={{ color: theme.modalText, opacity: 0.6, fontStyle: 'italic', marginVertical: 20 }}>
+              Aucune modification détectée.
+            </Text>
+          ) : (
+            <ScrollView style={{ width: '100%' }}>
+              {changes.map(renderChange)}
+            </ScrollView>
+          )}
 
-          {/* Footer */}
-          <View style={{ padding: 20, borderTopWidth: 1, borderTopColor: theme.borderColor, width: '100%', flexDirection: 'row', justifyContent: 'space-between' }}>
-            <TouchableOpacity onPress={onBack} style={[styles.backButton, { backgroundColor: theme.modalButton, flex: 1, marginRight: 10, alignItems: 'center' }]}>
+          <View style={styles.buttonContainer}>
+            <TouchableOpacity onPress={onBack} style={[styles.backButton, { backgroundColor: theme.modalButton }]}>
               <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Retour</Text>
             </TouchableOpacity>
-            <TouchableOpacity onPress={onClose} style={[styles.closeButton, { backgroundColor: theme.modalButton, flex: 1, marginLeft: 10, alignItems: 'center' }]}>
+            {changes.length > 0 && (
+              <TouchableOpacity onPress={onClear} style={[styles.closeButton, { backgroundColor: theme.modalButton }]}>
+                <Ionicons name="trash-outline" size={20} color={theme.modalText} />
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity onPress={onClose} style={[styles.closeButton, { backgroundColor: theme.modalButton }]}>
               <Text style={[styles.closeButtonText, { color: theme.modalText }]}>Fermer</Text>
             </TouchableOpacity>
           </View>
-
         </View>
       </View>
     </Modal>
   );
 };
 
-
-
 /**
  * Modal de visualisation des logs
  */
 const LogsViewerModal = ({ visible, onClose, theme }) => {
   const [logs, setLogs] = useState('Chargement des logs...');
+  /** Variantes de descriptions ADE mal analysées (null tant que la vérification n'a pas tourné) */
+  const [descriptionFailures, setDescriptionFailures] = useState(null);
 
   useEffect(() => {
     if (visible) {
@@ -1541,6 +2857,7 @@ const LogsViewerModal = ({ visible, onClose, theme }) => {
   const loadLogs = async () => {
     const logContent = await getLogs();
     setLogs(logContent);
+    setDescriptionFailures(checkDescriptionFixtures());
   };
 
   const handleClearLogs = async () => {
@@ -1566,11 +2883,20 @@ const LogsViewerModal = ({ visible, onClose, theme }) => {
     Alert.alert("Copié", "Les logs ont été copiés dans le presse-papier.");
   };
 
+
   return (
     <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
       <View style={[styles.modalOverlay, { backgroundColor: 'rgba(0,0,0,0.8)' }]}>
         <View style={[styles.logsModalContent, { backgroundColor: '#fff' }]}>
           <Text style={[styles.modalTitle, { color: '#000' }]}>Logs de l'application 🥡</Text>
+
+          {descriptionFailures && (
+            <Text style={[styles.logsText, { color: descriptionFailures.length ? '#F44336' : '#4CAF50', marginBottom: 8 }]}>
+              {descriptionFailures.length
+                ? `Analyse ADE : ${descriptionFailures.length} variante(s) en échec — ${descriptionFailures.join(', ')}`
+                : `Analyse ADE : ${DESCRIPTION_FIXTURES.length} variantes vérifiées ✅`}
+            </Text>
+          )}
           
           <ScrollView style={styles.logsScrollView}>
             <Text style={[styles.logsText, { color: '#000' }]}>{logs}</Text>
@@ -1613,22 +2939,44 @@ export function MainApp() {
   
   const [calendarHeight, setCalendarHeight] = useState(0);
 
-  /** Tous les événements du calendrier global */
+  /** Événements du calendrier global des semaines chargées (les requêtes passent par les index de eventStore.js) */
   const [allEvents, setAllEvents] = useState([]);
+  const loadedWeeksRef = useRef(new Set());
+  const weeksLoadingRef = useRef(Promise.resolve());
   
   /** Listes extraites pour les menus */
   const [availableRooms, setAvailableRooms] = useState([]);
+  const [availableTeachers, setAvailableTeachers] = useState([]);
+
+  /** Catalogue des promotions et groupes (embarqué ou mis à jour) */
+  const [groupCatalog, setGroupCatalog] = useState(getCatalog());
+  // Années du calendrier scolaire : la valeur n'est pas lue, la mise à jour relance le rendu après un import
+  const [, setSchoolCalendarYears] = useState(getSchoolCalendarYears());
+
+  /** Département actif (choisi au premier lancement) */
+  const [department, setDepartment] = useState(getActiveDepartment().key);
+  const [departmentPickerVisible, setDepartmentPickerVisible] = useState(false);
 
   /** Type de sélection active : 'student', 'teacher', 'room' */
   const [selectionType, setSelectionType] = useState('student');
 
   /** Critères de sélection actuels */
-  const [currentSelection, setCurrentSelection] = useState({ year: 'BUT3', group: 'AII1' }); // Par défaut
+  const [currentSelection, setCurrentSelection] = useState(getDefaultSelection); // Par défaut : premier groupe du catalogue
   // Si teacher : currentSelection sera une string "NOM DU PROF"
   // Si room : currentSelection sera une string "SALLE"
 
-  /** Événements filtrés à afficher */
+  /** Événements filtrés à afficher (et regroupés par jour pour le rendu) */
   const [filteredEvents, setFilteredEvents] = useState([]);
+  const [filteredByDay, setFilteredByDay] = useState({});
+
+  /** Sélections superposées à la sélection principale : [{ type, value }] */
+  const [overlaySelections, setOverlaySelections] = useState([]);
+  const [overlayModalVisible, setOverlayModalVisible] = useState(false);
+  /** Sélections comparées dans la recherche de créneaux communs : [{ type, value, label }] */
+  const [commonSlotSelections, setCommonSlotSelections] = useState([]);
+  const [commonSlotsVisible, setCommonSlotsVisible] = useState(false);
+  /** Destination du prochain choix dans la modal de sélection : 'main', 'overlay' ou 'common' */
+  const [selectionTarget, setSelectionTarget] = useState('main');
   const [loading, setLoading] = useState(true);
   const [globalCalendarLoaded, setGlobalCalendarLoaded] = useState(false);
 
@@ -1636,6 +2984,14 @@ export function MainApp() {
   const [currentWeekOffset, setCurrentWeekOffset] = useState(0);
   const [currentDayOffset, setCurrentDayOffset] = useState(0);
   const [viewMode, setViewMode] = useState('week');
+  /** Plage horaire de la grille : plage minimale et mode compact */
+  const [hourRange, setHourRange] = useState(DEFAULT_HOUR_RANGE);
+  /** Modal "Aller à..." (ouverte depuis le libellé de la semaine / du jour / du mois) */
+  const [datePickerVisible, setDatePickerVisible] = useState(false);
+  /** Vue mois : décalage par rapport au mois actuel */
+  const [currentMonthOffset, setCurrentMonthOffset] = useState(0);
+  /** Vue agenda : semaines affichées avant / après la semaine actuelle (étendues au défilement) */
+  const [agendaRange, setAgendaRange] = useState({ before: 0, after: 2 });
   const [groupHasLoaded, setGroupHasLoaded] = useState(false);
   
   // ... Thèmes et Couleurs (inchangés)
@@ -1647,6 +3003,8 @@ export function MainApp() {
 
   // ... Modales (inchangés sauf groupModalVisible qu'on va renommer mentalement en selectionModal)
   const [selectionModalVisible, setSelectionModalVisible] = useState(false); // Anciennement groupModalVisible
+  const [roomFinderVisible, setRoomFinderVisible] = useState(false);
+  const [roomHeatmapVisible, setRoomHeatmapVisible] = useState(false);
   const [menuModalVisible, setMenuModalVisible] = useState(false);
   const [personalizationModalVisible, setPersonalizationModalVisible] = useState(false);
   const [themeModalVisible, setThemeModalVisible] = useState(false);
@@ -1655,14 +3013,43 @@ export function MainApp() {
   const [detailsModalVisible, setDetailsModalVisible] = useState(false);
   const [logsModalVisible, setLogsModalVisible] = useState(false);
   const [selectedEvent, setSelectedEvent] = useState(null);
+  const [overlapEvents, setOverlapEvents] = useState([]);
+  const [overlapModalVisible, setOverlapModalVisible] = useState(false);
   const [favoritesModalVisible, setFavoritesModalVisible] = useState(false);
   const [favorites, setFavorites] = useState([]);
+  /** Widget Android : favori affiché (null = sélection actuelle) */
+  const [widgetSource, setWidgetSource] = useState(null);
+  const [widgetModalVisible, setWidgetModalVisible] = useState(false);
+
+  /** Journal des modifications détectées entre deux actualisations */
+  const [changeLog, setChangeLog] = useState([]);
+  /** Dernière ouverture du journal : seules les modifications détectées depuis comptent dans le badge */
+  const [changesSeenAt, setChangesSeenAt] = useState(null);
+  const [changesModalVisible, setChangesModalVisible] = useState(false);
+  const [exportModalVisible, setExportModalVisible] = useState(false);
+  /** Flux .ics locaux activés (un par sélection) */
+  const [feeds, setFeeds] = useState([]);
+
+  /** Date de la dernière actualisation réussie (premier plan ou arrière-plan) */
+  const [lastSyncAt, setLastSyncAt] = useState(null);
+  const lastSyncRef = useRef(null);
+
+  /** État de la revalidation : 'idle', 'syncing', 'offline' ou 'error' */
+  const [syncState, setSyncState] = useState('idle');
+  /** Horloge (1 min) pour rafraîchir l'indicateur "à jour il y a X min" */
+  const [clockTick, setClockTick] = useState(Date.now());
 
   // --- AJOUTER CES LIGNES QUI MANQUENT ---
   const [notificationModalVisible, setNotificationModalVisible] = useState(false);
   const [notificationsEnabled, setNotificationsEnabled] = useState(false);
+  /** Notification permanente "en cours / ensuite" (réglage du modal, appliqué à l'enregistrement) */
+  const [ongoingEnabled, setOngoingEnabled] = useState(false);
+  /** Dernier retour au premier plan (relance la notification permanente) */
+  const [appActiveAt, setAppActiveAt] = useState(Date.now());
   // Par défaut : 15 minutes avant
   const [notificationDelay, setNotificationDelay] = useState({ hours: 0, minutes: 15 });
+  /** Alertes de modification : sélection actuelle et favoris suivis */
+  const [changeAlerts, setChangeAlerts] = useState(DEFAULT_CHANGE_ALERTS);
   // ----------------------------------------
 
 
@@ -1674,12 +3061,17 @@ export function MainApp() {
   const theme = themes[activeTheme] || themes.light;
   const insets = useSafeAreaInsets();
 
-  // Re-planifier si les événements changent ET que les notifs sont actives
+  // Re-planifier les rappels quand la sélection change ou après une actualisation
+  // (pas au chargement des semaines affichées : les rappels viennent du calendrier enregistré)
   useEffect(() => {
-    if (globalCalendarLoaded && notificationsEnabled) {
-      scheduleNotificationsForEvents();
-    }
-  }, [filteredEvents, globalCalendarLoaded]); 
+    if (globalCalendarLoaded) scheduleNotificationsForEvents();
+  }, [selectionType, currentSelection, globalCalendarLoaded, lastSyncAt]);
+
+  // Notification permanente : replanifie la prochaine transition dans les mêmes cas,
+  // et au retour dans l'application (nouveau jour)
+  useEffect(() => {
+    if (globalCalendarLoaded) refreshOngoingNotification();
+  }, [selectionType, currentSelection, globalCalendarLoaded, lastSyncAt, appActiveAt]);
 
   // --- EFFETS ---
 
@@ -1688,20 +3080,54 @@ export function MainApp() {
       if (nextAppState === 'background' || nextAppState === 'inactive') {
         await clearLogs();
       }
+
+      // Au retour au premier plan : recharge le cache si la tâche de fond l'a actualisé
+      if (nextAppState === 'active') {
+        setAppActiveAt(Date.now());
+        const { lastSuccess } = await getSyncStatus();
+        if (lastSuccess && (!lastSyncRef.current || lastSuccess > lastSyncRef.current)) {
+          resetEventStoreCache();
+          if (await applyStoredCalendar()) {
+            console.log("🔄 Calendrier actualisé en arrière-plan, rechargement");
+            setChangeLog(await getChangeLog());
+          }
+          updateLastSync(lastSuccess);
+        }
+      }
     });
     return () => subscription.remove();
   }, []);
 
+  // Actualisation périodique en arrière-plan
+  useEffect(() => {
+    registerBackgroundSync();
+  }, []);
+
+  // Mise à jour de l'indicateur de fraîcheur chaque minute
+  useEffect(() => {
+    const interval = setInterval(() => setClockTick(Date.now()), 60000);
+    return () => clearInterval(interval);
+  }, []);
+
   // Chargement des préférences
   useEffect(() => {
     const loadPreferences = async () => {
+      // Premier lancement : le calendrier n'est chargé qu'après le choix du département
+      let needsDepartment = false;
       try {
+        const savedDepartment = await loadDepartment();
+        if (savedDepartment) setDepartment(savedDepartment);
+        else needsDepartment = true;
+
         const savedTheme = await AsyncStorage.getItem('@theme_preference');
         if (savedTheme) setThemePreference(savedTheme);
 
         const savedColoringMode = await AsyncStorage.getItem('@coloring_mode');
         if (savedColoringMode) setColoringMode(savedColoringMode);
 
+        const savedHourRange = await AsyncStorage.getItem('@hour_range');
+        if (savedHourRange) setHourRange({ ...DEFAULT_HOUR_RANGE, ...JSON.parse(savedHourRange) });
+
         // Chargement de la dernière sélection
         const savedType = await AsyncStorage.getItem('@selection_type');
         const savedValue = await AsyncStorage.getItem('@selection_value');
@@ -1720,27 +3146,129 @@ export function MainApp() {
             }
         }
 
+        const savedOverlays = await AsyncStorage.getItem('@overlay_selections');
+        if (savedOverlays) setOverlaySelections(JSON.parse(savedOverlays));
+
         const savedFavorites = await AsyncStorage.getItem('@favorites');
         if (savedFavorites) {
           setFavorites(JSON.parse(savedFavorites));
         }
 
+        setWidgetSource(await loadWidgetSource());
+
         // Chargement notifs
         const savedNotifEnabled = await AsyncStorage.getItem('@notif_enabled');
         if (savedNotifEnabled) setNotificationsEnabled(JSON.parse(savedNotifEnabled));
         
         const savedNotifDelay = await AsyncStorage.getItem('@notif_delay');
         if (savedNotifDelay) setNotificationDelay(JSON.parse(savedNotifDelay));
+
+        setOngoingEnabled(await loadOngoingSetting());
+
+        setChangeAlerts(await loadChangeAlertSettings());
+
+        setChangeLog(await getChangeLog());
+        setChangesSeenAt(await getChangesSeenAt());
+
+        setFeeds(await getFeeds());
+
+        setGroupCatalog(await loadCatalog());
+
+        setSchoolCalendarYears(await loadSchoolCalendars());
+
+        const { lastSuccess } = await getSyncStatus();
+        updateLastSync(lastSuccess);
         
       } catch (e) {
         console.error('Erreur chargement préférences:', e);
       } finally {
-        setGroupHasLoaded(true);
+        if (needsDepartment) setDepartmentPickerVisible(true);
+        else setGroupHasLoaded(true);
       }
     };
     loadPreferences();
   }, []);
 
+  /**
+   * Mémorise la date de la dernière actualisation réussie
+   */
+  const updateLastSync = (date) => {
+    lastSyncRef.current = date;
+    setLastSyncAt(date);
+  };
+
+  /**
+   * Enregistre un nouveau calendrier global et met à jour le journal des modifications
+   * @param {Array} events - Événements fraîchement parsés
+   * @param {Array} previousEvents - Événements de la version précédente
+   * @returns {Promise<Array>} Modifications détectées
+   */
+  const persistGlobalEvents = async (events, previousEvents) => {
+    const { changes, changeLog: updatedLog } = await storeGlobalEvents(events, previousEvents);
+    setChangeLog(updatedLog);
+    setFeeds(await getFeeds());
+    updateLastSync(new Date());
+    setSyncState('idle');
+    return changes;
+  };
+
+  /**
+   * Affiche le calendrier global enregistré : seules les semaines proches d'aujourd'hui
+   * (et celles déjà consultées) sont chargées, les listes des menus viennent des dictionnaires
+   * @returns {Promise<boolean>} false si aucun calendrier n'est enregistré
+   */
+  const applyStoredCalendar = async () => {
+    const { count, rooms, teachers } = await getStoredLists();
+    if (count === 0) return false;
+
+    setAvailableRooms(rooms);
+    setAvailableTeachers(teachers);
+
+    // 1 semaine avant, 4 après : couvre l'export "4 semaines" et les rappels
+    const weekKeys = new Set([...getWeekKeysAround(new Date(), 1, 4), ...loadedWeeksRef.current]);
+    loadedWeeksRef.current = weekKeys;
+    setAllEvents(await loadStoredWeeks([...weekKeys]));
+
+    setGlobalCalendarLoaded(true);
+    return true;
+  };
+
+  /**
+   * Charge des semaines supplémentaires (navigation, carte d'occupation, salle libre)
+   * Une semaine déjà demandée mais encore en lecture attend la fin du chargement en cours.
+   * @param {Array<string>} weekKeys - Clés de semaines (voir getWeekKey)
+   */
+  const ensureWeeksLoaded = async (weekKeys) => {
+    const missing = weekKeys.filter(key => !loadedWeeksRef.current.has(key));
+    if (missing.length === 0) return weeksLoadingRef.current;
+
+    missing.forEach(key => loadedWeeksRef.current.add(key));
+    weeksLoadingRef.current = loadStoredWeeks([...loadedWeeksRef.current]).then(setAllEvents);
+    return weeksLoadingRef.current;
+  };
+
+  /**
+   * Revalide le calendrier global en arrière-plan sans bloquer l'interface
+   * @param {boolean} noCache - true si aucun calendrier n'est encore affiché
+   */
+  const revalidateGlobalCalendar = async (noCache) => {
+    setSyncState('syncing');
+
+    const result = await syncGlobalCalendar();
+
+    if (result.status === 'success') {
+      await applyStoredCalendar();
+      setChangeLog(result.changeLog);
+      updateLastSync(new Date());
+      setSyncState('idle');
+    } else if (result.status === 'offline') {
+      setSyncState('offline');
+    } else {
+      setSyncState('error');
+      if (noCache) Alert.alert("Erreur", "Erreur lecture calendrier.");
+    }
+  };
+
   // Chargement du Calendrier
   useEffect(() => {
     if (!groupHasLoaded) return;
@@ -1749,62 +3277,20 @@ export function MainApp() {
       setLoading(true);
       console.log("🔥 Chargement du calendrier GLOBAL...");
 
-      let eventsToProcess = [];
-
-      try {
-        const cachedEvents = await AsyncStorage.getItem('@parsed_global_events');
-        if (cachedEvents) {
-          const parsed = JSON.parse(cachedEvents);
-          eventsToProcess = parsed.map(event => ({
-            ...event,
-            start: new Date(event.start),
-            end: new Date(event.end)
-          }));
-          console.log(`✅ Cache trouvé : ${parsed.length} événements`);
-        }
-      } catch (e) { console.log("Pas de cache"); }
-
-      if (eventsToProcess.length === 0) {
-        const result = await genCalendar();
-        if (result.url) {
-          try {
-            const events = await parseGlobalICS(result.url);
-            eventsToProcess = events.map(event => ({
-              ...event,
-              start: new Date(event.start),
-              end: new Date(event.end)
-            }));
-            await AsyncStorage.setItem('@parsed_global_events', JSON.stringify(events));
-          } catch (error) {
-            Alert.alert("Erreur", "Erreur lecture calendrier.");
-          }
-        }
-      }
-
-      if (eventsToProcess.length > 0) {
-        setAllEvents(eventsToProcess);
-
-        // Extraction Intelligente des Salles (NOUVEAU)
-        const roomSet = new Set();
-        eventsToProcess.forEach(e => {
-          if (e.location) {
-            // On sépare les salles s'il y a des virgules
-            const splitRooms = e.location.split(','); 
-            splitRooms.forEach(r => {
-              const cleanRoom = r.trim();
-              if (cleanRoom.length > 0 && cleanRoom !== 'Salle inconnue') {
-                roomSet.add(cleanRoom);
-              }
-            });
-          }
-        });
-        const sortedRooms = Array.from(roomSet).sort();
-        setAvailableRooms(sortedRooms);
-
-        setGlobalCalendarLoaded(true);
-      }
+      // 1. Le cache s'affiche immédiatement (semaines proches uniquement)
+      const hasCache = await applyStoredCalendar();
+      console.log(hasCache ? "✅ Cache trouvé" : "Pas de cache");
       
       setLoading(false);
+
+      // 2. Revalidation silencieuse auprès d'ADE, sauf si le cache vient d'être actualisé
+      // (lancement précédent ou tâche de fond)
+      const { lastSuccess } = await getSyncStatus();
+      if (hasCache && lastSuccess && Date.now() - lastSuccess < FRESH_SYNC_MINUTES * 60000) {
+        console.log(`⏭️ Cache actualisé il y a moins de ${FRESH_SYNC_MINUTES} min, pas de revalidation`);
+        return;
+      }
+      await revalidateGlobalCalendar(!hasCache);
     };
 
     loadGlobalCalendar();
@@ -1815,9 +3301,46 @@ export function MainApp() {
     if (!globalCalendarLoaded || allEvents.length === 0) return;
 
     console.log(`🔍 Filtrage : ${selectionType}`, currentSelection);
-    const filtered = filterGlobalEvents(allEvents, selectionType, currentSelection);
+    const filtered = filterLoadedEvents(selectionType, currentSelection);
     setFilteredEvents(filtered);
-  }, [selectionType, currentSelection, allEvents, globalCalendarLoaded]);
+
+    // Vue superposée : chaque sélection est filtrée séparément puis fusionnée pour l'affichage
+    const displayed = overlaySelections.length > 0
+      ? filterLoadedSources([{ type: selectionType, value: currentSelection }, ...overlaySelections])
+      : filtered;
+    setFilteredByDay(groupEventsByDay(displayed));
+  }, [selectionType, currentSelection, overlaySelections, allEvents, globalCalendarLoaded, groupCatalog]);
+
+  // Widget Android : redessiné quand sa source change et après chaque actualisation du calendrier
+  useEffect(() => {
+    if (!globalCalendarLoaded) return;
+    const source = widgetSource || { type: selectionType, value: currentSelection, label: getSelectionLabel(selectionType, currentSelection) };
+    updateHomeWidget(filterLoadedEvents(source.type, source.value), source.label);
+  }, [selectionType, currentSelection, widgetSource, globalCalendarLoaded, lastSyncAt]);
+
+  // Vue agenda : chargement des semaines couvertes par la liste
+  useEffect(() => {
+    if (!globalCalendarLoaded || viewMode !== 'agenda') return;
+    ensureWeeksLoaded(getWeekKeysAround(new Date(), agendaRange.before, agendaRange.after));
+  }, [agendaRange, viewMode, globalCalendarLoaded]);
+
+  // Vue mois : chargement des semaines de la grille du mois affiché
+  useEffect(() => {
+    if (!globalCalendarLoaded || viewMode !== 'month') return;
+    const firstOfMonth = new Date();
+    firstOfMonth.setDate(1);
+    firstOfMonth.setMonth(firstOfMonth.getMonth() + currentMonthOffset);
+    ensureWeeksLoaded(getWeekKeysAround(firstOfMonth, 0, 5));
+  }, [currentMonthOffset, viewMode, globalCalendarLoaded]);
+
+  // Chargement à la demande de la semaine affichée et de ses voisines
+  useEffect(() => {
+    if (!globalCalendarLoaded) return;
+
+    const viewedDate = new Date();
+    viewedDate.setDate(viewedDate.getDate() + (viewMode === 'day' ? currentDayOffset : currentWeekOffset * 7));
+    ensureWeeksLoaded(getWeekKeysAround(viewedDate, 1, 1));
+  }, [currentWeekOffset, currentDayOffset, viewMode, globalCalendarLoaded]);
 
   // --- GESTIONNAIRES D'ÉVÉNEMENTS ---
 
@@ -1825,6 +3348,22 @@ export function MainApp() {
    * Gestion de la sélection (Étudiant, Prof, Salle)
    */
   const handleUniversalSelection = async (type, value) => {
+    if (selectionTarget === 'overlay') {
+      setSelectionTarget('main');
+      setSelectionModalVisible(false);
+      await handleAddOverlay(type, value);
+      setOverlayModalVisible(true);
+      return;
+    }
+
+    if (selectionTarget === 'common') {
+      setSelectionTarget('main');
+      setSelectionModalVisible(false);
+      handleAddCommonSlotSelection(type, value);
+      setCommonSlotsVisible(true);
+      return;
+    }
+
     try {
       setSelectionType(type);
       setCurrentSelection(value);
@@ -1841,6 +3380,110 @@ export function MainApp() {
     }
   };
 
+  /**
+   * Enregistre les sélections superposées
+   * @param {Array} overlays - [{ type, value }]
+   */
+  const saveOverlaySelections = async (overlays) => {
+    setOverlaySelections(overlays);
+    try {
+      await AsyncStorage.setItem('@overlay_selections', JSON.stringify(overlays));
+    } catch (e) {
+      console.error('Erreur sauvegarde superposition:', e);
+    }
+  };
+
+  /**
+   * Ajoute une sélection à la vue superposée (doublons et sélection principale ignorés)
+   */
+  const handleAddOverlay = async (type, value) => {
+    const key = JSON.stringify({ type, value });
+    const existing = [{ type: selectionType, value: currentSelection }, ...overlaySelections];
+    if (existing.some(source => JSON.stringify({ type: source.type, value: source.value }) === key)) return;
+    if (overlaySelections.length >= MAX_OVERLAYS) return;
+
+    console.log(`🗂️ Superposition : ${getSelectionLabel(type, value)}`);
+    await saveOverlaySelections([...overlaySelections, { type, value }]);
+  };
+
+  /**
+   * Retire une sélection de la vue superposée
+   * @param {number} index - Position dans overlaySelections
+   */
+  const handleRemoveOverlay = async (index) => {
+    await saveOverlaySelections(overlaySelections.filter((_, i) => i !== index));
+  };
+
+  /**
+   * Ajoute un participant à la recherche de créneaux communs (doublons ignorés)
+   */
+  const handleAddCommonSlotSelection = (type, value) => {
+    setCommonSlotSelections(prev => {
+      const key = JSON.stringify({ type, value });
+      if (prev.some(s => JSON.stringify({ type: s.type, value: s.value }) === key)) return prev;
+      return [...prev, { type, value, label: getSelectionLabel(type, value) }];
+    });
+  };
+
+  /**
+   * Ouvre la recherche de créneaux communs (avec la sélection actuelle au premier usage)
+   */
+  const handleOpenCommonSlots = () => {
+    if (commonSlotSelections.length === 0) handleAddCommonSlotSelection(selectionType, currentSelection);
+    setCommonSlotsVisible(true);
+  };
+
+  /**
+   * Choix du département (premier lancement ou changement depuis le menu)
+   * Un changement remplace le calendrier global et réinitialise la sélection.
+   */
+  const handleSelectDepartment = async (key) => {
+    const isFirstLaunch = !groupHasLoaded;
+    setDepartmentPickerVisible(false);
+    if (!isFirstLaunch && key === department) return;
+
+    try {
+      await saveDepartment(key);
+      setDepartment(key);
+      const catalog = await loadCatalog();
+      setGroupCatalog(catalog);
+
+      // Sélection par défaut : premier groupe du catalogue
+      const value = getDefaultSelection(catalog);
+      if (value) {
+        setSelectionType('student');
+        setCurrentSelection(value);
+        await AsyncStorage.setItem('@selection_type', 'student');
+        await AsyncStorage.setItem('@selection_value', JSON.stringify(value));
+      }
+
+      if (isFirstLaunch) {
+        setGroupHasLoaded(true);
+        return;
+      }
+
+      // Le calendrier global de l'ancien département n'est plus pertinent
+      await clearEventStore();
+      loadedWeeksRef.current = new Set();
+      await clearChangeLog();
+      setChangeLog([]);
+      // Les flux .ics portent sur des sélections de l'ancien département
+      setFeeds(await removeAllFeeds());
+      setAllEvents([]);
+      setFilteredEvents([]);
+      setFilteredByDay({});
+      await saveOverlaySelections([]);
+      setAvailableRooms([]);
+      setAvailableTeachers([]);
+      setCurrentWeekOffset(0);
+      setCurrentDayOffset(0);
+
+      await revalidateGlobalCalendar(true);
+    } catch (e) {
+      console.error('Erreur changement département:', e);
+    }
+  };
+
   /**
    * Gestion du changement de thème
    */
@@ -1893,11 +3536,35 @@ export function MainApp() {
       setViewMode(mode);
       if (mode === 'week' || mode === 'fullweek') setCurrentDayOffset(0);
       else setCurrentWeekOffset(0);
+      if (mode === 'agenda') setAgendaRange({ before: 0, after: 2 });
+      if (mode === 'month') setCurrentMonthOffset(0);
     } catch (e) {
       console.error('Erreur sauvegarde mode affichage:', e);
     }
   };
 
+  /**
+   * Change la plage horaire de la grille et la sauvegarde
+   * @param {Object} range - { start, end, compact }
+   */
+  const handleChangeHourRange = async (range) => {
+    setHourRange(range);
+    try {
+      await AsyncStorage.setItem('@hour_range', JSON.stringify(range));
+    } catch (e) {
+      console.error('Erreur sauvegarde plage horaire:', e);
+    }
+  };
+
+  /**
+   * Change l'emploi du temps affiché par le widget Android
+   * @param {Object|null} source - Favori, ou null pour suivre la sélection actuelle
+   */
+  const handleSelectWidgetSource = async (source) => {
+    setWidgetSource(source);
+    await saveWidgetSource(source);
+  };
+
   /**
    * Vérifie si la sélection actuelle est un favori
    */
@@ -1921,9 +3588,7 @@ export function MainApp() {
       );
     } else {
       // Ajouter
-      let label = '';
-      if (selectionType === 'student') label = `${currentSelection.year} ${currentSelection.group}`;
-      else label = currentSelection; // Prof ou Salle
+      const label = getSelectionLabel(selectionType, currentSelection);
 
       const newFav = {
         type: selectionType,
@@ -1960,34 +3625,165 @@ export function MainApp() {
           onPress: async () => {
             setMenuModalVisible(false);
             setLoading(true);
-            
-            // Supprimer TOUS les caches
-            await AsyncStorage.removeItem('@global_calendar_cache');
-            await AsyncStorage.removeItem('@parsed_global_events');
-            console.log('🗑️ Cache global supprimé');
-            
-            // Forcer régénération
-            const result = await genCalendar();
-            
-            if (result.url) {
+
+            try {
+              // Forcer régénération : le cache actuel reste en place tant que le nouveau n'est pas prêt
+              const result = await genCalendar();
+              if (!result.url) {
+                Alert.alert("❌ Erreur", "Impossible de régénérer l'emploi du temps.");
+                return;
+              }
+
               const events = await parseGlobalICS(result.url);
-              setAllEvents(events);
-              
-              // Sauvegarder nouveau cache
-              await AsyncStorage.setItem('@parsed_global_events', JSON.stringify(events));
-              
-              Alert.alert("✅ Succès", "Planning global actualisé !");
-            } else {
-              Alert.alert("❌ Erreur", "Impossible de régénérer l'emploi du temps.");
+
+              // Version actuelle conservée pour la détection des modifications
+              const previousEvents = await loadAllStoredEvents();
+
+              // Remplace le cache (et journalise les modifications)
+              await AsyncStorage.removeItem('@global_calendar_cache');
+              const changes = await persistGlobalEvents(events, previousEvents);
+              await applyStoredCalendar();
+
+              Alert.alert(
+                "✅ Succès",
+                changes.length > 0
+                  ? `Planning global actualisé !\n${changes.length} modification(s) détectée(s).`
+                  : "Planning global actualisé !"
+              );
+            } catch (error) {
+              console.error("❌ Erreur actualisation forcée:", error);
+              Alert.alert("❌ Erreur", "Impossible de télécharger l'emploi du temps. Le planning enregistré est conservé.");
+            } finally {
+              setLoading(false);
             }
-            
-            setLoading(false);
           }
         }
       ]
     );
   };
 
+  /**
+   * Modifications du journal concernant la sélection actuelle
+   */
+  const selectionChanges = changeLog.filter(change =>
+    filterGlobalEvents([change.before, change.after].filter(Boolean), selectionType, currentSelection).length > 0
+  );
+
+  /** Modifications de la sélection détectées depuis la dernière ouverture du journal (badge du menu) */
+  const unseenChangesCount = selectionChanges.filter(change => !changesSeenAt || change.detectedAt > changesSeenAt).length;
+
+  /**
+   * Ouvre le journal des modifications et le marque comme consulté
+   */
+  const handleOpenChanges = async () => {
+    setMenuModalVisible(false);
+    setChangesModalVisible(true);
+    setMenuTapCount(0);
+    setChangesSeenAt(await markChangesSeen());
+  };
+
+  /**
+   * Efface le journal des modifications
+   */
+  const handleClearChanges = () => {
+    Alert.alert(
+      "Effacer les modifications",
+      "Voulez-vous vider l'historique des modifications ?",
+      [
+        { text: "Annuler", style: "cancel" },
+        {
+          text: "Effacer",
+          style: "destructive",
+          onPress: async () => {
+            await clearChangeLog();
+            setChangeLog([]);
+          }
+        }
+      ]
+    );
+  };
+
+  /**
+   * Exporte la sélection actuelle en .ics et ouvre la feuille de partage
+   * @param {string} range - 'displayed' (semaine/jour affiché), 'upcoming' (4 semaines) ou 'all'
+   */
+  const handleExport = async (range) => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    let rangeStart = null;
+    let rangeEnd = null;
+
+    if (range === 'displayed') {
+      if (viewMode === 'day') {
+        rangeStart = new Date(today);
+        rangeStart.setDate(rangeStart.getDate() + currentDayOffset);
+        rangeEnd = new Date(rangeStart);
+        rangeEnd.setDate(rangeEnd.getDate() + 1);
+      } else {
+        rangeStart = new Date(today);
+        rangeStart.setDate(rangeStart.getDate() - (rangeStart.getDay() || 7) + 1 + (currentWeekOffset * 7));
+        rangeEnd = new Date(rangeStart);
+        rangeEnd.setDate(rangeEnd.getDate() + 7);
+      }
+    } else if (range === 'upcoming') {
+      rangeStart = today;
+      rangeEnd = new Date(today);
+      rangeEnd.setDate(rangeEnd.getDate() + 28);
+    }
+
+    // Export complet : tout le calendrier, pas seulement les semaines chargées
+    const sourceEvents = range === 'all'
+      ? filterGlobalEvents(await loadAllStoredEvents(), selectionType, currentSelection)
+      : filteredEvents;
+
+    const eventsToExport = sourceEvents.filter(event =>
+      (!rangeStart || event.end > rangeStart) && (!rangeEnd || event.start < rangeEnd)
+    );
+
+    if (eventsToExport.length === 0) {
+      Alert.alert("Export", "Aucun cours à exporter sur cette période.");
+      return;
+    }
+
+    try {
+      setExportModalVisible(false);
+      await shareEventsAsICS(eventsToExport, getSelectionLabel(selectionType, currentSelection));
+    } catch (error) {
+      console.error('Erreur export .ics:', error);
+      Alert.alert("❌ Erreur", "Impossible d'exporter l'emploi du temps.");
+    }
+  };
+
+  /** Flux local de la sélection actuelle (null si désactivé) */
+  const currentFeed = feeds.find(feed =>
+    feed.type === selectionType && JSON.stringify(feed.value) === JSON.stringify(currentSelection)
+  ) || null;
+
+  /**
+   * Active ou désactive le flux .ics local de la sélection actuelle
+   */
+  const handleToggleFeed = async () => {
+    if (!currentSelection) return;
+    try {
+      setFeeds(await setFeedEnabled(selectionType, currentSelection, !currentFeed, await loadAllStoredEvents()));
+    } catch (error) {
+      console.error('Erreur flux .ics:', error);
+      Alert.alert("❌ Erreur", "Impossible de générer le flux local (aucun dossier choisi ?).");
+    }
+  };
+
+  /**
+   * Déplace les flux .ics locaux dans un autre dossier partagé
+   */
+  const handleChangeFeedsDirectory = async () => {
+    try {
+      setFeeds(await changeFeedsDirectory(await loadAllStoredEvents()));
+    } catch (error) {
+      console.error('Erreur dossier des flux:', error);
+      Alert.alert("❌ Erreur", "Impossible d'utiliser ce dossier pour les flux.");
+    }
+  };
+
   /**
    * Easter egg : tap 6 fois sur "Menu" pour voir les logs
    */
@@ -2014,76 +3810,42 @@ export function MainApp() {
   // --- RENDU ---
 
   /**
-   * Demande la permission pour les notifications
+   * Événements de la sélection dans le calendrier enregistré (comme la tâche de fond),
+   * indépendamment des semaines chargées pour l'affichage
+   * @param {Array<string>|null} weekKeys - Semaines à lire (toutes si null)
+   * @returns {Promise<Array>}
    */
-  const registerForPushNotificationsAsync = async () => {
-    if (Platform.OS === 'android') {
-      await Notifications.setNotificationChannelAsync('default', {
-        name: 'default',
-        importance: Notifications.AndroidImportance.MAX,
-        vibrationPattern: [0, 250, 250, 250],
-        lightColor: '#FF231F7C',
-      });
-    }
-
-    if (Device.isDevice) {
-      const { status: existingStatus } = await Notifications.getPermissionsAsync();
-      let finalStatus = existingStatus;
-      if (existingStatus !== 'granted') {
-        const { status } = await Notifications.requestPermissionsAsync();
-        finalStatus = status;
-      }
-      if (finalStatus !== 'granted') {
-        alert('Permission de notification refusée !');
-        return false;
-      }
-      return true;
-    }
-    return false;
+  const loadSelectionEvents = async (weekKeys = null) => {
+    const events = weekKeys
+      ? await loadStoredWeeks(weekKeys, { keepInMemory: false })
+      : await loadAllStoredEvents();
+    return filterGlobalEvents(events, selectionType, currentSelection);
   };
 
   /**
-   * Planifie les notifications pour tous les cours futurs
+   * Planifie les notifications pour tous les cours futurs (réglages enregistrés)
    */
   const scheduleNotificationsForEvents = async () => {
-    // 1. On annule tout pour repartir propre
-    await Notifications.cancelAllScheduledNotificationsAsync();
-
-    if (!notificationsEnabled) return;
+    const { enabled, delay } = await loadNotificationSettings();
+    if (!enabled) {
+      // On annule les rappels pour repartir propre
+      await cancelCourseReminders();
+      return;
+    }
 
-    const hasPermission = await registerForPushNotificationsAsync();
-    if (!hasPermission) return;
+    await scheduleCourseReminders(await loadSelectionEvents(), delay);
+  };
 
-    const delayInMinutes = (notificationDelay.hours * 60) + notificationDelay.minutes;
-    const now = new Date();
-    let count = 0;
-
-    // On parcourt les événements affichés (filteredEvents)
-    for (const event of filteredEvents) {
-      const triggerDate = new Date(event.start);
-      // On retire le délai (ex: 8h00 - 15min = 7h45)
-      triggerDate.setMinutes(triggerDate.getMinutes() - delayInMinutes);
-
-      // Si la date de notif est dans le futur
-      if (triggerDate > now) {
-        try {
-          await Notifications.scheduleNotificationAsync({
-            content: {
-              title: `Cours dans ${notificationDelay.hours > 0 ? notificationDelay.hours + 'h' : ''}${notificationDelay.minutes}m 🎓`,
-              body: `${event.title} en salle ${event.location || '?'}`,
-              sound: true,
-            },
-            trigger: triggerDate,
-          });
-          count++;
-          // Limite Android/iOS : On ne planifie pas 500 notifs, juste les 50 prochaines par sécurité
-          if (count >= 50) break; 
-        } catch (e) {
-          console.error("Erreur planif notif", e);
-        }
-      }
+  /**
+   * Applique le réglage enregistré de la notification permanente (pas celui du modal en cours d'édition)
+   * Quelques semaines suffisent pour trouver la prochaine journée de cours (vacances comprises).
+   */
+  const refreshOngoingNotification = async () => {
+    if (await loadOngoingSetting()) {
+      await updateOngoingNotification(await loadSelectionEvents(getWeekKeysAround(new Date(), 0, 3)));
+    } else {
+      await clearOngoingNotification();
     }
-    console.log(`🔔 ${count} notifications planifiées`);
   };
 
   /**
@@ -2092,11 +3854,14 @@ export function MainApp() {
   const handleSaveNotifications = async () => {
     await AsyncStorage.setItem('@notif_enabled', JSON.stringify(notificationsEnabled));
     await AsyncStorage.setItem('@notif_delay', JSON.stringify(notificationDelay));
+    await saveOngoingSetting(ongoingEnabled);
+    await saveChangeAlertSettings(changeAlerts);
     
     setNotificationModalVisible(false);
     
     // On lance la replanification
     scheduleNotificationsForEvents();
+    refreshOngoingNotification();
     alert(notificationsEnabled ? "Rappels activés ! 🔔" : "Rappels désactivés.");
   };
 
@@ -2104,7 +3869,7 @@ export function MainApp() {
    * Simule une notification immédiate pour tester
    */
   const handleTestNotification = async () => {
-    const hasPermission = await registerForPushNotificationsAsync();
+    const hasPermission = await ensureNotificationPermission();
     if (!hasPermission) return;
 
     await Notifications.scheduleNotificationAsync({
@@ -2131,6 +3896,7 @@ export function MainApp() {
         <Text style={{ color: theme.text, opacity: 0.7, textAlign: 'center', paddingHorizontal: 20 }}>
           Cela peut prendre quelques secondes la première fois
         </Text>
+        <DepartmentPickerModal visible={departmentPickerVisible} onSelect={handleSelectDepartment} currentKey={department} theme={theme} />
       </View>
     );
   }
@@ -2149,15 +3915,15 @@ export function MainApp() {
   const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
   startOfDay.setDate(startOfDay.getDate() + currentDayOffset);
   
-  // Filtrage des événements à afficher
-  const eventsToDisplay = filteredEvents.filter(event => {
-    const eventDate = new Date(event.start.getFullYear(), event.start.getMonth(), event.start.getDate());
-    if (viewMode === 'day') {
-      return eventDate.toDateString() === startOfDay.toDateString();
-    } else {
-      return eventDate >= startOfWeek && eventDate <= endOfWeek;
-    }
-  });
+  // Événements à afficher (lecture directe par jour)
+  const displayedDays = viewMode === 'day'
+    ? [startOfDay]
+    : Array.from({ length: daysToShow }, (_, i) => {
+        const day = new Date(startOfWeek);
+        day.setDate(day.getDate() + i);
+        return day;
+      });
+  const eventsToDisplay = displayedDays.flatMap(day => filteredByDay[getDayKey(day)] || []);
 
   // Regroupement des événements par jour
   const groupedEvents = eventsToDisplay.reduce((acc, event) => {
@@ -2174,11 +3940,23 @@ export function MainApp() {
     setSelectedEvent(event);
     setDetailsModalVisible(true);
   };
+
+  /**
+   * Affiche la liste des cours masqués d'un groupe trop dense ("+N")
+   */
+  const showOverlappingEvents = (events) => {
+    setOverlapEvents(events);
+    setOverlapModalVisible(true);
+  };
   
   /**
    * Retourne la couleur d'un événement selon les préférences
    */
   const getEventColor = (event) => {
+    // Vue superposée : couleur de la (première) sélection concernée
+    if (event.sources && overlaySelections.length > 0) {
+      return OVERLAY_COLORS[event.sources[0]];
+    }
     if (coloringMode === 'type' && courseTypeColors[event.courseType]) {
       return courseTypeColors[event.courseType];
     }
@@ -2188,11 +3966,335 @@ export function MainApp() {
     return theme.eventBackground;
   };
   
+  /**
+   * Sélections affichées dans la vue superposée (principale en premier), avec leur libellé
+   */
+  const getOverlaySources = () => [{ type: selectionType, value: currentSelection }, ...overlaySelections]
+    .map(source => ({ ...source, label: getSelectionLabel(source.type, source.value) }));
+
   const padZero = (num) => num < 10 ? `0${num}` : num;
+  const formatDuration = (minutes) => {
+    const h = Math.floor(minutes / 60);
+    const m = minutes % 60;
+    if (h === 0) return `${m} min`;
+    return m === 0 ? `${h}h` : `${h}h${padZero(m)}`;
+  };
   const currentDay = now.getDay();
   const currentDayIndex = currentDay === 0 ? 7 : currentDay;
   const isCurrentWeek = currentWeekOffset === 0;
 
+  /**
+   * Affiche directement la période contenant une date, dans la vue courante
+   * @param {Date} date - Date choisie dans la modal "Aller à..."
+   */
+  const handleJumpToDate = (date) => {
+    const target = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    if (viewMode === 'day') {
+      setCurrentDayOffset(Math.round((target - today) / 86400000));
+    } else if (viewMode === 'month') {
+      setCurrentMonthOffset((target.getFullYear() - today.getFullYear()) * 12 + target.getMonth() - today.getMonth());
+    } else {
+      const targetMonday = new Date(target);
+      targetMonday.setDate(targetMonday.getDate() - (targetMonday.getDay() || 7) + 1);
+      const currentMonday = new Date(today);
+      currentMonday.setDate(currentMonday.getDate() - (currentMonday.getDay() || 7) + 1);
+      setCurrentWeekOffset(Math.round((targetMonday - currentMonday) / (7 * 86400000)));
+    }
+    setDatePickerVisible(false);
+  };
+
+  /**
+   * Date de la période affichée (pour ouvrir la modal "Aller à..." au bon endroit)
+   */
+  const getDisplayedDate = () => {
+    if (viewMode === 'day') return startOfDay;
+    if (viewMode === 'month') return new Date(today.getFullYear(), today.getMonth() + currentMonthOffset, 1);
+    return startOfWeek;
+  };
+
+  /**
+   * Indique si une semaine peut être sautée : vacances du calendrier scolaire et aucun cours enregistré
+   * Une semaine enregistrée mais pas encore chargée n'est jamais sautée (ses cours ne sont pas connus).
+   * @param {number} weekOffset - Décalage de la semaine par rapport à la semaine actuelle
+   */
+  const isSkippableWeek = (weekOffset) => {
+    const monday = new Date(today);
+    monday.setDate(monday.getDate() - (monday.getDay() || 7) + 1 + weekOffset * 7);
+    if (!isHolidayWeek(monday)) return false;
+
+    const weekKey = getWeekKey(monday);
+    const storedWeeks = getStoredWeekKeys();
+    if (storedWeeks.length === 0) return false;
+    if (!storedWeeks.includes(weekKey)) return true;
+    if (!loadedWeeksRef.current.has(weekKey)) return false;
+    return Array.from({ length: 7 }, (_, i) => new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + i))
+      .every(day => !filteredByDay[getDayKey(day)]);
+  };
+
+  /**
+   * Passe à la semaine précédente / suivante en sautant les semaines de vacances vides
+   * @param {number} direction - -1 (précédente) ou 1 (suivante)
+   */
+  const stepWeek = (direction) => {
+    let offset = currentWeekOffset + direction;
+    for (let skipped = 0; skipped < MAX_SKIPPED_WEEKS && isSkippableWeek(offset); skipped++) offset += direction;
+    setCurrentWeekOffset(offset);
+  };
+
+  /**
+   * Bandeau du calendrier scolaire : semestre en cours et vacances / jours fériés de la période
+   * @param {Date} start - Premier jour affiché
+   * @param {Date} end - Dernier jour affiché
+   */
+  const renderSchoolCalendarBanner = (start, end) => {
+    const semester = getSemesterLabel(start, selectionType === 'student' ? currentSelection?.year : undefined);
+    const labels = getHolidaysBetween(start, end).map(period => period.label);
+    for (const day = new Date(start); day <= end; day.setDate(day.getDate() + 1)) {
+      const { publicHoliday } = getDayInfo(day);
+      if (publicHoliday) labels.push(`${publicHoliday} (${day.toLocaleDateString('fr-FR', { weekday: 'short', day: 'numeric' })})`);
+    }
+    // Année sans calendrier : les vacances ne sont pas connues, on le signale plutôt que de les taire
+    const missingYears = getMissingSchoolYears(start, end);
+    if (!semester && labels.length === 0 && missingYears.length === 0) return null;
+
+    return (
+      <View style={{ flexDirection: 'row', flexWrap: 'wrap', alignItems: 'center', justifyContent: 'center', paddingVertical: 3, paddingHorizontal: 10, backgroundColor: labels.length > 0 ? '#51cf6633' : 'transparent' }}>
+        {semester && <Text style={{ color: theme.text, fontSize: 11, fontWeight: 'bold', opacity: 0.7 }}>{semester}</Text>}
+        {labels.length > 0 && (
+          <Text style={{ color: theme.text, fontSize: 11 }}>{semester ? '  •  ' : ''}🌴 {labels.join(' • ')}</Text>
+        )}
+        {missingYears.length > 0 && (
+          <Text style={{ color: '#f59f00', fontSize: 11 }}>
+            {semester || labels.length > 0 ? '  •  ' : ''}⚠️ Calendrier scolaire {missingYears.join(', ')} absent : vacances non affichées
+          </Text>
+        )}
+      </View>
+    );
+  };
+
+  /**
+   * Ouvre la vue jour à une date (depuis la vue mois)
+   * @param {Date} date - Jour choisi
+   */
+  const openDayView = async (date) => {
+    await handleToggleView('day');
+    setCurrentDayOffset(Math.round((date - today) / 86400000));
+  };
+
+  /**
+   * Rendu de la vue mois : une case par jour avec pastilles de couleur,
+   * total d'heures de cours et mise en évidence des examens / jours banalisés
+   */
+  const renderMonth = () => {
+    const firstOfMonth = new Date(today.getFullYear(), today.getMonth() + currentMonthOffset, 1);
+    const gridStart = new Date(firstOfMonth);
+    gridStart.setDate(gridStart.getDate() - (gridStart.getDay() || 7) + 1);
+
+    const weeks = Array.from({ length: 6 }, (_, w) => Array.from({ length: 7 }, (_, d) => {
+      const day = new Date(gridStart);
+      day.setDate(gridStart.getDate() + w * 7 + d);
+      return day;
+    }));
+
+    const monthLabel = firstOfMonth.toLocaleDateString('fr-FR', { month: 'long', year: 'numeric' });
+    const lastOfMonth = new Date(firstOfMonth.getFullYear(), firstOfMonth.getMonth() + 1, 0);
+
+    return (
+      <View style={[styles.mainContent, { paddingBottom: 10 }]}>
+        {/* Barre de navigation mois */}
+        <View style={[styles.weekNavigator, { backgroundColor: theme.topBar, borderColor: theme.borderColor }]}>
+          <TouchableOpacity onPress={() => setCurrentMonthOffset(prev => prev - 1)}>
+            <Ionicons name="arrow-back" size={24} color={theme.text} />
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => setDatePickerVisible(true)}>
+            <Text style={[styles.weekText, { color: theme.text }]}>
+              {monthLabel.charAt(0).toUpperCase() + monthLabel.slice(1)}
+            </Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => setCurrentMonthOffset(prev => prev + 1)}>
+            <Ionicons name="arrow-forward" size={24} color={theme.text} />
+          </TouchableOpacity>
+        </View>
+
+        {renderSchoolCalendarBanner(firstOfMonth, lastOfMonth)}
+
+        {/* En-têtes des jours */}
+        <View style={{ flexDirection: 'row' }}>
+          {daysOfWeekShort.map(dayName => (
+            <View key={dayName} style={{ flex: 1, alignItems: 'center', paddingVertical: 4, backgroundColor: theme.headerBackground }}>
+              <Text style={{ color: theme.headerText, fontWeight: 'bold', fontSize: 12 }}>{dayName}</Text>
+            </View>
+          ))}
+        </View>
+
+        {/* Grille du mois */}
+        <View style={{ flex: 1 }}>
+          {weeks.map((week, weekIndex) => (
+            <View key={weekIndex} style={{ flex: 1, flexDirection: 'row' }}>
+              {week.map(day => {
+                const dayEvents = filteredByDay[getDayKey(day)] || [];
+                const { minutes, exam, holiday } = summarizeDay(dayEvents);
+                const schoolDay = getDayInfo(day);
+                // "Férié" d'après le calendrier scolaire ; sinon le type du marqueur ADE (vacances, banalisé...)
+                const offLabel = schoolDay.publicHoliday ? 'Férié' : (holiday || (schoolDay.holiday ? 'Vacances' : null));
+                const isToday = day.toDateString() === today.toDateString();
+                const inMonth = day.getMonth() === firstOfMonth.getMonth();
+
+                return (
+                  <TouchableOpacity
+                    key={day.toDateString()}
+                    onPress={() => openDayView(day)}
+                    style={{
+                      flex: 1,
+                      padding: 3,
+                      borderWidth: exam ? 2 : 0.5,
+                      borderColor: exam ? '#ff6b6b' : theme.borderColor,
+                      backgroundColor: offLabel ? '#51cf6633' : (isToday ? theme.todayHeaderBackground + '50' : 'transparent'),
+                      opacity: inMonth ? 1 : 0.4,
+                    }}
+                  >
+                    <Text style={{ color: isToday ? theme.todayHeaderBackground : theme.text, fontWeight: isToday ? 'bold' : 'normal', fontSize: 12 }}>
+                      {day.getDate()}
+                    </Text>
+
+                    {/* Pastilles : une par cours, couleur du type ou de la matière */}
+                    <View style={{ flexDirection: 'row', flexWrap: 'wrap', marginTop: 2 }}>
+                      {dayEvents.slice(0, MONTH_MAX_DOTS).map((event, index) => (
+                        <View key={index} style={{ width: 7, height: 7, borderRadius: 4, margin: 1, backgroundColor: getEventColor(event), borderWidth: 0.5, borderColor: theme.eventBorder }} />
+                      ))}
+                      {dayEvents.length > MONTH_MAX_DOTS && (
+                        <Text style={{ color: theme.text, fontSize: 8 }}>+{dayEvents.length - MONTH_MAX_DOTS}</Text>
+                      )}
+                    </View>
+
+                    <View style={{ flex: 1 }} />
+                    {offLabel && <Text style={{ color: theme.text, fontSize: 8, opacity: 0.8 }} numberOfLines={1}>{offLabel}</Text>}
+                    {exam && <Text style={{ color: '#ff6b6b', fontSize: 8, fontWeight: 'bold' }} numberOfLines={1}>Examen</Text>}
+                    {minutes > 0 && (
+                      <Text style={{ color: theme.text, fontSize: 9, opacity: 0.7 }}>{formatDuration(minutes)}</Text>
+                    )}
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          ))}
+        </View>
+      </View>
+    );
+  };
+
+  /**
+   * Rendu de la vue agenda : liste chronologique des séances groupées par jour
+   * (en-têtes de jour collants, pauses affichées, défilement infini dans les deux sens)
+   */
+  const renderAgenda = () => {
+    // Bornes de la liste : à partir d'aujourd'hui, étendues par le défilement
+    const rangeStart = new Date(today);
+    if (agendaRange.before > 0) {
+      rangeStart.setDate(rangeStart.getDate() - (rangeStart.getDay() || 7) + 1 - agendaRange.before * 7);
+    }
+    const rangeEnd = new Date(today);
+    rangeEnd.setDate(rangeEnd.getDate() - (rangeEnd.getDay() || 7) + 1 + (agendaRange.after + 1) * 7);
+
+    // Limites du calendrier enregistré (fin du défilement infini)
+    const storedWeeks = getStoredWeekKeys();
+    const hasEarlier = storedWeeks.length > 0 && storedWeeks[0] < getWeekKey(rangeStart);
+    const hasLater = storedWeeks.length > 0 && storedWeeks[storedWeeks.length - 1] >= getWeekKey(rangeEnd);
+
+    // Une section par jour avec cours, les pauses d'au moins 15 min entre les séances
+    const sections = [];
+    for (const day = new Date(rangeStart); day < rangeEnd; day.setDate(day.getDate() + 1)) {
+      const dayEvents = filteredByDay[getDayKey(day)];
+      if (!dayEvents || dayEvents.length === 0) continue;
+
+      const data = [];
+      let lastEnd = null;
+      dayEvents.forEach(event => {
+        if (lastEnd && event.start - lastEnd >= 15 * 60000) {
+          data.push({ kind: 'gap', minutes: Math.round((event.start - lastEnd) / 60000), key: `gap-${event.start.getTime()}` });
+        }
+        data.push({ kind: 'event', event, key: `${event.uid || event.title}-${event.start.getTime()}` });
+        if (!lastEnd || event.end > lastEnd) lastEnd = event.end;
+      });
+
+      const label = day.toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long' });
+      sections.push({
+        key: getDayKey(day),
+        title: day.toDateString() === today.toDateString() ? `Aujourd'hui • ${label}` : label.charAt(0).toUpperCase() + label.slice(1),
+        data,
+      });
+    }
+
+    const renderAgendaItem = ({ item }) => {
+      if (item.kind === 'gap') {
+        return (
+          <View style={{ flexDirection: 'row', alignItems: 'center', paddingVertical: 4, paddingHorizontal: 20 }}>
+            <View style={{ height: 1, flex: 1, backgroundColor: theme.borderColor }} />
+            <Text style={{ color: theme.text, opacity: 0.6, fontSize: 12, fontStyle: 'italic', marginHorizontal: 10 }}>Pause de {formatDuration(item.minutes)}</Text>
+            <View style={{ height: 1, flex: 1, backgroundColor: theme.borderColor }} />
+          </View>
+        );
+      }
+
+      const { event } = item;
+      const eventBgColor = getEventColor(event);
+      const eventTextColor = getContrastColor(eventBgColor);
+      return (
+        <TouchableOpacity
+          onPress={() => showEventDetails(event)}
+          style={{ flexDirection: 'row', alignItems: 'center', marginHorizontal: 10, marginVertical: 4, padding: 10, borderRadius: 8, backgroundColor: eventBgColor, borderWidth: 1, borderColor: theme.eventBorder }}
+        >
+          <View style={{ width: 55, marginRight: 10 }}>
+            <Text style={{ color: eventTextColor, fontWeight: 'bold', fontSize: 13 }}>{padZero(event.start.getHours())}:{padZero(event.start.getMinutes())}</Text>
+            <Text style={{ color: eventTextColor, opacity: 0.7, fontSize: 12 }}>{padZero(event.end.getHours())}:{padZero(event.end.getMinutes())}</Text>
+          </View>
+          <View style={{ flex: 1 }}>
+            <Text style={{ color: eventTextColor, fontWeight: 'bold', fontSize: 14 }} numberOfLines={1}>{event.title}</Text>
+            <Text style={{ color: eventTextColor, opacity: 0.8, fontSize: 12 }} numberOfLines={1}>
+              {event.location}{event.teacher ? ` • ${event.teacher}` : ''}
+            </Text>
+          </View>
+          <Text style={{ color: eventTextColor, opacity: 0.7, fontSize: 11, fontWeight: 'bold', marginLeft: 6 }}>{event.courseType}</Text>
+        </TouchableOpacity>
+      );
+    };
+
+    return (
+      <View style={[styles.mainContent, { paddingBottom: 10 }]}>
+        <SectionList
+          sections={sections}
+          keyExtractor={item => item.key}
+          renderItem={renderAgendaItem}
+          renderSectionHeader={({ section }) => (
+            <View style={{ backgroundColor: theme.headerBackground, paddingVertical: 6, paddingHorizontal: 15, borderBottomWidth: 1, borderColor: theme.borderColor }}>
+              <Text style={{ color: theme.headerText, fontWeight: 'bold', fontSize: 14 }}>{section.title}</Text>
+            </View>
+          )}
+          stickySectionHeadersEnabled={true}
+          onEndReached={() => hasLater && setAgendaRange(prev => ({ ...prev, after: prev.after + 2 }))}
+          onEndReachedThreshold={0.5}
+          onStartReached={() => hasEarlier && setAgendaRange(prev => ({ ...prev, before: prev.before + 2 }))}
+          onStartReachedThreshold={0.2}
+          maintainVisibleContentPosition={{ minIndexForVisible: 0 }}
+          ListHeaderComponent={hasEarlier && agendaRange.before === 0 ? (
+            <TouchableOpacity onPress={() => setAgendaRange(prev => ({ ...prev, before: prev.before + 2 }))} style={{ padding: 10, alignItems: 'center' }}>
+              <Text style={{ color: theme.text, opacity: 0.6, fontSize: 12 }}>Afficher les séances passées</Text>
+            </TouchableOpacity>
+          ) : null}
+          ListEmptyComponent={(
+            <View style={[styles.noEventsContainer, { marginTop: 40 }]}>
+              <Text style={[styles.noEventsText, { color: theme.text }]}>Aucune séance à venir.</Text>
+              <Text style={[styles.noEventsTextSmall, { color: theme.text }]}>Vérifiez votre sélection.</Text>
+            </View>
+          )}
+          ListFooterComponent={!hasLater && sections.length > 0 ? (
+            <Text style={{ color: theme.text, opacity: 0.6, fontSize: 12, textAlign: 'center', padding: 15 }}>Fin du calendrier</Text>
+          ) : null}
+        />
+      </View>
+    );
+  };
+
   /**
    * Rendu du calendrier principal (Version Responsive 19h)
    */
@@ -2220,11 +4322,11 @@ export function MainApp() {
         if (diffX > 0) {
           // Swipe vers la GAUCHE -> Suivant
           if (viewMode === 'day') setCurrentDayOffset(prev => prev + 1);
-          else setCurrentWeekOffset(prev => prev + 1);
+          else stepWeek(1);
         } else {
           // Swipe vers la DROITE -> Précédent
           if (viewMode === 'day') setCurrentDayOffset(prev => prev - 1);
-          else setCurrentWeekOffset(prev => prev - 1);
+          else stepWeek(-1);
         }
       }
     };
@@ -2232,9 +4334,8 @@ export function MainApp() {
 
     let weekdays, headerStartDate;
     
-    // Configuration horaire
-    const startHour = 8;
-    const endHour = 19; // <--- MODIF 1 : Fin à 19h
+    // Configuration horaire : déduite des cours de la période affichée
+    const { startHour, endHour } = getHourRange(eventsToDisplay, hourRange);
     const totalHours = endHour - startHour;
     
     // Calcul dynamique de la hauteur d'une heure (si la hauteur du conteneur est connue)
@@ -2249,7 +4350,7 @@ export function MainApp() {
       const currentHour = now.getHours();
       const currentMinutes = now.getMinutes();
       
-      // Si on est avant 8h ou après 19h, on n'affiche rien
+      // En dehors de la plage affichée, on n'affiche rien
       if (currentHour < startHour || currentHour >= endHour) return null;
 
       const minutesSinceStart = (currentHour - startHour) * 60 + currentMinutes;
@@ -2265,6 +4366,9 @@ export function MainApp() {
       : currentWeekOffset === 0;
 
     const hours = Array.from({ length: totalHours }, (_, i) => startHour + i);
+
+    // Nombre de cours simultanés lisibles côte à côte selon la largeur des colonnes
+    const maxOverlapColumns = viewMode === 'day' ? 4 : (viewMode === 'fullweek' ? 2 : 3);
     
     if (viewMode === 'day') {
       weekdays = [daysOfWeekShort[startOfDay.getDay() === 0 ? 6 : startOfDay.getDay() - 1]];
@@ -2281,20 +4385,41 @@ export function MainApp() {
       <View style={[styles.mainContent, { paddingBottom: 10 }]} onTouchStart={handleTouchStart} onTouchEnd={handleTouchEnd}>
         {/* Barre de navigation semaine/jour */}
         <View style={[styles.weekNavigator, { backgroundColor: theme.topBar, borderColor: theme.borderColor }]}>
-          <TouchableOpacity onPress={() => viewMode === 'day' ? setCurrentDayOffset(prev => prev - 1) : setCurrentWeekOffset(prev => prev - 1)}>
+          <TouchableOpacity onPress={() => viewMode === 'day' ? setCurrentDayOffset(prev => prev - 1) : stepWeek(-1)}>
             <Ionicons name="arrow-back" size={24} color={theme.text} />
           </TouchableOpacity>
-          <Text style={[styles.weekText, { color: theme.text }]}>
-            {viewMode === 'day' ? 
-              `${weekdays[0]} ${startOfDay.toLocaleDateString()}` :
-              `Semaine n°${getWeekNumber(startOfWeek)} | ${startOfWeek.toLocaleDateString()} - ${endOfWeek.toLocaleDateString()}`
-            }
-          </Text>
-          <TouchableOpacity onPress={() => viewMode === 'day' ? setCurrentDayOffset(prev => prev + 1) : setCurrentWeekOffset(prev => prev + 1)}>
+          {/* Libellé cliquable : ouvre la modal "Aller à..." */}
+          <TouchableOpacity onPress={() => setDatePickerVisible(true)}>
+            <Text style={[styles.weekText, { color: theme.text }]}>
+              {viewMode === 'day' ? 
+                `${weekdays[0]} ${startOfDay.toLocaleDateString()}` :
+                `Semaine n°${getWeekNumber(startOfWeek)} | ${startOfWeek.toLocaleDateString()} - ${endOfWeek.toLocaleDateString()}`
+              }
+            </Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => viewMode === 'day' ? setCurrentDayOffset(prev => prev + 1) : stepWeek(1)}>
             <Ionicons name="arrow-forward" size={24} color={theme.text} />
           </TouchableOpacity>
         </View>
 
+        {renderSchoolCalendarBanner(displayedDays[0], displayedDays[displayedDays.length - 1])}
+
+        {/* Légende de la vue superposée */}
+        {overlaySelections.length > 0 && (
+          <TouchableOpacity
+            activeOpacity={0.8}
+            onPress={() => setOverlayModalVisible(true)}
+            style={{ flexDirection: 'row', flexWrap: 'wrap', alignItems: 'center', justifyContent: 'center', paddingVertical: 4, paddingHorizontal: 10 }}
+          >
+            {getOverlaySources().map((source, index) => (
+              <View key={index} style={{ flexDirection: 'row', alignItems: 'center', marginHorizontal: 6, marginVertical: 2 }}>
+                <View style={{ width: 10, height: 10, borderRadius: 5, backgroundColor: OVERLAY_COLORS[index], marginRight: 4 }} />
+                <Text style={{ color: theme.text, fontSize: 11 }} numberOfLines={1}>{source.label}</Text>
+              </View>
+            ))}
+          </TouchableOpacity>
+        )}
+
         {/* En-têtes des jours */}
         <View style={[styles.dayHeadersContainer, { borderColor: theme.borderColor }]}>
           <View style={[styles.timeAxisSpacer, { backgroundColor: theme.headerBackground }]} />
@@ -2375,11 +4500,18 @@ export function MainApp() {
           </View>
           
           {/* Message si aucun événement */}
-          {filteredEvents.length === 0 ? (
-            <View style={styles.noEventsContainer}>
-              <Text style={[styles.noEventsText, { color: theme.text }]}>Aucun événement trouvé pour ce groupe.</Text>
-              <Text style={[styles.noEventsTextSmall, { color: theme.text }]}>Vérifiez votre sélection.</Text>
-            </View>
+          {filteredEvents.length === 0 && overlaySelections.length === 0 ? (
+            allEvents.length === 0 && syncState === 'syncing' ? (
+              <View style={styles.noEventsContainer}>
+                <Text style={[styles.noEventsText, { color: theme.text }]}>Chargement du calendrier global...</Text>
+                <Text style={[styles.noEventsTextSmall, { color: theme.text }]}>Cela peut prendre quelques secondes la première fois</Text>
+              </View>
+            ) : (
+              <View style={styles.noEventsContainer}>
+                <Text style={[styles.noEventsText, { color: theme.text }]}>Aucun événement trouvé pour ce groupe.</Text>
+                <Text style={[styles.noEventsTextSmall, { color: theme.text }]}>Vérifiez votre sélection.</Text>
+              </View>
+            )
           ) : (
             // Colonnes des jours avec événements
             weekdays.map((dayName, index) => {
@@ -2412,41 +4544,85 @@ export function MainApp() {
                     }
                   ]}
                 >
-                  {groupedEvents[dayIndex]?.map((event, eventIndex) => {
-                    const startMinutes = event.start.getHours() * 60 + event.start.getMinutes();
-                    const endMinutes = event.end.getHours() * 60 + event.end.getMinutes();
-                    
-                    // Calcul des positions basé sur la hauteur dynamique
-                    const startOffset = (startMinutes - startHour * 60) * dynamicMinuteMultiplier;
-                    const duration = (endMinutes - startMinutes) * dynamicMinuteMultiplier;
-                    
-                    const eventBgColor = getEventColor(event);
-                    const eventTextColor = getContrastColor(eventBgColor);
-                    
-                    const eventStyle = {
-                      top: startOffset, height: duration, backgroundColor: eventBgColor,
-                      borderColor: theme.eventBorder,
-                    };
-                    
-                    return (
-                      <TouchableOpacity key={eventIndex} style={[styles.event, eventStyle]} onPress={() => showEventDetails(event)}>
-                        {/* Titre en GRAS et plus gros */}
-                        <Text style={[styles.eventTitle, { color: eventTextColor }]} numberOfLines={1}>
-                          {event.title}
-                        </Text>
-                        
-                        {/* Salle et Type en plus petit */}
-                        <Text style={[styles.eventLocation, { color: eventTextColor, opacity: 0.8 }]}>
-                          {event.location}
-                        </Text>
+                  {(() => {
+                    const { placed, overflows } = layoutOverlappingEvents(groupedEvents[dayIndex], maxOverlapColumns);
 
-                        {/* Heure en tout petit, discret */}
-                        <Text style={[styles.eventTime, { color: eventTextColor, opacity: 0.7, fontSize: 8, marginTop: 2 }]}>
-                          {padZero(event.start.getHours())}:{padZero(event.start.getMinutes())} - {padZero(event.end.getHours())}:{padZero(event.end.getMinutes())}
-                        </Text>
-                      </TouchableOpacity>
+                    // Position horizontale d'une sous-colonne (les cours seuls gardent le style par défaut)
+                    const getColumnStyle = (column, columns) => columns > 1
+                      ? { left: `${(column * 100) / columns}%`, width: `${100 / columns}%`, right: undefined }
+                      : {};
+
+                    return (
+                      <>
+                        {placed.map(({ event, column, columns }, eventIndex) => {
+                          const startMinutes = event.start.getHours() * 60 + event.start.getMinutes();
+                          const endMinutes = event.end.getHours() * 60 + event.end.getMinutes();
+                          
+                          // Calcul des positions basé sur la hauteur dynamique
+                          const startOffset = (startMinutes - startHour * 60) * dynamicMinuteMultiplier;
+                          const duration = (endMinutes - startMinutes) * dynamicMinuteMultiplier;
+                          
+                          const eventBgColor = getEventColor(event);
+                          const eventTextColor = getContrastColor(eventBgColor);
+                          
+                          // Cours commun à plusieurs sélections superposées : bordure de la deuxième
+                          const isShared = event.sources && event.sources.length > 1 && overlaySelections.length > 0;
+
+                          const eventStyle = {
+                            top: startOffset, height: duration, backgroundColor: eventBgColor,
+                            borderColor: isShared ? OVERLAY_COLORS[event.sources[1]] : theme.eventBorder,
+                            ...(isShared && { borderWidth: 3 }),
+                            ...getColumnStyle(column, columns),
+                          };
+                          
+                          return (
+                            <TouchableOpacity key={eventIndex} style={[styles.event, eventStyle]} onPress={() => showEventDetails(event)}>
+                              {/* Titre en GRAS et plus gros */}
+                              <Text style={[styles.eventTitle, { color: eventTextColor }]} numberOfLines={1}>
+                                {event.title}
+                              </Text>
+                              
+                              {/* Salle et Type en plus petit */}
+                              <Text style={[styles.eventLocation, { color: eventTextColor, opacity: 0.8 }]} numberOfLines={columns > 1 ? 2 : undefined}>
+                                {event.location}
+                              </Text>
+
+                              {/* Heure en tout petit, discret */}
+                              <Text style={[styles.eventTime, { color: eventTextColor, opacity: 0.7, fontSize: 8, marginTop: 2 }]} numberOfLines={1}>
+                                {padZero(event.start.getHours())}:{padZero(event.start.getMinutes())} - {padZero(event.end.getHours())}:{padZero(event.end.getMinutes())}
+                              </Text>
+                            </TouchableOpacity>
+                          );
+                        })}
+
+                        {/* Blocs "+N" pour les groupes trop denses */}
+                        {overflows.map((overflow, overflowIndex) => {
+                          const startMinutes = overflow.start.getHours() * 60 + overflow.start.getMinutes();
+                          const endMinutes = overflow.end.getHours() * 60 + overflow.end.getMinutes();
+
+                          return (
+                            <TouchableOpacity
+                              key={`overflow-${overflowIndex}`}
+                              style={[
+                                styles.event,
+                                {
+                                  top: (startMinutes - startHour * 60) * dynamicMinuteMultiplier,
+                                  height: (endMinutes - startMinutes) * dynamicMinuteMultiplier,
+                                  backgroundColor: theme.buttonBackground,
+                                  borderColor: theme.eventBorder,
+                                  borderStyle: 'dashed',
+                                  ...getColumnStyle(overflow.column, overflow.columns),
+                                }
+                              ]}
+                              onPress={() => showOverlappingEvents(overflow.events)}
+                            >
+                              <Text style={[styles.eventTitle, { color: theme.buttonText }]}>+{overflow.events.length}</Text>
+                            </TouchableOpacity>
+                          );
+                        })}
+                      </>
                     );
-                  })}
+                  })()}
                 </View>
               );
             })
@@ -2456,6 +4632,34 @@ export function MainApp() {
     );
   };
 
+  /**
+   * Indicateur discret de l'état de synchronisation (sous le sélecteur)
+   */
+  const renderSyncIndicator = () => {
+    let icon = null;
+    let label = null;
+
+    if (syncState === 'syncing') {
+      icon = 'sync-outline';
+      label = 'actualisation…';
+    } else if (syncState === 'offline') {
+      icon = 'cloud-offline-outline';
+      label = 'hors ligne';
+    } else if (lastSyncAt) {
+      icon = syncState === 'error' ? 'alert-circle-outline' : 'checkmark-circle-outline';
+      label = formatSyncAge(lastSyncAt, clockTick);
+    }
+
+    if (!label) return null;
+
+    return (
+      <View style={styles.syncIndicator}>
+        <Ionicons name={icon} size={10} color={theme.text} style={{ opacity: 0.6, marginRight: 3 }} />
+        <Text style={[styles.syncIndicatorText, { color: theme.text }]}>{label}</Text>
+      </View>
+    );
+  };
+
   // --- RENDU PRINCIPAL ---
   // MODIF IMPORTANTE : On remplace ScrollView par View ici pour que le flex:1 fonctionne
   return (
@@ -2481,25 +4685,30 @@ export function MainApp() {
             <Ionicons name="menu" size={28} color={theme.buttonText || theme.text} />
           </TouchableOpacity>
           
-          <TouchableOpacity 
-            onPress={() => setSelectionModalVisible(true)} 
-            style={[
-              styles.selectGroupButton, 
-              { 
-                // MODIF : On utilise directement la couleur du thème !
-                backgroundColor: theme.buttonBackground, 
-                width: 'auto', 
-                minWidth: 150, 
-                maxWidth: 220,
-                marginHorizontal: 10
-              }
-            ]}
-          >
-            <Text style={[styles.groupTitle, { color: theme.text, fontSize: 16 }]} numberOfLines={1}>
-              {selectionType === 'student' ? `${currentSelection.year} ${currentSelection.group}` : currentSelection}
-            </Text>
-            <Ionicons name="caret-down-outline" size={18} color={theme.text} style={styles.dropdownIcon} />
-          </TouchableOpacity>
+          <View style={{ alignItems: 'center' }}>
+            <TouchableOpacity 
+              onPress={() => setSelectionModalVisible(true)} 
+              style={[
+                styles.selectGroupButton, 
+                { 
+                  // MODIF : On utilise directement la couleur du thème !
+                  backgroundColor: theme.buttonBackground, 
+                  width: 'auto', 
+                  minWidth: 150, 
+                  maxWidth: 220,
+                  marginHorizontal: 10
+                }
+              ]}
+            >
+              <Text style={[styles.groupTitle, { color: theme.text, fontSize: 16 }]} numberOfLines={1}>
+                {getSelectionLabel(selectionType, currentSelection)}
+              </Text>
+              <Ionicons name="caret-down-outline" size={18} color={theme.text} style={styles.dropdownIcon} />
+            </TouchableOpacity>
+
+            {/* Indicateur de fraîcheur du calendrier */}
+            {renderSyncIndicator()}
+          </View>
 
           <TouchableOpacity onPress={() => setFavoritesModalVisible(true)} style={{ padding: 5 }}>
             <Ionicons 
@@ -2511,7 +4720,7 @@ export function MainApp() {
         </View>
 
         {/* Le calendrier va maintenant prendre toute la place restante */}
-        {renderCalendar()}
+        {viewMode === 'agenda' ? renderAgenda() : (viewMode === 'month' ? renderMonth() : renderCalendar())}
         
         {/* ... (Tes modales ici, pas de changement, copie-les juste) ... */}
         <MenuModal 
@@ -2519,6 +4728,16 @@ export function MainApp() {
           onClose={() => { setMenuModalVisible(false); setMenuTapCount(0); }}
           onOpenPersonalization={() => { setMenuModalVisible(false); setPersonalizationModalVisible(true); setMenuTapCount(0); }}
           onOpenNotifications={() => { setMenuModalVisible(false); setNotificationModalVisible(true); }}
+          onOpenChanges={handleOpenChanges}
+          onOpenExport={() => { setMenuModalVisible(false); setExportModalVisible(true); setMenuTapCount(0); }}
+          onOpenOverlay={() => { setMenuModalVisible(false); setOverlayModalVisible(true); setMenuTapCount(0); }}
+          overlayCount={overlaySelections.length}
+          onOpenCommonSlots={() => { setMenuModalVisible(false); handleOpenCommonSlots(); setMenuTapCount(0); }}
+          onOpenWidget={() => { setMenuModalVisible(false); setWidgetModalVisible(true); setMenuTapCount(0); }}
+          onOpenDepartment={() => { setMenuModalVisible(false); setDepartmentPickerVisible(true); setMenuTapCount(0); }}
+          departmentLabel={getActiveDepartment().label}
+          changesCount={unseenChangesCount}
+          lastSyncAt={lastSyncAt}
           onForceRefresh={handleForceRefresh}
           theme={theme}
           onMenuTitlePress={handleMenuTitlePress}
@@ -2526,14 +4745,24 @@ export function MainApp() {
           appVersion={APP_VERSION}
         />
         <PersonalizationMenuModal visible={personalizationModalVisible} onClose={() => setPersonalizationModalVisible(false)} onBack={() => { setPersonalizationModalVisible(false); setMenuModalVisible(true); }} onOpenThemeSelector={() => { setPersonalizationModalVisible(false); setThemeModalVisible(true); }} onOpenCourseColorCustomization={() => { setPersonalizationModalVisible(false); setCourseColorModalVisible(true); }} onOpenViewSelector={() => { setPersonalizationModalVisible(false); setViewSelectionModalVisible(true); }} theme={theme}/>
-        <ViewSelectionModal visible={viewSelectionModalVisible} onClose={() => setViewSelectionModalVisible(false)} onBack={() => { setViewSelectionModalVisible(false); setPersonalizationModalVisible(true); }} onToggleView={handleToggleView} viewMode={viewMode} theme={theme} />
+        <ViewSelectionModal visible={viewSelectionModalVisible} onClose={() => setViewSelectionModalVisible(false)} onBack={() => { setViewSelectionModalVisible(false); setPersonalizationModalVisible(true); }} onToggleView={handleToggleView} viewMode={viewMode} hourRange={hourRange} onChangeHourRange={handleChangeHourRange} theme={theme} />
         <ThemeSelectionModal visible={themeModalVisible} onClose={() => setThemeModalVisible(false)} onBack={() => { setThemeModalVisible(false); setPersonalizationModalVisible(true); }} onSelectTheme={handleSelectTheme} theme={theme} themePreference={themePreference} />
         <CourseColorCustomizationModal visible={courseColorModalVisible} onClose={() => setCourseColorModalVisible(false)} onBack={() => { setCourseColorModalVisible(false); setPersonalizationModalVisible(true); }} events={filteredEvents} courseTypeColors={courseTypeColors} courseNameColors={courseNameColors} onSelectColor={handleSelectCourseColor} theme={theme} coloringMode={coloringMode} onSetColoringMode={handleSetColoringMode} />
-        <UniversalSelectionModal visible={selectionModalVisible} onClose={() => setSelectionModalVisible(false)} onSelect={handleUniversalSelection} theme={theme} availableRooms={availableRooms} favorites={favorites} allEvents={allEvents} />
+        <UniversalSelectionModal visible={selectionModalVisible} onClose={() => { setSelectionModalVisible(false); setSelectionTarget('main'); }} onSelect={handleUniversalSelection} onOpenRoomFinder={() => { setSelectionModalVisible(false); setRoomFinderVisible(true); }} onOpenRoomHeatmap={() => { setSelectionModalVisible(false); setRoomHeatmapVisible(true); }} theme={theme} catalog={groupCatalog} availableRooms={availableRooms} availableTeachers={availableTeachers} favorites={favorites} />
+        <RoomFinderModal visible={roomFinderVisible} onClose={() => setRoomFinderVisible(false)} onBack={() => { setRoomFinderVisible(false); setSelectionModalVisible(true); }} onSelectRoom={(room) => { setRoomFinderVisible(false); handleUniversalSelection('room', room); }} onDayChange={(day) => ensureWeeksLoaded([getWeekKey(day)])} availableRooms={availableRooms} theme={theme} />
+        <CommonSlotsModal visible={commonSlotsVisible} onClose={() => setCommonSlotsVisible(false)} onBack={() => { setCommonSlotsVisible(false); setMenuModalVisible(true); }} selections={commonSlotSelections} favorites={favorites} onAddSelection={handleAddCommonSlotSelection} onRemoveSelection={(index) => setCommonSlotSelections(prev => prev.filter((_, i) => i !== index))} onOpenSelection={() => { setCommonSlotsVisible(false); setSelectionTarget('common'); setSelectionModalVisible(true); }} onWeekChange={(monday) => ensureWeeksLoaded([getWeekKey(monday)])} availableRooms={availableRooms} theme={theme} />
+        <RoomHeatmapModal visible={roomHeatmapVisible} onClose={() => setRoomHeatmapVisible(false)} onBack={() => { setRoomHeatmapVisible(false); setSelectionModalVisible(true); }} onSelectRoom={(room) => { setRoomHeatmapVisible(false); handleUniversalSelection('room', room); }} onWeekChange={(monday) => ensureWeeksLoaded([getWeekKey(monday)])} availableRooms={availableRooms} theme={theme} />
         <FavoritesModal visible={favoritesModalVisible} onClose={() => setFavoritesModalVisible(false)} onToggleFavorite={handleToggleFavorite} onSelectFavorite={handleSelectFavorite} isFavorite={isCurrentSelectionFavorite()} favorites={favorites} theme={theme} />
+        <OverlappingEventsModal visible={overlapModalVisible} onClose={() => setOverlapModalVisible(false)} events={overlapEvents} onSelectEvent={(event) => { setOverlapModalVisible(false); showEventDetails(event); }} getEventColor={getEventColor} theme={theme} />
         <EventDetailsModal visible={detailsModalVisible} onClose={() => setDetailsModalVisible(false)} onBack={() => setDetailsModalVisible(false)} event={selectedEvent} theme={theme} />
+        <DatePickerModal visible={datePickerVisible} onClose={() => setDatePickerVisible(false)} date={getDisplayedDate()} onSelectDate={handleJumpToDate} weekKeys={getStoredWeekKeys()} theme={theme} />
+        <WidgetModal visible={widgetModalVisible} onClose={() => setWidgetModalVisible(false)} onBack={() => { setWidgetModalVisible(false); setMenuModalVisible(true); }} source={widgetSource} currentLabel={getSelectionLabel(selectionType, currentSelection)} favorites={favorites} onSelectSource={handleSelectWidgetSource} theme={theme} />
+        <OverlayModal visible={overlayModalVisible} onClose={() => setOverlayModalVisible(false)} onBack={() => { setOverlayModalVisible(false); setMenuModalVisible(true); }} sources={getOverlaySources()} onAdd={() => { setOverlayModalVisible(false); setSelectionTarget('overlay'); setSelectionModalVisible(true); }} onRemove={handleRemoveOverlay} theme={theme} />
+        <ExportModal visible={exportModalVisible} onClose={() => setExportModalVisible(false)} onBack={() => { setExportModalVisible(false); setMenuModalVisible(true); }} onExport={handleExport} selectionLabel={getSelectionLabel(selectionType, currentSelection)} feed={currentFeed} onToggleFeed={handleToggleFeed} onChangeFeedsDirectory={handleChangeFeedsDirectory} theme={theme} />
+        <ChangesModal visible={changesModalVisible} onClose={() => setChangesModalVisible(false)} onBack={() => { setChangesModalVisible(false); setMenuModalVisible(true); }} changes={selectionChanges} onClear={handleClearChanges} theme={theme} />
+        <DepartmentPickerModal visible={departmentPickerVisible} onClose={() => setDepartmentPickerVisible(false)} onSelect={handleSelectDepartment} currentKey={department} onCatalogChange={setGroupCatalog} onSchoolCalendarChange={setSchoolCalendarYears} theme={theme} />
         <LogsViewerModal visible={logsModalVisible} onClose={() => setLogsModalVisible(false)} theme={theme} />
-        <NotificationSettingsModal visible={notificationModalVisible} onClose={() => setNotificationModalVisible(false)} onBack={() => { setNotificationModalVisible(false); setMenuModalVisible(true); }} theme={theme} notificationsEnabled={notificationsEnabled} setNotificationsEnabled={setNotificationsEnabled} notificationDelay={notificationDelay} setNotificationDelay={setNotificationDelay} onSave={handleSaveNotifications} />
+        <NotificationSettingsModal visible={notificationModalVisible} onClose={() => setNotificationModalVisible(false)} onBack={() => { setNotificationModalVisible(false); setMenuModalVisible(true); }} theme={theme} notificationsEnabled={notificationsEnabled} setNotificationsEnabled={setNotificationsEnabled} notificationDelay={notificationDelay} setNotificationDelay={setNotificationDelay} ongoingEnabled={ongoingEnabled} setOngoingEnabled={setOngoingEnabled} changeAlerts={changeAlerts} setChangeAlerts={setChangeAlerts} favorites={favorites} onSave={handleSaveNotifications} />
       </View>
     </>
   );
@@ -2578,6 +4807,15 @@ const styles = StyleSheet.create({
     elevation: 3,
     borderWidth: 0,
   },
+  syncIndicator: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 3,
+  },
+  syncIndicatorText: {
+    fontSize: 10,
+    opacity: 0.6,
+  },
   groupTitle: {
     fontSize: 20,
     fontWeight: 'bold',
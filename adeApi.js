@@ -2,10 +2,10 @@
  * @file API ADE - Version Calendrier Global Unifié
  * @author Doodz
  * @date Novembre 2025
- * @description Module de gestion de l'API ADE pour récupérer le calendrier global GEII
+ * @description Module de gestion de l'API ADE pour récupérer le calendrier global du département
  * 
  * FONCTIONNALITÉS :
- * - Génération d'URL .ical contenant TOUTES les classes GEII
+ * - Génération d'URL .ical contenant TOUTES les classes du catalogue de groupes
  * - Système de cache persistant avec validation
  * - Gestion intelligente du mode hors ligne
  * - Retry automatique en cas d'échec
@@ -16,6 +16,8 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import NetInfo from '@react-native-community/netinfo';
 import axios from 'axios';
 
+import { loadCatalog, getAllClassIds, getCatalogSignature } from './groupCatalog';
+
 // ===============================================================================================
 // CONFIGURATION
 // ===============================================================================================
@@ -26,18 +28,6 @@ const MAX_RETRY_ATTEMPTS = 10;
 /** Timeout pour la validation d'URL (en ms) */
 const URL_VALIDATION_TIMEOUT = 8000;
 
-/**
- * Liste complète des IDs de toutes les classes GEII
- * - BUT1 : 10767-10776, 10448
- * - BUT2 : 10485-11032
- * - BUT3 : 10538-10970
- */
-const ALL_CLASS_IDS = [
-  10767, 10768, 10769, 10770, 10771, 10772, 10773, 10776, 10448, // BUT1
-  10485, 10515, 10896, 11032, 10464, 10932, // BUT2
-  10538, 10459, 10982, 11014, 10969, 10970  // BUT3
-];
-
 // Configuration Axios globale
 axios.defaults.timeout = 15000;
 axios.defaults.headers.common['User-Agent'] = 'Mozilla/5.0 (Linux; Android 11; SM-G973F) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.120 Mobile Safari/537.36';
@@ -99,12 +89,14 @@ export async function clearLogs() {
 /**
  * Sauvegarde l'URL du calendrier global dans le cache
  * @param {string} url - URL à mettre en cache
+ * @param {string} catalogVersion - Signature du catalogue de groupes utilisé pour l'URL
  */
-async function saveUrlToCache(url) {
+async function saveUrlToCache(url, catalogVersion) {
   try {
     const cacheEntry = {
       url: url,
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      catalogVersion: catalogVersion
     };
     await AsyncStorage.setItem('@global_calendar_cache', JSON.stringify(cacheEntry));
     
@@ -117,9 +109,10 @@ async function saveUrlToCache(url) {
 
 /**
  * Récupère l'URL du calendrier depuis le cache
+ * @param {string} catalogVersion - Signature du catalogue actif (URL ignorée si elle diffère)
  * @returns {Promise<string|null>} URL mise en cache ou null
  */
-async function getUrlFromCache() {
+async function getUrlFromCache(catalogVersion) {
   try {
     const cached = await AsyncStorage.getItem('@global_calendar_cache');
     if (!cached) {
@@ -128,6 +121,11 @@ async function getUrlFromCache() {
     }
 
     const cacheEntry = JSON.parse(cached);
+    if (cacheEntry.catalogVersion !== catalogVersion) {
+      await addLog(`Catalogue de groupes modifié (${cacheEntry.catalogVersion} → ${catalogVersion}) : cache ignoré`, "INFO");
+      return null;
+    }
+
     const age = Date.now() - cacheEntry.timestamp;
     const ageInDays = Math.floor(age / 1000 / 60 / 60 / 24);
     const ageInHours = Math.floor((age / 1000 / 60 / 60) % 24);
@@ -363,11 +361,12 @@ async function performLogin() {
 }
 
 /**
- * Génère l'URL du fichier .ical contenant TOUTES les classes GEII
+ * Génère l'URL du fichier .ical contenant TOUTES les classes du catalogue
  * @param {axios.AxiosInstance} sessionAxios - Instance axios authentifiée
+ * @param {Array<number>} classIds - Ressources ADE des classes (catalogue de groupes)
  * @returns {Promise<string>} URL du fichier .ical global
  */
-async function generateGlobalIcalUrl(sessionAxios) {
+async function generateGlobalIcalUrl(sessionAxios, classIds) {
   const userId = currentTimeToBase64();
 
   // Calcul de l'année scolaire
@@ -407,8 +406,8 @@ async function generateGlobalIcalUrl(sessionAxios) {
     await addLog("Étape 4/4 : Génération URL .ical GLOBAL", "DEBUG");
     
     // Construction du payload avec TOUS les IDs de classes
-    const classIdsPayload = ALL_CLASS_IDS.map(id => `9|${id}`).join('|');
-    const numberOfClasses = ALL_CLASS_IDS.length;
+    const classIdsPayload = classIds.map(id => `9|${id}`).join('|');
+    const numberOfClasses = classIds.length;
     
     const payload = `7|0|11|https://ade.univ-tours.fr/direct/gwtdirectplanning/|748880AB5D6D59CC4770FCCE7567EA63|com.adesoft.gwt.core.client.rpc.CorePlanningServiceProxy|method11getGeneratedUrl|J|java.util.List|java.lang.String/2004016611|java.util.Date/3385151746|java.lang.Integer/3438268394|java.util.ArrayList/4159755760|ical|1|2|3|4|7|5|6|7|8|8|9|9|${userId}|10|${numberOfClasses}|${classIdsPayload}|11|8|${dateStringToBase64(date1)}|8|${dateStringToBase64(date2)}|9|-1|9|226|`;
     
@@ -451,15 +450,16 @@ async function generateGlobalIcalUrl(sessionAxios) {
 
 /**
  * Tente de générer l'URL avec retry automatique
+ * @param {Array<number>} classIds - Ressources ADE des classes
  * @returns {Promise<string>} URL du calendrier global
  */
-async function attemptUrlGenerationWithRetry() {
+async function attemptUrlGenerationWithRetry(classIds) {
   for (let attempt = 1; attempt <= MAX_RETRY_ATTEMPTS; attempt++) {
     try {
       await addLog(`🔄 Tentative ${attempt}/${MAX_RETRY_ATTEMPTS} pour calendrier GLOBAL`, "INFO");
 
       const sessionAxios = await performLogin();
-      const url = await generateGlobalIcalUrl(sessionAxios);
+      const url = await generateGlobalIcalUrl(sessionAxios, classIds);
       
       await addLog(`✅ Succès après ${attempt} tentative(s)`, "INFO");
       return url;
@@ -484,7 +484,7 @@ async function attemptUrlGenerationWithRetry() {
 // ===============================================================================================
 
 /**
- * Génère ou récupère l'URL du calendrier global GEII
+ * Génère ou récupère l'URL du calendrier global du département
  * - Utilise le cache si disponible et valide
  * - Génère une nouvelle URL si nécessaire
  * - Gère le mode hors ligne
@@ -499,11 +499,20 @@ export async function genCalendar() {
   await addLog(`DÉBUT genCalendar (CALENDRIER GLOBAL)`, "INFO");
   await addLog(`${'='.repeat(60)}`, "INFO");
 
+  const catalog = await loadCatalog();
+  const catalogVersion = getCatalogSignature();
+  const classIds = getAllClassIds(catalog);
+
+  if (classIds.length === 0) {
+    await addLog("❌ Aucun groupe dans le catalogue du département : importer un catalogue", "ERROR");
+    return { url: null, fromCache: false, isOffline: false };
+  }
+
   const online = await isOnline();
   
   if (!online) {
     await addLog("📶 Mode HORS LIGNE détecté", "INFO");
-    const cachedUrl = await getUrlFromCache();
+    const cachedUrl = await getUrlFromCache(catalogVersion);
     
     if (cachedUrl) {
       await addLog("📦 Utilisation du cache (mode hors ligne)", "INFO");
@@ -514,7 +523,7 @@ export async function genCalendar() {
     }
   }
 
-  const cachedUrl = await getUrlFromCache();
+  const cachedUrl = await getUrlFromCache(catalogVersion);
   
   if (cachedUrl) {
     await addLog("🔍 Cache trouvé, validation en cours...", "INFO");
@@ -532,8 +541,8 @@ export async function genCalendar() {
   }
 
   try {
-    const newUrl = await attemptUrlGenerationWithRetry();
-    await saveUrlToCache(newUrl);
+    const newUrl = await attemptUrlGenerationWithRetry(classIds);
+    await saveUrlToCache(newUrl, catalogVersion);
     
     await addLog("🎉 Génération terminée avec succès", "INFO");
     return { url: newUrl, fromCache: false, isOffline: false };
@@ -0,0 +1,181 @@
+/**
+ * @file Analyse des descriptions ADE
+ * @author Doodz
+ * @date Novembre 2025
+ * @description Classement de chaque ligne du champ DESCRIPTION d'un événement ADE
+ *
+ * FONCTIONNALITÉS :
+ * - Lignes "groupe" (BUT3A_AII1, BUT3A, A1... via groupParser)
+ * - Lignes "enseignant" (zéro, un ou plusieurs enseignants)
+ * - Horodatage d'export ADE ("(Exported :20/11/2025 10:33)")
+ * - Lignes inconnues conservées comme remarques
+ * - Jeu d'exemples des variantes ADE rencontrées et vérification à la demande (écran des logs)
+ */
+
+import { parseGroupLine } from './groupParser';
+
+// ===============================================================================================
+// CONFIGURATION
+// ===============================================================================================
+
+/** Horodatage d'export ADE, en anglais ou en français : "(Exported :20/11/2025 10:33)" */
+const EXPORT_LINE_REGEX = /^\((?:Exported|Exporté le)\s*:?\s*(\d{2})\/(\d{2})\/(\d{4})\s+(\d{2}):(\d{2})\)$/i;
+
+/** Enseignant "NOM Prénom" (nom en majuscules, prénom(s) capitalisé(s), noms composés acceptés) */
+const TEACHER_LINE_REGEX = /^[A-ZÀ-ÖØ-Þ][A-ZÀ-ÖØ-Þ'’\- ]*[A-ZÀ-ÖØ-Þ]\s+[A-ZÀ-ÖØ-Þ][a-zà-öø-ÿ'’]+(?:[\s-][A-ZÀ-ÖØ-Þ][a-zà-öø-ÿ'’]+)*$/;
+
+/** Enseignant tout en majuscules "NOM PRÉNOM" (au moins deux mots de deux lettres ou plus) */
+const UPPERCASE_TEACHER_REGEX = /^[A-ZÀ-ÖØ-Þ][A-ZÀ-ÖØ-Þ'’-]+(?:\s+[A-ZÀ-ÖØ-Þ][A-ZÀ-ÖØ-Þ'’-]+)+$/;
+
+/** Groupe ADE hors convention BUT (ex: "GEII_LP_ARE", "LP ARE") : jetons majuscules reliés par "_" */
+const OTHER_GROUP_REGEX = /^[A-Z0-9]+(?:_[A-Za-z0-9]+)+$/;
+
+// ===============================================================================================
+// ANALYSE
+// ===============================================================================================
+
+/**
+ * Classe une ligne de description (hors règle de position)
+ * @param {string} line - Ligne nettoyée
+ * @returns {string} 'export', 'group', 'teacher' ou 'note'
+ */
+function classifyLine(line) {
+  if (EXPORT_LINE_REGEX.test(line)) return 'export';
+  if (parseGroupLine(line) || OTHER_GROUP_REGEX.test(line)) return 'group';
+  if (TEACHER_LINE_REGEX.test(line)) return 'teacher';
+  return 'note';
+}
+
+/**
+ * Analyse le champ DESCRIPTION d'un événement ADE
+ * Si aucun enseignant n'est reconnu, la ligne juste avant l'horodatage d'export
+ * (et après les groupes) est retenue comme enseignant, comme le fait l'export ADE,
+ * uniquement si elle est tout en majuscules ("NOM PRÉNOM").
+ *
+ * Variantes ADE rencontrées :
+ * - "BUT3A_AII1 / DUPONT Jean / (Exported...)" : un groupe, un enseignant
+ * - "BUT3A_EME2 / DE LA FONTAINE JEAN / (Exported...)" : enseignant tout en majuscules
+ * - "BUT3A / Examen / (Exported...)", "BUT3A / RDV entreprise / (Exported...)" :
+ *   remarque sans enseignant ("Examen", "DS", "TP noté"... restent des remarques)
+ *
+ * @param {string} description - Description brute (les "\n" échappés sont acceptés)
+ * @returns {Object} Description structurée
+ *   - groups: lignes "groupe"
+ *   - teachers: enseignants (liste, éventuellement vide)
+ *   - exportedAt: date d'export ADE (Date) ou null
+ *   - exportLine: ligne d'export brute, ou null
+ *   - notes: lignes non reconnues (remarques libres)
+ */
+export function parseADEDescription(description) {
+  const lines = (description || '')
+    .replace(/\\n/g, '\n')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line !== '');
+
+  const classified = lines.map(line => ({ line, kind: classifyLine(line) }));
+
+  // Règle de position : "NOM PRÉNOM" tout en majuscules juste avant l'export
+  if (!classified.some(c => c.kind === 'teacher')) {
+    const exportIndex = classified.findIndex(c => c.kind === 'export');
+    const candidate = classified[exportIndex - 1];
+    if (exportIndex > 0 && candidate.kind === 'note' && UPPERCASE_TEACHER_REGEX.test(candidate.line)
+      && classified.slice(0, exportIndex - 1).some(c => c.kind === 'group')) {
+      candidate.kind = 'teacher';
+    }
+  }
+
+  const result = { groups: [], teachers: [], exportedAt: null, exportLine: null, notes: [] };
+  classified.forEach(({ line, kind }) => {
+    if (kind === 'group') result.groups.push(line);
+    else if (kind === 'teacher') result.teachers.push(line);
+    else if (kind === 'note') result.notes.push(line);
+    else {
+      const [, day, month, year, hours, minutes] = line.match(EXPORT_LINE_REGEX);
+      result.exportedAt = new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes));
+      result.exportLine = line;
+    }
+  });
+
+  return result;
+}
+
+// ===============================================================================================
+// VARIANTES ADE (EXEMPLES)
+// ===============================================================================================
+
+/** Horodatage d'export commun aux exemples */
+const FIXTURE_EXPORT_LINE = '(Exported :20/11/2025 10:33)';
+
+/** Variantes de descriptions rencontrées dans les exports ADE, avec le résultat attendu */
+export const DESCRIPTION_FIXTURES = [
+  {
+    name: 'Groupe + enseignant',
+    description: `\nBUT3A_AII1\nDUPONT Jean\n${FIXTURE_EXPORT_LINE}\n`,
+    expected: { groups: ['BUT3A_AII1'], teachers: ['DUPONT Jean'], notes: [] },
+  },
+  {
+    name: 'Sans enseignant',
+    description: `BUT3A_AII1\n${FIXTURE_EXPORT_LINE}`,
+    expected: { groups: ['BUT3A_AII1'], teachers: [], notes: [] },
+  },
+  {
+    name: 'Deux groupes, deux enseignants',
+    description: `BUT2A_AII1\nBUT2A_AII2\nDUPONT Jean\nMARTIN Marie-Claire\n${FIXTURE_EXPORT_LINE}`,
+    expected: { groups: ['BUT2A_AII1', 'BUT2A_AII2'], teachers: ['DUPONT Jean', 'MARTIN Marie-Claire'], notes: [] },
+  },
+  {
+    name: 'BUT1 (groupes sans promotion)',
+    description: `A\nA1\nLE GOFF Anne Sophie\n${FIXTURE_EXPORT_LINE}`,
+    expected: { groups: ['A', 'A1'], teachers: ['LE GOFF Anne Sophie'], notes: [] },
+  },
+  {
+    name: 'CM de promo avec remarque',
+    description: `BUT3A\nBUT3A_AII\nDUPONT Jean\nApporter sa calculatrice\n${FIXTURE_EXPORT_LINE}`,
+    expected: { groups: ['BUT3A', 'BUT3A_AII'], teachers: ['DUPONT Jean'], notes: ['Apporter sa calculatrice'] },
+  },
+  {
+    name: 'Remarque libre sans enseignant',
+    description: `BUT3A\nRDV entreprise\n${FIXTURE_EXPORT_LINE}`,
+    expected: { groups: ['BUT3A'], teachers: [], notes: ['RDV entreprise'] },
+  },
+  {
+    name: 'Épreuve sans enseignant',
+    description: `BUT3A_AII1\nDS\n${FIXTURE_EXPORT_LINE}`,
+    expected: { groups: ['BUT3A_AII1'], teachers: [], notes: ['DS'] },
+  },
+  {
+    name: 'Demi-groupe de TP',
+    description: `BUT2A_ESE1a\nÉTIENNE Léa\n${FIXTURE_EXPORT_LINE}`,
+    expected: { groups: ['BUT2A_ESE1a'], teachers: ['ÉTIENNE Léa'], notes: [] },
+  },
+  {
+    name: 'Enseignant tout en majuscules (règle de position)',
+    description: 'BUT3A_EME2\nDE LA FONTAINE JEAN\n(Exporté le:20/11/2025 10:33)',
+    expected: { groups: ['BUT3A_EME2'], teachers: ['DE LA FONTAINE JEAN'], notes: [] },
+  },
+  {
+    name: 'Groupe tout en majuscules juste avant l\'export (pas un enseignant)',
+    description: `BUT3A\nGEII_LP_ARE\n${FIXTURE_EXPORT_LINE}`,
+    expected: { groups: ['BUT3A', 'GEII_LP_ARE'], teachers: [], notes: [] },
+  },
+  {
+    name: 'Sans horodatage d\'export',
+    description: 'BUT1\nDUPONT Jean',
+    expected: { groups: ['BUT1'], teachers: ['DUPONT Jean'], notes: [] },
+  },
+];
+
+/**
+ * Vérifie l'analyseur sur les variantes connues
+ * @returns {Array<string>} Noms des variantes en échec (vide si tout est correct)
+ */
+export function checkDescriptionFixtures() {
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  return DESCRIPTION_FIXTURES
+    .filter(({ description, expected }) => {
+      const { groups, teachers, notes } = parseADEDescription(description);
+      return !same(groups, expected.groups) || !same(teachers, expected.teachers) || !same(notes, expected.notes);
+    })
+    .map(fixture => fixture.name);
+}
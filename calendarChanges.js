@@ -0,0 +1,219 @@
+/**
+ * @file Détection des modifications du calendrier global
+ * @author Doodz
+ * @date Novembre 2025
+ * @description Compare deux versions successives du calendrier global parsé
+ *
+ * FONCTIONNALITÉS :
+ * - Comparaison des événements par UID ICS (stable côté ADE)
+ * - Détection des cours ajoutés, annulés, déplacés et changés de salle
+ * - Journal des modifications persistant (AsyncStorage)
+ * - Date de dernière consultation du journal (modifications non lues)
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// ===============================================================================================
+// CONFIGURATION
+// ===============================================================================================
+
+/** Clé de stockage du journal des modifications */
+const CHANGE_LOG_KEY = '@calendar_changes';
+
+/** Clé de stockage de la dernière consultation du journal */
+const CHANGES_SEEN_KEY = '@calendar_changes_seen';
+
+/** Nombre maximum d'entrées conservées dans le journal */
+const MAX_CHANGE_ENTRIES = 300;
+
+// ===============================================================================================
+// COMPARAISON
+// ===============================================================================================
+
+/**
+ * Retourne la clé stable d'un événement (UID ICS, ou titre + horaire à défaut)
+ * @param {Object} event - Événement parsé
+ * @returns {string} Clé de l'événement
+ */
+function getEventKey(event) {
+  if (event.uid) return event.uid;
+  return `${event.title}|${new Date(event.start).getTime()}`;
+}
+
+/**
+ * Réduit un événement aux champs utiles pour le journal
+ * @param {Object} event - Événement parsé
+ * @returns {Object} Instantané de l'événement
+ */
+function snapshotEvent(event) {
+  return {
+    uid: event.uid,
+    title: event.title,
+    location: event.location,
+    start: new Date(event.start),
+    end: new Date(event.end),
+    groups: event.groups,
+    teacher: event.teacher,
+    courseType: event.courseType,
+    courseName: event.courseName,
+  };
+}
+
+/**
+ * Compare l'ancien et le nouveau calendrier global
+ * Les cours entièrement passés sont ignorés (ADE purge parfois l'historique).
+ * Un cache enregistré avant la conservation des UID donne une liste vide : la première
+ * actualisation après la mise à jour de l'application ne signale donc aucune modification,
+ * les suivantes comparent normalement.
+ *
+ * @param {Array} previousEvents - Événements actuellement en cache
+ * @param {Array} nextEvents - Événements fraîchement parsés
+ * @param {Date} now - Date de référence (par défaut maintenant)
+ * @returns {Array} Liste des modifications
+ *   - type: 'added' | 'removed' | 'modified'
+ *   - fields: champs modifiés ('time', 'location') pour 'modified'
+ *   - before / after: instantanés de l'événement
+ *   - detectedAt: date de détection
+ */
+export function diffEvents(previousEvents, nextEvents, now = new Date()) {
+  if (!previousEvents || previousEvents.length === 0 || !nextEvents) return [];
+
+  // Ancien cache sans UID : comparaison impossible sans tout signaler
+  if (!previousEvents.some(e => e.uid)) return [];
+
+  const isRelevant = (event) => new Date(event.end) >= now;
+
+  const previousByKey = new Map(previousEvents.map(e => [getEventKey(e), e]));
+  const nextByKey = new Map(nextEvents.map(e => [getEventKey(e), e]));
+  const changes = [];
+
+  nextByKey.forEach((next, key) => {
+    const previous = previousByKey.get(key);
+
+    if (!previous) {
+      if (isRelevant(next)) {
+        changes.push({ type: 'added', fields: [], before: null, after: snapshotEvent(next), detectedAt: now });
+      }
+      return;
+    }
+
+    if (!isRelevant(previous) && !isRelevant(next)) return;
+
+    const fields = [];
+    if (new Date(previous.start).getTime() !== new Date(next.start).getTime() ||
+        new Date(previous.end).getTime() !== new Date(next.end).getTime()) {
+      fields.push('time');
+    }
+    if ((previous.location || '') !== (next.location || '')) {
+      fields.push('location');
+    }
+
+    if (fields.length > 0) {
+      changes.push({ type: 'modified', fields, before: snapshotEvent(previous), after: snapshotEvent(next), detectedAt: now });
+    }
+  });
+
+  previousByKey.forEach((previous, key) => {
+    if (!nextByKey.has(key) && isRelevant(previous)) {
+      changes.push({ type: 'removed', fields: [], before: snapshotEvent(previous), after: null, detectedAt: now });
+    }
+  });
+
+  // Tri chronologique sur la date du cours concerné
+  const refDate = (change) => (change.after || change.before).start;
+  changes.sort((a, b) => refDate(a) - refDate(b));
+
+  return changes;
+}
+
+// ===============================================================================================
+// JOURNAL PERSISTANT
+// ===============================================================================================
+
+/**
+ * Ré-hydrate les dates d'une entrée du journal lue depuis le stockage
+ * @param {Object} entry - Entrée sérialisée
+ * @returns {Object} Entrée avec des objets Date
+ */
+function reviveChange(entry) {
+  const reviveEvent = (event) => event && ({ ...event, start: new Date(event.start), end: new Date(event.end) });
+  return {
+    ...entry,
+    before: reviveEvent(entry.before),
+    after: reviveEvent(entry.after),
+    detectedAt: new Date(entry.detectedAt),
+  };
+}
+
+/**
+ * Récupère le journal des modifications (plus récentes en premier)
+ * @returns {Promise<Array>} Liste des modifications
+ */
+export async function getChangeLog() {
+  try {
+    const stored = await AsyncStorage.getItem(CHANGE_LOG_KEY);
+    if (!stored) return [];
+    return JSON.parse(stored).map(reviveChange);
+  } catch (error) {
+    console.error('Erreur lecture journal modifications:', error);
+    return [];
+  }
+}
+
+/**
+ * Ajoute des modifications en tête du journal
+ * @param {Array} changes - Modifications issues de diffEvents
+ * @returns {Promise<Array>} Journal mis à jour
+ */
+export async function recordChanges(changes) {
+  const existing = await getChangeLog();
+  if (!changes || changes.length === 0) return existing;
+
+  const updated = [...changes, ...existing].slice(0, MAX_CHANGE_ENTRIES);
+  try {
+    await AsyncStorage.setItem(CHANGE_LOG_KEY, JSON.stringify(updated));
+    console.log(`📝 ${changes.length} modification(s) enregistrée(s)`);
+  } catch (error) {
+    console.error('Erreur sauvegarde journal modifications:', error);
+  }
+  return updated;
+}
+
+/**
+ * Efface le journal des modifications
+ */
+export async function clearChangeLog() {
+  try {
+    await AsyncStorage.removeItem(CHANGE_LOG_KEY);
+  } catch (error) {
+    console.error('Erreur effacement journal modifications:', error);
+  }
+}
+
+/**
+ * Retourne la date de dernière consultation du journal
+ * @returns {Promise<Date|null>} null si le journal n'a jamais été ouvert
+ */
+export async function getChangesSeenAt() {
+  try {
+    const stored = await AsyncStorage.getItem(CHANGES_SEEN_KEY);
+    return stored ? new Date(JSON.parse(stored)) : null;
+  } catch (error) {
+    console.error('Erreur lecture consultation journal:', error);
+    return null;
+  }
+}
+
+/**
+ * Marque le journal comme consulté
+ * @param {Date} date - Date de consultation (par défaut maintenant)
+ * @returns {Promise<Date>} Date enregistrée
+ */
+export async function markChangesSeen(date = new Date()) {
+  try {
+    await AsyncStorage.setItem(CHANGES_SEEN_KEY, JSON.stringify(date.getTime()));
+  } catch (error) {
+    console.error('Erreur sauvegarde consultation journal:', error);
+  }
+  return date;
+}
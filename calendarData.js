@@ -0,0 +1,350 @@
+/**
+ * @file Données du calendrier global
+ * @author Doodz
+ * @date Novembre 2025
+ * @description Parsing du fichier .ics global et filtrage local
+ *
+ * FONCTIONNALITÉS :
+ * - Téléchargement et parsing du .ics global (ical.js), par lots entrecoupés de rendus (thread JS)
+ * - Description ADE structurée : groupes, enseignants, remarques (adeDescription.js)
+ * - Filtre universel : Étudiants, Enseignants, Salles
+ * - Filtrage des semaines chargées via les index du cache (eventStore.js)
+ * - Superposition de plusieurs sélections (cours communs dédoublonnés)
+ * - Résumé d'une journée (heures de cours, examens, jours fériés / vacances)
+ * - Plage horaire de la grille calculée à partir des cours affichés
+ */
+
+import ICAL from 'ical.js';
+
+import { findGroup, matchesGroup } from './groupCatalog';
+import { parseADEDescription } from './adeDescription';
+import { queryLoadedEvents, getDayKey } from './eventStore';
+
+// ===============================================================================================
+// CONFIGURATION
+// ===============================================================================================
+
+/** Nombre d'événements parsés avant de rendre la main à l'interface */
+const PARSE_BATCH_SIZE = 200;
+
+/** Bloc VEVENT brut du fichier .ics */
+const VEVENT_BLOCK_REGEX = /BEGIN:VEVENT[\s\S]*?END:VEVENT/g;
+
+/** Plage horaire minimale par défaut de la grille (8h - 19h) */
+export const DEFAULT_HOUR_RANGE = { start: 8, end: 19, compact: false };
+
+/** Nombre d'heures minimum affichées en mode compact */
+const COMPACT_MIN_HOURS = 4;
+
+/** Titres ADE des épreuves (examens, devoirs surveillés, partiels...) */
+const EXAM_TITLE_REGEX = /(?:^|[^\wÀ-ÿ])(examens?|DS|partiels?|contr[ôo]les?|[ée]valuations?|soutenances?)(?![\wÀ-ÿ])/i;
+
+/** Titres ADE des journées banalisées (vacances, jours fériés...) */
+const HOLIDAY_TITLE_REGEX = /(?:^|[^\wÀ-ÿ])(vacances|f[ée]ri[ée]e?|cong[ée]s?|banalis[ée]e?)(?![\wÀ-ÿ])/i;
+
+// ===============================================================================================
+// PARSING
+// ===============================================================================================
+
+/**
+ * Rend la main à la boucle d'événements (gestes et rendus en attente)
+ */
+function yieldToUI() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Convertit un VEVENT en événement de l'application
+ * @param {ICAL.Component} vevent - Composant VEVENT
+ * @returns {Object} Événement parsé
+ */
+function parseVEvent(vevent) {
+  const event = new ICAL.Event(vevent);
+  const description = vevent.getFirstPropertyValue('description') || '';
+  const location = vevent.getFirstPropertyValue('location') || 'Salle inconnue';
+  
+  let cleanSummary = event.summary;
+  
+  // Extraction du type de cours (CM, TD, TP)
+  const typeMatch = cleanSummary.match(/\b(CM|TD|TP)\b/i);
+  const courseType = typeMatch ? typeMatch[1].toUpperCase() : 'Autre';
+ 
+  // Extraction du nom du cours (ex: R101, S104)
+  const nameMatch = cleanSummary.match(/\b([A-Z]{2,5}[0-9])\b/i);
+  const courseName = nameMatch ? nameMatch[1].toUpperCase() : 'Inconnu';
+  
+  // Nettoyage du titre (suppression des groupes)
+  const groupRegex = /Gr (?:[A-Z]{2,4}[0-9]?|[A-Z][0-9]?)/;
+  cleanSummary = cleanSummary.replace(groupRegex, '').trim();
+
+  // Parse de la description complète (groupes, enseignants, export, remarques)
+  let fullDescription = description.replace(/\\n/g, '\n').trim();
+  const { groups, teachers, exportLine, notes } = parseADEDescription(fullDescription);
+  
+  return {
+    uid: event.uid,
+    title: cleanSummary,
+    location: location,
+    start: event.startDate.toJSDate(),
+    end: event.endDate.toJSDate(),
+    fullDescription: fullDescription,
+    groups: groups,
+    teachers: teachers,
+    teacher: teachers.join(', '),
+    notes: notes,
+    timeLog: exportLine,
+    courseType,
+    courseName,
+  };
+}
+
+/**
+ * Parse le fichier .ics et retourne TOUS les événements du calendrier global
+ * Le parsing reste sur le thread JS : les VEVENT sont parsés par lots et la main est rendue
+ * à l'interface entre deux lots, pour éviter un blocage de plusieurs secondes d'un seul tenant.
+ * Chaque lot garde l'en-tête VCALENDAR (dont les VTIMEZONE) pour résoudre les heures "TZID=...".
+ * @param {string} url - URL du fichier .ics à télécharger
+ * @returns {Promise<Array>} Tableau d'événements parsés
+ */
+export async function parseGlobalICS(url) {
+  try {
+    console.log("📥 Téléchargement du calendrier global...");
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Erreur HTTP: ${response.status}`);
+    
+    const icsText = await response.text();
+    const blocks = icsText.match(VEVENT_BLOCK_REGEX) || [];
+    const firstEvent = icsText.search(/BEGIN:VEVENT/);
+    const header = firstEvent >= 0 ? icsText.slice(0, firstEvent) : '';
+
+    const events = [];
+    for (let i = 0; i < blocks.length; i += PARSE_BATCH_SIZE) {
+      const batch = `${header}${blocks.slice(i, i + PARSE_BATCH_SIZE).join('\r\n')}\r\nEND:VCALENDAR`;
+      new ICAL.Component(ICAL.parse(batch)).getAllSubcomponents('vevent').forEach(vevent => {
+        events.push(parseVEvent(vevent));
+      });
+      await yieldToUI();
+    }
+
+    console.log(`✅ ${events.length} événements parsés`);
+
+    events.sort((a, b) => a.start - b.start);
+    return events;
+  } catch (error) {
+    console.error("❌ Erreur parsing ICS global:", error);
+    throw error;
+  }
+}
+
+// ===============================================================================================
+// FILTRAGE
+// ===============================================================================================
+
+/**
+ * Retourne le libellé d'affichage d'une sélection
+ * @param {string} type - 'student', 'teacher' ou 'room'
+ * @param {Object|string} value - { year, group } pour student, la chaîne sinon
+ * @returns {string} Libellé (ex: "BUT3 AII1")
+ */
+export function getSelectionLabel(type, value) {
+  if (type === 'student') return `${value.year} ${value.group}`;
+  return value;
+}
+
+/**
+ * Retourne les enseignants d'un événement
+ * (les caches antérieurs n'ont qu'un champ "teacher" texte)
+ * @param {Object} event - Événement parsé
+ * @returns {Array<string>} Enseignants
+ */
+export function getEventTeachers(event) {
+  if (event.teachers) return event.teachers;
+  return event.teacher ? [event.teacher] : [];
+}
+
+/**
+ * Traduit une sélection en test sur une valeur (ligne "groupe", enseignant ou salle)
+ * Un événement est retenu si l'une de ses valeurs passe le test.
+ * @param {string} type - 'student', 'teacher', ou 'room'
+ * @param {Object} criteria - { year, group } pour student, ou la chaîne de caractère pour teacher/room
+ * @returns {Object|null} { field: 'group' | 'teacher' | 'location', test(valeur) }
+ */
+export function getSelectionFilter(type, criteria) {
+  // --- FILTRE ÉTUDIANT ---
+  if (type === 'student') {
+    // Règle de correspondance déclarée dans le catalogue de groupes
+    const groupEntry = findGroup(criteria.year, criteria.group);
+    return { field: 'group', test: line => matchesGroup([line], groupEntry) };
+  }
+
+  // --- FILTRE PROFESSEUR ---
+  if (type === 'teacher') {
+    const search = criteria.toUpperCase();
+    return { field: 'teacher', test: teacher => teacher.toUpperCase().includes(search) };
+  }
+
+  // --- FILTRE SALLE ---
+  if (type === 'room') {
+    const search = criteria.toUpperCase();
+    return { field: 'location', test: location => location.toUpperCase().includes(search) };
+  }
+
+  return null;
+}
+
+/**
+ * Retourne les valeurs d'un événement pour un champ filtrable
+ * @param {Object} event - Événement parsé
+ * @param {string} field - 'group', 'teacher' ou 'location'
+ * @returns {Array<string>} Valeurs
+ */
+function getEventValues(event, field) {
+  if (field === 'group') return event.groups || [];
+  if (field === 'teacher') return getEventTeachers(event);
+  return event.location ? [event.location] : [];
+}
+
+/**
+ * Filtre Universel : Gère Étudiants, Profs et Salles avec le même fichier
+ * @param {Array} allEvents - Événements à filtrer (calendrier complet, modifications...)
+ * @param {string} type - 'student', 'teacher', ou 'room'
+ * @param {Object} criteria - { year, group } pour student, ou la chaîne de caractère pour teacher/room
+ */
+export function filterGlobalEvents(allEvents, type, criteria) {
+  if (!allEvents) return [];
+
+  const filter = getSelectionFilter(type, criteria);
+  if (!filter) return [];
+
+  return allEvents.filter(event => getEventValues(event, filter.field).some(filter.test));
+}
+
+/**
+ * Filtre les semaines chargées du calendrier enregistré via ses index
+ * (même résultat que filterGlobalEvents sur ces semaines, sans parcourir les événements)
+ * @param {string} type - 'student', 'teacher', ou 'room'
+ * @param {Object} criteria - { year, group } pour student, ou la chaîne de caractère pour teacher/room
+ * @returns {Array} Événements de la sélection, triés par début
+ */
+export function filterLoadedEvents(type, criteria) {
+  const filter = getSelectionFilter(type, criteria);
+  if (!filter) return [];
+  return queryLoadedEvents(filter.field, filter.test);
+}
+
+/**
+ * Filtre plusieurs sélections à la fois (vue superposée)
+ * Un cours commun à plusieurs sélections n'apparaît qu'une fois.
+ * @param {Array} sources - Sélections [{ type, value }], la principale en premier
+ * @returns {Array} Événements triés, enrichis de "sources" (index des sélections concernées)
+ */
+export function filterLoadedSources(sources) {
+  const byKey = new Map();
+  sources.forEach(({ type, value }, sourceIndex) => {
+    filterLoadedEvents(type, value).forEach(event => {
+      const key = event.uid || `${event.start.getTime()}-${event.title}`;
+      const existing = byKey.get(key);
+      if (existing) existing.sources.push(sourceIndex);
+      else byKey.set(key, { ...event, sources: [sourceIndex] });
+    });
+  });
+  return [...byKey.values()].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Indique si un événement ADE marque une journée banalisée (vacances, férié, congé)
+ * @param {Object} event - Événement
+ * @returns {boolean}
+ */
+export function isHolidayEvent(event) {
+  return HOLIDAY_TITLE_REGEX.test(event.title);
+}
+
+/**
+ * Libellé court d'un marqueur de journée banalisée d'ADE
+ * @param {Object} event - Événement
+ * @returns {string|null} 'Vacances', 'Férié' ou 'Banalisé' (null si l'événement n'est pas un marqueur)
+ */
+export function getHolidayLabel(event) {
+  const match = event.title.match(HOLIDAY_TITLE_REGEX);
+  if (!match) return null;
+  const kind = match[1].toLowerCase();
+  if (kind.startsWith('f')) return 'Férié';
+  if (kind.startsWith('banalis')) return 'Banalisé';
+  return 'Vacances';
+}
+
+/**
+ * Résume une journée pour la vue mois
+ * @param {Array} dayEvents - Événements du jour
+ * @returns {Object} { minutes, exam, holiday }
+ *   - minutes: durée cumulée des cours (hors journées banalisées)
+ *   - exam: au moins une épreuve dans la journée
+ *   - holiday: libellé du marqueur ADE de la journée ('Vacances', 'Férié', 'Banalisé'), null sinon
+ */
+export function summarizeDay(dayEvents) {
+  let minutes = 0;
+  let exam = false;
+  let holiday = null;
+
+  dayEvents.forEach(event => {
+    const holidayLabel = getHolidayLabel(event);
+    if (holidayLabel) {
+      holiday = holiday || holidayLabel;
+      return;
+    }
+    if (EXAM_TITLE_REGEX.test(event.title)) exam = true;
+    minutes += Math.round((event.end - event.start) / 60000);
+  });
+
+  return { minutes, exam, holiday };
+}
+
+/**
+ * Calcule la plage horaire de la grille pour les cours affichés
+ * Les heures sont arrondies à l'heure pleine ; un cours qui finit après minuit s'arrête à 24h.
+ * @param {Array} events - Événements de la période affichée
+ * @param {Object} settings - { start, end, compact }
+ *   - start / end: plage minimale toujours visible (ignorée en mode compact s'il y a des cours)
+ *   - compact: limite la grille aux heures de cours
+ * @returns {Object} { startHour, endHour }
+ */
+export function getHourRange(events, settings = DEFAULT_HOUR_RANGE) {
+  if (events.length === 0) return { startHour: settings.start, endHour: settings.end };
+
+  let firstMinute = 24 * 60;
+  let lastMinute = 0;
+  events.forEach(event => {
+    const sameDay = event.end.toDateString() === event.start.toDateString();
+    firstMinute = Math.min(firstMinute, event.start.getHours() * 60 + event.start.getMinutes());
+    lastMinute = Math.max(lastMinute, sameDay ? event.end.getHours() * 60 + event.end.getMinutes() : 24 * 60);
+  });
+
+  let startHour = Math.floor(firstMinute / 60);
+  let endHour = Math.ceil(lastMinute / 60);
+
+  if (settings.compact) {
+    endHour = Math.min(24, Math.max(endHour, startHour + COMPACT_MIN_HOURS));
+    startHour = Math.min(startHour, endHour - COMPACT_MIN_HOURS);
+  } else {
+    startHour = Math.min(startHour, settings.start);
+    endHour = Math.max(endHour, settings.end);
+  }
+
+  return { startHour, endHour };
+}
+
+/**
+ * Regroupe des événements par jour
+ * @param {Array} events - Événements triés
+ * @returns {Object} { "AAAA-MM-JJ": [événements] }
+ */
+export function groupEventsByDay(events) {
+  const byDay = {};
+  events.forEach(event => {
+    const key = getDayKey(event.start);
+    if (!byDay[key]) byDay[key] = [];
+    byDay[key].push(event);
+  });
+  return byDay;
+}
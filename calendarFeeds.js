@@ -0,0 +1,269 @@
+/**
+ * @file Flux iCalendar locaux par sélection
+ * @author Doodz
+ * @date Novembre 2025
+ * @description Fichiers .ics stables par sélection (groupe, salle, enseignant), régénérés à chaque actualisation
+ *
+ * FONCTIONNALITÉS :
+ * - Abonnement / désabonnement d'une sélection
+ * - Écriture dans un dossier partagé choisi par l'utilisateur (<dossier>/<type>_<nom>.ics),
+ *   lisible par les applications d'agenda (accès conservé par Android entre deux lancements)
+ * - Régénération automatique après chaque actualisation du calendrier global (fichier réécrit sur place,
+ *   son adresse ne change pas)
+ * - Horodatage de la génération dans le flux (LAST-MODIFIED)
+ * - Suppression de tous les flux (changement de département)
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Directory, File } from 'expo-file-system';
+
+import { filterGlobalEvents, getSelectionLabel } from './calendarData';
+import { buildICS, toFileName } from './icsExport';
+
+// ===============================================================================================
+// CONFIGURATION
+// ===============================================================================================
+
+/** Clé de stockage des flux activés */
+const FEEDS_KEY = '@calendar_feeds';
+
+/** Clé de stockage du dossier partagé des flux (URI choisie par l'utilisateur) */
+const FEEDS_DIRECTORY_KEY = '@calendar_feeds_directory';
+
+/** Type MIME des flux */
+const FEED_MIME_TYPE = 'text/calendar';
+
+/** Intervalle de rafraîchissement annoncé aux lecteurs du flux (en heures) */
+const FEED_REFRESH_HOURS = 6;
+
+// ===============================================================================================
+// DOSSIER PARTAGÉ
+// ===============================================================================================
+
+/**
+ * Retourne le dossier partagé des flux, s'il a été choisi et est toujours accessible
+ * @returns {Promise<Directory|null>}
+ */
+export async function getFeedsDirectory() {
+  try {
+    const uri = await AsyncStorage.getItem(FEEDS_DIRECTORY_KEY);
+    if (!uri) return null;
+    const directory = new Directory(uri);
+    return directory.exists ? directory : null;
+  } catch (error) {
+    console.error('Erreur accès dossier des flux:', error);
+    return null;
+  }
+}
+
+/**
+ * Demande à l'utilisateur le dossier partagé des flux (ex: Documents/EDT)
+ * @returns {Promise<Directory>} Dossier choisi
+ * @throws {Error} Si le choix est annulé
+ */
+export async function pickFeedsDirectory() {
+  const directory = await Directory.pickDirectoryAsync();
+  await AsyncStorage.setItem(FEEDS_DIRECTORY_KEY, directory.uri);
+  return directory;
+}
+
+/**
+ * Change le dossier partagé des flux : les fichiers de l'ancien dossier sont supprimés
+ * et tous les flux sont réécrits dans le nouveau
+ * @param {Array} allEvents - Calendrier global
+ * @returns {Promise<Array>} Liste des flux mise à jour
+ * @throws {Error} Si le choix du dossier est annulé
+ */
+export async function changeFeedsDirectory(allEvents) {
+  const feeds = await getFeeds();
+  const previous = await getFeedsDirectory();
+  const directory = await pickFeedsDirectory();
+  if (previous && previous.uri !== directory.uri) {
+    feeds.forEach(feed => {
+      try {
+        deleteFeedFile(previous, getFeedFileName(feed.type, feed.value));
+      } catch (error) {
+        console.error('Erreur suppression flux:', error);
+      }
+    });
+  }
+  return regenerateFeeds(allEvents);
+}
+
+// ===============================================================================================
+// FICHIERS
+// ===============================================================================================
+
+/**
+ * Retourne le nom du fichier du flux d'une sélection
+ * @param {string} type - 'student', 'teacher' ou 'room'
+ * @param {Object|string} value - Critères de la sélection
+ * @returns {string} Nom du fichier (ex: "student_BUT2_AII1.ics")
+ */
+export function getFeedFileName(type, value) {
+  return `${type}_${toFileName(getSelectionLabel(type, value))}.ics`;
+}
+
+/**
+ * Retrouve les fichiers d'un flux dans le dossier partagé
+ * Les documents du dossier partagé n'ont pas de chemin : le fichier est retrouvé par son nom.
+ * @param {Directory} directory - Dossier partagé
+ * @param {string} fileName - Nom du fichier
+ * @returns {Array<File>} Fichiers portant ce nom (vide s'il n'existe pas)
+ */
+function findFeedFiles(directory, fileName) {
+  return directory.list().filter(entry => entry instanceof File && entry.name === fileName);
+}
+
+/**
+ * Supprime le fichier d'un flux dans le dossier partagé (s'il existe)
+ * @param {Directory} directory - Dossier partagé
+ * @param {string} fileName - Nom du fichier
+ */
+function deleteFeedFile(directory, fileName) {
+  findFeedFiles(directory, fileName).forEach(file => file.delete());
+}
+
+/**
+ * Génère et écrit le flux d'une sélection
+ * Le fichier existant est réécrit sur place pour garder la même adresse (abonnements des
+ * applications d'agenda) ; il n'est créé que s'il manque. Le document est ouvert en écriture
+ * avec troncature, mais certains fournisseurs de documents gardent la fin de l'ancien contenu :
+ * dans ce cas seulement, le fichier est recréé.
+ * @param {Directory} directory - Dossier partagé
+ * @param {Array} allEvents - Calendrier global
+ * @param {Object} feed - { type, value }
+ * @returns {Object} Flux mis à jour { type, value, uri, fileName, generatedAt }
+ */
+function writeFeed(directory, allEvents, feed) {
+  const generatedAt = new Date();
+  const events = filterGlobalEvents(allEvents, feed.type, feed.value);
+  const content = buildICS(events, {
+    calendarName: `EDT ${getSelectionLabel(feed.type, feed.value)}`,
+    generatedAt,
+    refreshIntervalHours: FEED_REFRESH_HOURS,
+  });
+
+  const fileName = getFeedFileName(feed.type, feed.value);
+  let [file] = findFeedFiles(directory, fileName);
+  if (file) {
+    file.write(content);
+    if (file.size > new TextEncoder().encode(content).length) {
+      console.error(`Flux ${fileName} non tronqué par le fournisseur, fichier recréé`);
+      file.delete();
+      file = null;
+    }
+  }
+  if (!file) {
+    file = directory.createFile(fileName, FEED_MIME_TYPE);
+    file.write(content);
+  }
+  return { type: feed.type, value: feed.value, uri: file.uri, fileName, generatedAt: generatedAt.getTime() };
+}
+
+// ===============================================================================================
+// ABONNEMENTS
+// ===============================================================================================
+
+/**
+ * Récupère la liste des flux activés
+ * @returns {Promise<Array>} [{ type, value, uri, generatedAt }]
+ */
+export async function getFeeds() {
+  try {
+    const stored = await AsyncStorage.getItem(FEEDS_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Erreur lecture flux:', error);
+    return [];
+  }
+}
+
+/**
+ * Indique si deux sélections sont identiques
+ */
+function isSameSelection(feed, type, value) {
+  return feed.type === type && JSON.stringify(feed.value) === JSON.stringify(value);
+}
+
+/**
+ * Active ou désactive le flux d'une sélection
+ * À l'activation, le fichier est généré immédiatement (le dossier partagé est demandé s'il n'a pas
+ * encore été choisi ou n'est plus accessible) ; à la désactivation, il est supprimé.
+ * @param {string} type - 'student', 'teacher' ou 'room'
+ * @param {Object|string} value - Critères de la sélection
+ * @param {boolean} enabled - État souhaité
+ * @param {Array} allEvents - Calendrier global
+ * @returns {Promise<Array>} Liste des flux mise à jour
+ * @throws {Error} Si le choix du dossier est annulé
+ */
+export async function setFeedEnabled(type, value, enabled, allEvents) {
+  const feeds = (await getFeeds()).filter(feed => !isSameSelection(feed, type, value));
+
+  if (enabled) {
+    const directory = await getFeedsDirectory() || await pickFeedsDirectory();
+    feeds.push(writeFeed(directory, allEvents, { type, value }));
+  } else {
+    // Le désabonnement est enregistré même si le fichier ne peut pas être supprimé (dossier révoqué)
+    const directory = await getFeedsDirectory();
+    if (directory) {
+      try {
+        deleteFeedFile(directory, getFeedFileName(type, value));
+      } catch (error) {
+        console.error('Erreur suppression flux:', error);
+      }
+    }
+  }
+
+  await AsyncStorage.setItem(FEEDS_KEY, JSON.stringify(feeds));
+  return feeds;
+}
+
+/**
+ * Régénère tous les flux activés (appelé après chaque actualisation)
+ * @param {Array} allEvents - Calendrier global à jour
+ * @returns {Promise<Array>} Liste des flux mise à jour
+ */
+export async function regenerateFeeds(allEvents) {
+  const feeds = await getFeeds();
+  if (feeds.length === 0) return feeds;
+
+  const directory = await getFeedsDirectory();
+  if (!directory) {
+    console.error('Dossier des flux inaccessible, flux non régénérés');
+    return feeds;
+  }
+
+  const updated = feeds.map(feed => {
+    try {
+      return writeFeed(directory, allEvents, feed);
+    } catch (error) {
+      console.error('Erreur génération flux:', error);
+      return feed;
+    }
+  });
+
+  await AsyncStorage.setItem(FEEDS_KEY, JSON.stringify(updated));
+  console.log(`📡 ${updated.length} flux .ics régénéré(s)`);
+  return updated;
+}
+
+/**
+ * Supprime tous les flux et leurs fichiers (ex: changement de département)
+ * @returns {Promise<Array>} Liste des flux (vide)
+ */
+export async function removeAllFeeds() {
+  const feeds = await getFeeds();
+  const directory = await getFeedsDirectory();
+  if (directory) {
+    feeds.forEach(feed => {
+      try {
+        deleteFeedFile(directory, getFeedFileName(feed.type, feed.value));
+      } catch (error) {
+        console.error('Erreur suppression flux:', error);
+      }
+    });
+  }
+  await AsyncStorage.removeItem(FEEDS_KEY);
+  return [];
+}
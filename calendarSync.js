@@ -0,0 +1,274 @@
+/**
+ * @file Synchronisation du calendrier global
+ * @author Doodz
+ * @date Novembre 2025
+ * @description Actualisation du calendrier global au premier plan et en arrière-plan
+ *
+ * FONCTIONNALITÉS :
+ * - Enregistrement d'un nouveau calendrier (cache + journal des modifications)
+ * - Horodatage des tentatives et des succès d'actualisation
+ * - Tâche de fond périodique (expo-background-task) même application fermée
+ * - Replanification des rappels quand le planning change
+ * - Relance de la notification permanente "en cours / ensuite" (depuis le cache si l'actualisation échoue)
+ * - Alertes de modification pour la sélection actuelle et les favoris suivis
+ * - Régénération des flux .ics locaux
+ * - Mise à jour du widget Android après chaque actualisation en arrière-plan
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as BackgroundTask from 'expo-background-task';
+import * as TaskManager from 'expo-task-manager';
+
+import { genCalendar, isOnline } from './adeApi';
+import { parseGlobalICS, filterGlobalEvents, getSelectionLabel } from './calendarData';
+import { saveEventStore, loadAllStoredEvents } from './eventStore';
+import { diffEvents, recordChanges } from './calendarChanges';
+import { regenerateFeeds } from './calendarFeeds';
+import { refreshHomeWidget } from './homeWidget';
+import {
+  loadNotificationSettings, scheduleCourseReminders,
+  loadOngoingSetting, updateOngoingNotification,
+  loadChangeAlertSettings, getChangeAlertKey, notifyTimetableChanges
+} from './notifications';
+
+// ===============================================================================================
+// CONFIGURATION
+// ===============================================================================================
+
+/** Nom de la tâche de fond d'actualisation */
+export const GLOBAL_REFRESH_TASK = 'global-calendar-refresh';
+
+/** Intervalle minimum entre deux actualisations en arrière-plan (en minutes) */
+const REFRESH_INTERVAL_MINUTES = 6 * 60;
+
+/** En dessous de cet âge (en minutes), le cache est jugé à jour et le lancement ne revalide pas */
+export const FRESH_SYNC_MINUTES = 30;
+
+/** Clé de stockage de l'état de synchronisation */
+const SYNC_STATUS_KEY = '@sync_status';
+
+// ===============================================================================================
+// ÉTAT DE SYNCHRONISATION
+// ===============================================================================================
+
+/**
+ * Récupère l'état de la dernière synchronisation
+ * @returns {Promise<Object>} { lastSuccess, lastAttempt } (Date ou null)
+ */
+export async function getSyncStatus() {
+  try {
+    const stored = await AsyncStorage.getItem(SYNC_STATUS_KEY);
+    const status = stored ? JSON.parse(stored) : {};
+    return {
+      lastSuccess: status.lastSuccess ? new Date(status.lastSuccess) : null,
+      lastAttempt: status.lastAttempt ? new Date(status.lastAttempt) : null,
+    };
+  } catch (error) {
+    console.error('Erreur lecture état synchro:', error);
+    return { lastSuccess: null, lastAttempt: null };
+  }
+}
+
+/**
+ * Met à jour partiellement l'état de synchronisation
+ * @param {Object} patch - Champs à mettre à jour (timestamps en ms)
+ */
+async function updateSyncStatus(patch) {
+  try {
+    const stored = await AsyncStorage.getItem(SYNC_STATUS_KEY);
+    const status = stored ? JSON.parse(stored) : {};
+    await AsyncStorage.setItem(SYNC_STATUS_KEY, JSON.stringify({ ...status, ...patch }));
+  } catch (error) {
+    console.error('Erreur sauvegarde état synchro:', error);
+  }
+}
+
+// ===============================================================================================
+// SYNCHRONISATION
+// ===============================================================================================
+
+/**
+ * Enregistre un nouveau calendrier global parsé
+ * Compare avec la version précédente, journalise les modifications puis met à jour le cache
+ * @param {Array} events - Événements fraîchement parsés
+ * @param {Array} previousEvents - Événements de la version précédente
+ * @returns {Promise<Object>} { changes, changeLog }
+ */
+export async function storeGlobalEvents(events, previousEvents) {
+  const changes = diffEvents(previousEvents, events);
+  const changeLog = await recordChanges(changes);
+
+  await saveEventStore(events);
+  await updateSyncStatus({ lastSuccess: Date.now() });
+
+  await notifyWatchedSelections(changes);
+
+  try {
+    await regenerateFeeds(events);
+  } catch (error) {
+    console.error("❌ Erreur régénération des flux:", error);
+  }
+
+  return { changes, changeLog };
+}
+
+/**
+ * Notifie les modifications concernant la sélection actuelle et les favoris suivis
+ * Chaque modification n'est notifiée qu'une fois, pour la première sélection concernée.
+ * Rien n'est envoyé tant que les notifications sont désactivées dans les réglages.
+ * @param {Array} changes - Modifications issues de diffEvents
+ */
+async function notifyWatchedSelections(changes) {
+  if (changes.length === 0) return;
+
+  try {
+    const { enabled } = await loadNotificationSettings();
+    if (!enabled) return;
+
+    const settings = await loadChangeAlertSettings();
+    const watched = [];
+
+    const savedType = await AsyncStorage.getItem('@selection_type');
+    const savedValue = await AsyncStorage.getItem('@selection_value');
+    if (settings.current && savedType && savedValue) {
+      watched.push({ type: savedType, value: JSON.parse(savedValue) });
+    }
+
+    const savedFavorites = await AsyncStorage.getItem('@favorites');
+    const favorites = savedFavorites ? JSON.parse(savedFavorites) : [];
+    favorites.forEach(fav => {
+      if (settings.favorites[getChangeAlertKey(fav.type, fav.value)]) {
+        watched.push({ type: fav.type, value: fav.value });
+      }
+    });
+
+    const notified = new Set();
+    const groups = [];
+    watched.forEach(({ type, value }) => {
+      const matching = changes.filter(change =>
+        !notified.has(change) &&
+        filterGlobalEvents([change.before, change.after].filter(Boolean), type, value).length > 0
+      );
+      matching.forEach(change => notified.add(change));
+      if (matching.length > 0) groups.push({ label: getSelectionLabel(type, value), changes: matching });
+    });
+
+    await notifyTimetableChanges(groups);
+  } catch (error) {
+    console.error("❌ Erreur alertes de modification:", error);
+  }
+}
+
+/**
+ * Télécharge, parse et enregistre le calendrier global
+ * Ne fait rien hors ligne : le cache existant reste utilisé.
+ * @returns {Promise<Object>} Résultat de la synchronisation
+ *   - status: 'success', 'offline' ou 'error'
+ *   - events, changes, changeLog: renseignés si status === 'success'
+ */
+export async function syncGlobalCalendar() {
+  await updateSyncStatus({ lastAttempt: Date.now() });
+
+  const online = await isOnline();
+  if (!online) {
+    console.log("📶 Hors ligne : synchronisation reportée");
+    return { status: 'offline' };
+  }
+
+  try {
+    const result = await genCalendar();
+    if (!result.url) return { status: 'error' };
+
+    const events = await parseGlobalICS(result.url);
+    const previousEvents = await loadAllStoredEvents();
+    const { changes, changeLog } = await storeGlobalEvents(events, previousEvents);
+
+    console.log(`🔄 Synchronisation terminée : ${changes.length} modification(s)`);
+    return { status: 'success', events, changes, changeLog };
+  } catch (error) {
+    console.error("❌ Erreur synchronisation:", error);
+    return { status: 'error' };
+  }
+}
+
+/**
+ * Replanifie les rappels de la sélection enregistrée (sans interface)
+ * @param {Array} events - Calendrier global à jour
+ */
+async function rescheduleSavedSelectionReminders(events) {
+  const { enabled, delay } = await loadNotificationSettings();
+  if (!enabled) return;
+
+  const savedType = await AsyncStorage.getItem('@selection_type');
+  const savedValue = await AsyncStorage.getItem('@selection_value');
+  if (!savedType || !savedValue) return;
+
+  const selectionEvents = filterGlobalEvents(events, savedType, JSON.parse(savedValue));
+  await scheduleCourseReminders(selectionEvents, delay, { interactive: false });
+}
+
+/**
+ * Relance la notification permanente de la sélection enregistrée (sans interface)
+ * @param {Array} events - Calendrier global à jour
+ */
+async function refreshSavedSelectionOngoing(events) {
+  if (!await loadOngoingSetting()) return;
+
+  const savedType = await AsyncStorage.getItem('@selection_type');
+  const savedValue = await AsyncStorage.getItem('@selection_value');
+  if (!savedType || !savedValue) return;
+
+  await updateOngoingNotification(filterGlobalEvents(events, savedType, JSON.parse(savedValue)));
+}
+
+// ===============================================================================================
+// TÂCHE DE FOND
+// ===============================================================================================
+
+// La tâche doit être définie au chargement du module (hors composant React)
+TaskManager.defineTask(GLOBAL_REFRESH_TASK, async () => {
+  try {
+    const result = await syncGlobalCalendar();
+    if (result.status !== 'success') {
+      // Hors ligne ou ADE indisponible : la notification permanente suit quand même les journées
+      await refreshSavedSelectionOngoing(await loadAllStoredEvents());
+      return BackgroundTask.BackgroundTaskResult.Failed;
+    }
+
+    if (result.changes.length > 0) {
+      await rescheduleSavedSelectionReminders(result.events);
+    }
+    await refreshHomeWidget();
+    await refreshSavedSelectionOngoing(result.events);
+    return BackgroundTask.BackgroundTaskResult.Success;
+  } catch (error) {
+    console.error("❌ Erreur actualisation en arrière-plan:", error);
+    return BackgroundTask.BackgroundTaskResult.Failed;
+  }
+});
+
+/**
+ * Enregistre la tâche d'actualisation périodique (si le système l'autorise)
+ * @returns {Promise<boolean>} true si la tâche est enregistrée
+ */
+export async function registerBackgroundSync() {
+  try {
+    const status = await BackgroundTask.getStatusAsync();
+    if (status !== BackgroundTask.BackgroundTaskStatus.Available) {
+      console.log("⛔ Tâches de fond indisponibles sur cet appareil");
+      return false;
+    }
+
+    const alreadyRegistered = await TaskManager.isTaskRegisteredAsync(GLOBAL_REFRESH_TASK);
+    if (!alreadyRegistered) {
+      await BackgroundTask.registerTaskAsync(GLOBAL_REFRESH_TASK, {
+        minimumInterval: REFRESH_INTERVAL_MINUTES,
+      });
+      console.log("🕒 Actualisation en arrière-plan enregistrée");
+    }
+    return true;
+  } catch (error) {
+    console.error("❌ Erreur enregistrement tâche de fond:", error);
+    return false;
+  }
+}
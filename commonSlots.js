@@ -0,0 +1,79 @@
+/**
+ * @file Créneaux libres communs
+ * @author Doodz
+ * @date Novembre 2025
+ * @description Recherche des créneaux où plusieurs groupes et/ou enseignants sont tous libres
+ *
+ * FONCTIONNALITÉS :
+ * - Fusion des occupations de plusieurs sélections
+ * - Créneaux libres communs dans la grille 8h-19h, d'une durée minimale
+ * - Proposition d'une salle libre pour chaque créneau
+ */
+
+import { DAY_END_HOUR, mergeSlots, findFreeRooms } from './roomAvailability';
+
+// ===============================================================================================
+// CONFIGURATION
+// ===============================================================================================
+
+/** Heure de début de la grille */
+export const DAY_START_HOUR = 8;
+
+// ===============================================================================================
+// RECHERCHE
+// ===============================================================================================
+
+/**
+ * Recherche les créneaux libres communs à plusieurs sélections
+ * @param {Array<Array>} eventsBySelection - Événements de chaque sélection
+ * @param {Array<Date>} days - Jours analysés
+ * @param {Object} options
+ *   - minMinutes: durée minimale d'un créneau (60 min par défaut)
+ *   - startHour / endHour: bornes de la grille (8h -> DAY_END_HOUR par défaut)
+ * @returns {Array} [{ start, end, minutes }] triés par début
+ */
+export function findCommonFreeSlots(eventsBySelection, days, { minMinutes = 60, startHour = DAY_START_HOUR, endHour = DAY_END_HOUR } = {}) {
+  const busy = mergeSlots(eventsBySelection.flat().map(event => ({ start: new Date(event.start), end: new Date(event.end) })));
+  const results = [];
+
+  days.forEach(day => {
+    const dayStart = new Date(day);
+    dayStart.setHours(startHour, 0, 0, 0);
+    const dayEnd = new Date(day);
+    dayEnd.setHours(endHour, 0, 0, 0);
+
+    // On avance de trou en trou entre les occupations de la journée
+    let cursor = dayStart;
+    const pushSlot = (end) => {
+      const minutes = Math.round((end - cursor) / 60000);
+      if (minutes >= minMinutes) results.push({ start: cursor, end, minutes });
+    };
+
+    busy
+      .filter(slot => slot.start < dayEnd && slot.end > dayStart)
+      .forEach(slot => {
+        if (slot.start > cursor) pushSlot(slot.start);
+        if (slot.end > cursor) cursor = slot.end;
+      });
+    if (cursor < dayEnd) pushSlot(dayEnd);
+  });
+
+  return results;
+}
+
+/**
+ * Propose une salle libre pour un créneau commun
+ * La salle retenue est libre au moins minMinutes depuis le début du créneau ;
+ * parmi elles, celle qui reste libre le plus longtemps.
+ * @param {Array} dayEvents - Événements (toutes sélections) du jour du créneau
+ * @param {Array<string>} rooms - Salles candidates
+ * @param {Object} slot - Créneau { start, end }
+ * @param {number} minMinutes - Durée minimale souhaitée
+ * @returns {string|null} Salle proposée
+ */
+export function suggestRoomForSlot(dayEvents, rooms, slot, minMinutes) {
+  const windowEnd = new Date(slot.start.getTime() + minMinutes * 60000);
+  const freeRooms = findFreeRooms(dayEvents, rooms, slot.start, windowEnd);
+  if (freeRooms.length === 0) return null;
+  return freeRooms.reduce((best, room) => (room.freeMinutes > best.freeMinutes ? room : best)).room;
+}
@@ -0,0 +1,234 @@
+/**
+ * @file Départements de l'IUT
+ * @author Doodz
+ * @date Novembre 2025
+ * @description Description des départements servis par l'application (ressources ADE, règles de nommage)
+ *
+ * FONCTIONNALITÉS :
+ * - Liste des départements (GEII, GMP, Informatique...)
+ * - Catalogue de groupes embarqué par département (si connu)
+ * - Règle de nommage des groupes dans les descriptions ADE
+ * - Règle de nommage des salles (nom court, étage, libellé affiché)
+ * - Département actif persistant (choisi au premier lancement)
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// ===============================================================================================
+// CONFIGURATION
+// ===============================================================================================
+
+/** Clé de stockage du département choisi */
+const DEPARTMENT_KEY = '@department';
+
+/** Département utilisé par les installations antérieures au choix du département */
+export const LEGACY_DEPARTMENT = 'GEII';
+
+/**
+ * Règle de nommage des salles par défaut : "GR 104" -> "104", étage = premier chiffre
+ * - stripPrefix: préfixe retiré pour l'affichage
+ * - floorPattern: capture le chiffre de l'étage
+ * - maxFloor: au-delà, la salle est rangée dans "Autres"
+ * - groundFloorRooms: salles forcées au rez-de-chaussée (ex: amphi)
+ * - aliases: libellés spécifiques (clé en majuscules, recherchée dans le nom)
+ */
+export const DEFAULT_ROOM_NAMING = {
+  stripPrefix: /^GR\s*/i,
+  floorPattern: /(\d)\d{2}\b/,
+  maxFloor: 9,
+  groundFloorRooms: [],
+  aliases: {},
+};
+
+/**
+ * Règle de nommage des groupes par défaut (convention ADE de l'IUT de Tours)
+ * - exactYears: promotions dont le groupe apparaît sans préfixe de promo (ex: "A1")
+ * - template: libellé des groupes des autres promotions (ex: "BUT2A_AII1")
+ */
+export const DEFAULT_GROUP_NAMING = {
+  exactYears: [],
+  template: '{year}A_{group}',
+};
+
+/** Catalogue GEII embarqué (les filtres sont déduits de la règle de nommage du département) */
+const GEII_CATALOG = {
+  version: '2025-2026',
+  years: [
+    {
+      key: 'BUT1', label: 'BUT1',
+      groups: [
+        { key: 'A1', label: 'A1', id: 10767 },
+        { key: 'A2', label: 'A2', id: 10768 },
+        { key: 'B1', label: 'B1', id: 10769 },
+        { key: 'B2', label: 'B2', id: 10770 },
+        { key: 'C1', label: 'C1', id: 10771 },
+        { key: 'C2', label: 'C2', id: 10772 },
+        { key: 'D1', label: 'D1', id: 10773 },
+        { key: 'D2', label: 'D2', id: 10776 },
+        { key: 'M1', label: 'M1', id: 10448 },
+      ],
+    },
+    {
+      key: 'BUT2', label: 'BUT2',
+      groups: [
+        { key: 'AII1', label: 'AII1', id: 10485 },
+        { key: 'AII2', label: 'AII2', id: 10515 },
+        { key: 'EME1', label: 'EME1', id: 10896 },
+        { key: 'EME2', label: 'EME2', id: 11032 },
+        { key: 'ESE1', label: 'ESE1', id: 10464 },
+        { key: 'ESE2', label: 'ESE2', id: 10932 },
+      ],
+    },
+    {
+      key: 'BUT3', label: 'BUT3',
+      groups: [
+        { key: 'AII1', label: 'AII1', id: 10538 },
+        { key: 'AII2', label: 'AII2', id: 10459 },
+        { key: 'EME1', label: 'EME1', id: 10982 },
+        { key: 'EME2', label: 'EME2', id: 11014 },
+        { key: 'ESE1', label: 'ESE1', id: 10969 },
+        { key: 'ESE2', label: 'ESE2', id: 10970 },
+      ],
+    },
+  ],
+};
+
+/**
+ * Départements disponibles
+ * - catalog: catalogue embarqué, ou null tant que les ressources ADE ne sont pas connues
+ *   (département proposé mais non sélectionnable)
+ */
+export const DEPARTMENTS = [
+  {
+    key: 'GEII',
+    label: 'GEII',
+    name: 'Génie Électrique et Informatique Industrielle',
+    catalog: GEII_CATALOG,
+    groupNaming: { exactYears: ['BUT1'], template: '{year}A_{group}' },
+    roomNaming: {
+      stripPrefix: /^GR\s*W\s*/i,
+      floorPattern: /GR\s*W\s*(\d)\d{2}/i,
+      maxFloor: 2,
+      groundFloorRooms: ['GR W AMPHI', 'W AMPHI'],
+      aliases: { 'GR W AMPHI': 'Amphi Geii (W)' },
+    },
+  },
+  {
+    key: 'GMP',
+    label: 'GMP',
+    name: 'Génie Mécanique et Productique',
+    catalog: null,
+    groupNaming: DEFAULT_GROUP_NAMING,
+    roomNaming: DEFAULT_ROOM_NAMING,
+  },
+  {
+    key: 'INFO',
+    label: 'Informatique',
+    name: 'Informatique',
+    catalog: null,
+    groupNaming: DEFAULT_GROUP_NAMING,
+    roomNaming: DEFAULT_ROOM_NAMING,
+  },
+];
+
+/** Département actif (GEII tant qu'aucun choix n'a été chargé) */
+let activeDepartmentKey = LEGACY_DEPARTMENT;
+
+// ===============================================================================================
+// DÉPARTEMENT ACTIF
+// ===============================================================================================
+
+/**
+ * Recherche un département par sa clé
+ * @param {string} key - Clé du département (ex: "GEII")
+ * @returns {Object|null} Département
+ */
+export function getDepartment(key) {
+  return DEPARTMENTS.find(d => d.key === key) || null;
+}
+
+/**
+ * Retourne le département actif
+ * @returns {Object} Département
+ */
+export function getActiveDepartment() {
+  return getDepartment(activeDepartmentKey) || DEPARTMENTS[0];
+}
+
+/**
+ * Charge le département enregistré
+ * Les installations antérieures (sélection déjà enregistrée) restent sur GEII.
+ * @returns {Promise<string|null>} Clé du département, ou null au premier lancement
+ */
+export async function loadDepartment() {
+  try {
+    const stored = await AsyncStorage.getItem(DEPARTMENT_KEY);
+    if (stored && getDepartment(stored)) {
+      activeDepartmentKey = stored;
+      return stored;
+    }
+
+    const legacySelection = await AsyncStorage.getItem('@selection_type') || await AsyncStorage.getItem('@selected_year');
+    if (legacySelection) {
+      await saveDepartment(LEGACY_DEPARTMENT);
+      return LEGACY_DEPARTMENT;
+    }
+  } catch (error) {
+    console.error('Erreur lecture département:', error);
+  }
+  return null;
+}
+
+/**
+ * Enregistre le département actif
+ * @param {string} key - Clé du département
+ */
+export async function saveDepartment(key) {
+  activeDepartmentKey = key;
+  try {
+    await AsyncStorage.setItem(DEPARTMENT_KEY, key);
+  } catch (error) {
+    console.error('Erreur sauvegarde département:', error);
+  }
+}
+
+// ===============================================================================================
+// RÈGLES DE NOMMAGE
+// ===============================================================================================
+
+/**
+ * Déduit le filtre d'un groupe à partir de la règle de nommage du département
+ * Le libellé ADE du groupe est comparé de façon hiérarchique (promo, parcours, sous-groupes).
+ * @param {Object} department - Département
+ * @param {string} yearKey - Promotion (ex: "BUT2")
+ * @param {string} groupKey - Groupe (ex: "AII1")
+ * @returns {Object} { pattern, match }
+ */
+export function getGroupFilter(department, yearKey, groupKey) {
+  const naming = department.groupNaming || DEFAULT_GROUP_NAMING;
+  const pattern = naming.exactYears.includes(yearKey)
+    ? groupKey
+    : naming.template.replace('{year}', yearKey).replace('{group}', groupKey);
+  return { pattern, match: 'hierarchy' };
+}
+
+/**
+ * Raccourcit le champ "lieu" d'un événement pour l'affichage ("GR W 104, GR W AMPHI" -> "104, Amphi Geii (W)")
+ * @param {string} location - Lieu brut (plusieurs salles séparées par des virgules)
+ * @param {Object} roomNaming - Règle de nommage des salles (département actif par défaut)
+ * @returns {string} Lieu affiché, chaîne vide si absent
+ */
+export function formatLocation(location, roomNaming = getActiveDepartment().roomNaming) {
+  if (!location) return '';
+  return location.split(',').map(part => {
+    const room = part.trim();
+    const upperRoom = room.toUpperCase();
+
+    const alias = Object.keys(roomNaming.aliases).find(key => upperRoom.includes(key));
+    if (alias) return roomNaming.aliases[alias];
+
+    return room
+      .replace(roomNaming.stripPrefix, '')
+      .replace(DEFAULT_ROOM_NAMING.stripPrefix, '');
+  }).join(', ');
+}
@@ -0,0 +1,430 @@
+/**
+ * @file Stockage compact du calendrier global
+ * @author Doodz
+ * @date Novembre 2025
+ * @description Cache des événements parsés en colonnes, découpé par semaine et chargé à la demande
+ *
+ * FONCTIONNALITÉS :
+ * - Dictionnaires de chaînes partagés (titres, salles, enseignants, groupes...)
+ * - Événements stockés en colonnes (index dans les dictionnaires, dates en minutes epoch)
+ * - Une entrée AsyncStorage par semaine (lundi)
+ * - Chargement des seules semaines consultées (cache mémoire des semaines décodées)
+ * - Index persistés par semaine (groupe, enseignant, salle, jour) : filtrage sans parcourir les événements
+ * - Listes des salles et enseignants sans décoder les événements
+ * - Migration de l'ancien cache JSON (@parsed_global_events)
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// ===============================================================================================
+// CONFIGURATION
+// ===============================================================================================
+
+/** Clé du manifeste (dictionnaires + liste des semaines) */
+const MANIFEST_KEY = '@event_store';
+
+/** Préfixe des clés des semaines (suivi du lundi "AAAA-MM-JJ") */
+const WEEK_KEY_PREFIX = '@event_store_week_';
+
+/** Ancien cache : tableau JSON complet des événements */
+const LEGACY_EVENTS_KEY = '@parsed_global_events';
+
+/** Version du format (un calendrier d'une autre version est supprimé puis re-téléchargé) */
+const STORE_VERSION = 2;
+
+/** Champs texte dédoublonnés dans les dictionnaires */
+const DICTIONARY_FIELDS = ['title', 'location', 'group', 'teacher', 'note', 'courseType', 'courseName', 'timeLog'];
+
+/** Manifeste chargé (null tant qu'il n'a pas été lu) */
+let manifestCache = null;
+
+/** Semaines déjà décodées : clé de semaine -> { events, index } */
+const weekCache = new Map();
+
+// ===============================================================================================
+// SEMAINES
+// ===============================================================================================
+
+/**
+ * Retourne la clé de la semaine d'une date (lundi, heure locale)
+ * @param {Date} date - Date quelconque de la semaine
+ * @returns {string} Clé "AAAA-MM-JJ"
+ */
+export function getWeekKey(date) {
+  const monday = new Date(date);
+  monday.setDate(monday.getDate() - (monday.getDay() || 7) + 1);
+  return getDayKey(monday);
+}
+
+/**
+ * Retourne la clé d'un jour (heure locale)
+ * @param {Date} date - Date quelconque du jour
+ * @returns {string} Clé "AAAA-MM-JJ"
+ */
+export function getDayKey(date) {
+  const day = new Date(date);
+  const month = String(day.getMonth() + 1).padStart(2, '0');
+  const dayOfMonth = String(day.getDate()).padStart(2, '0');
+  return `${day.getFullYear()}-${month}-${dayOfMonth}`;
+}
+
+/**
+ * Retourne les clés des semaines autour d'une date
+ * @param {Date} date - Date de référence
+ * @param {number} before - Nombre de semaines avant
+ * @param {number} after - Nombre de semaines après
+ * @returns {Array<string>} Clés de semaines
+ */
+export function getWeekKeysAround(date, before = 0, after = 0) {
+  const keys = [];
+  for (let i = -before; i <= after; i++) {
+    const day = new Date(date);
+    day.setDate(day.getDate() + i * 7);
+    keys.push(getWeekKey(day));
+  }
+  return keys;
+}
+
+// ===============================================================================================
+// ENCODAGE
+// ===============================================================================================
+
+/**
+ * Crée un dictionnaire de chaînes (chaque valeur n'est stockée qu'une fois)
+ * @returns {Object} { values, intern(value) -> index }
+ */
+function createDictionary() {
+  const values = [];
+  const index = new Map();
+  return {
+    values,
+    intern(value) {
+      if (!index.has(value)) {
+        index.set(value, values.length);
+        values.push(value);
+      }
+      return index.get(value);
+    },
+  };
+}
+
+/**
+ * Ajoute une position d'événement à une entrée d'index
+ * @param {Object} index - Index (valeur -> positions)
+ * @param {number|string} key - Index dans le dictionnaire, ou clé de jour
+ * @param {number} position - Position de l'événement dans la semaine
+ */
+function addToIndex(index, key, position) {
+  if (!index[key]) index[key] = [];
+  if (index[key][index[key].length - 1] !== position) index[key].push(position);
+}
+
+/**
+ * Encode le calendrier global en manifeste + semaines en colonnes
+ * Chaque semaine porte ses index (groupe, enseignant, salle, jour -> positions des événements).
+ * La description brute n'est pas conservée (groupes, enseignants et remarques suffisent).
+ * @param {Array} events - Événements parsés
+ * @returns {Object} { manifest, weeks: { [clé]: colonnes } }
+ */
+export function encodeEvents(events) {
+  const dictionaries = {};
+  DICTIONARY_FIELDS.forEach(field => { dictionaries[field] = createDictionary(); });
+  const internAll = (field, list) => (list || []).map(value => dictionaries[field].intern(value));
+
+  // Positions chronologiques dans chaque semaine (les requêtes n'ont pas à trier)
+  const sorted = [...events].sort((a, b) => new Date(a.start) - new Date(b.start));
+
+  const weeks = {};
+  sorted.forEach(event => {
+    const start = new Date(event.start);
+    const key = getWeekKey(start);
+    if (!weeks[key]) {
+      weeks[key] = {
+        uid: [], title: [], location: [], start: [], duration: [],
+        groups: [], teachers: [], notes: [], courseType: [], courseName: [], timeLog: [],
+        index: { group: {}, teacher: {}, location: {}, day: {} },
+      };
+    }
+
+    const week = weeks[key];
+    const position = week.start.length;
+    const startMinutes = Math.round(start.getTime() / 60000);
+    week.uid.push(event.uid || null);
+    week.title.push(dictionaries.title.intern(event.title));
+    week.location.push(dictionaries.location.intern(event.location || ''));
+    week.start.push(startMinutes);
+    week.duration.push(Math.round(new Date(event.end).getTime() / 60000) - startMinutes);
+    week.groups.push(internAll('group', event.groups));
+    week.teachers.push(internAll('teacher', event.teachers || (event.teacher ? [event.teacher] : [])));
+    week.notes.push(internAll('note', event.notes));
+    week.courseType.push(dictionaries.courseType.intern(event.courseType));
+    week.courseName.push(dictionaries.courseName.intern(event.courseName));
+    week.timeLog.push(event.timeLog ? dictionaries.timeLog.intern(event.timeLog) : -1);
+
+    week.groups[position].forEach(i => addToIndex(week.index.group, i, position));
+    week.teachers[position].forEach(i => addToIndex(week.index.teacher, i, position));
+    addToIndex(week.index.location, week.location[position], position);
+    addToIndex(week.index.day, getDayKey(start), position);
+  });
+
+  const dict = {};
+  DICTIONARY_FIELDS.forEach(field => { dict[field] = dictionaries[field].values; });
+
+  return {
+    manifest: { version: STORE_VERSION, count: events.length, weeks: Object.keys(weeks).sort(), dict },
+    weeks,
+  };
+}
+
+/**
+ * Décode une semaine stockée en colonnes
+ * @param {Object} week - Colonnes de la semaine
+ * @param {Object} dict - Dictionnaires du manifeste
+ * @returns {Array} Événements (dates ré-hydratées)
+ */
+export function decodeWeek(week, dict) {
+  const lookupAll = (field, indexes) => indexes.map(i => dict[field][i]);
+
+  return week.start.map((startMinutes, i) => {
+    const teachers = lookupAll('teacher', week.teachers[i]);
+    return {
+      uid: week.uid[i],
+      title: dict.title[week.title[i]],
+      location: dict.location[week.location[i]],
+      start: new Date(startMinutes * 60000),
+      end: new Date((startMinutes + week.duration[i]) * 60000),
+      groups: lookupAll('group', week.groups[i]),
+      teachers,
+      teacher: teachers.join(', '),
+      notes: lookupAll('note', week.notes[i]),
+      timeLog: week.timeLog[i] >= 0 ? dict.timeLog[week.timeLog[i]] : null,
+      courseType: dict.courseType[week.courseType[i]],
+      courseName: dict.courseName[week.courseName[i]],
+    };
+  });
+}
+
+// ===============================================================================================
+// ÉCRITURE
+// ===============================================================================================
+
+/**
+ * Enregistre le calendrier global (remplace le précédent)
+ * @param {Array} events - Événements parsés
+ */
+export async function saveEventStore(events) {
+  const { manifest, weeks } = encodeEvents(events);
+  const previous = manifestCache || await readManifest();
+
+  await AsyncStorage.multiSet([
+    ...manifest.weeks.map(key => [WEEK_KEY_PREFIX + key, JSON.stringify(weeks[key])]),
+    [MANIFEST_KEY, JSON.stringify(manifest)],
+  ]);
+
+  // Semaines disparues du calendrier
+  const staleWeeks = (previous ? previous.weeks : []).filter(key => !weeks[key]);
+  if (staleWeeks.length > 0) {
+    await AsyncStorage.multiRemove(staleWeeks.map(key => WEEK_KEY_PREFIX + key));
+  }
+
+  manifestCache = manifest;
+  weekCache.clear();
+  console.log(`💾 Calendrier enregistré : ${manifest.count} événements, ${manifest.weeks.length} semaines`);
+}
+
+/**
+ * Supprime le calendrier enregistré (et l'ancien cache JSON)
+ */
+export async function clearEventStore() {
+  const manifest = await loadEventManifest();
+  const keys = manifest ? manifest.weeks.map(key => WEEK_KEY_PREFIX + key) : [];
+  await AsyncStorage.multiRemove([...keys, MANIFEST_KEY, LEGACY_EVENTS_KEY]);
+  manifestCache = null;
+  weekCache.clear();
+}
+
+/**
+ * Oublie les données gardées en mémoire (ex: cache réécrit par la tâche de fond)
+ */
+export function resetEventStoreCache() {
+  manifestCache = null;
+  weekCache.clear();
+}
+
+// ===============================================================================================
+// LECTURE
+// ===============================================================================================
+
+/**
+ * Convertit l'ancien cache JSON au nouveau format
+ * @returns {Promise<Object|null>} Manifeste créé, ou null si aucun ancien cache
+ */
+async function migrateLegacyCache() {
+  const legacy = await AsyncStorage.getItem(LEGACY_EVENTS_KEY);
+  if (!legacy) return null;
+
+  console.log("📦 Conversion de l'ancien cache des événements");
+  await saveEventStore(JSON.parse(legacy));
+  await AsyncStorage.removeItem(LEGACY_EVENTS_KEY);
+  return manifestCache;
+}
+
+/**
+ * Lit le manifeste enregistré
+ * Un calendrier enregistré dans un autre format est supprimé.
+ * @returns {Promise<Object|null>} Manifeste, ou null si absent
+ */
+async function readManifest() {
+  const stored = await AsyncStorage.getItem(MANIFEST_KEY);
+  const manifest = stored ? JSON.parse(stored) : null;
+  if (!manifest || manifest.version === STORE_VERSION) return manifest;
+
+  console.log(`🗑️ Calendrier au format v${manifest.version} supprimé`);
+  await AsyncStorage.multiRemove([...manifest.weeks.map(key => WEEK_KEY_PREFIX + key), MANIFEST_KEY]);
+  return null;
+}
+
+/**
+ * Lit le manifeste du calendrier enregistré
+ * @returns {Promise<Object|null>} Manifeste, ou null si aucun calendrier
+ */
+export async function loadEventManifest() {
+  if (manifestCache) return manifestCache;
+
+  try {
+    const manifest = await readManifest();
+    if (manifest) {
+      manifestCache = manifest;
+      return manifest;
+    }
+    return await migrateLegacyCache();
+  } catch (error) {
+    console.error("❌ Erreur lecture manifeste événements:", error);
+    return null;
+  }
+}
+
+/**
+ * Charge les événements de certaines semaines
+ * @param {Array<string>} weekKeys - Clés de semaines (voir getWeekKey)
+ * @param {Object} options
+ *   - keepInMemory: garde les semaines décodées pour les requêtes (true par défaut)
+ * @returns {Promise<Array>} Événements triés par début (semaines absentes ignorées)
+ */
+export async function loadStoredWeeks(weekKeys, { keepInMemory = true } = {}) {
+  const manifest = await loadEventManifest();
+  if (!manifest) return [];
+
+  const available = new Set(manifest.weeks);
+  const wanted = [...new Set(weekKeys)].filter(key => available.has(key)).sort();
+  const missing = wanted.filter(key => !weekCache.has(key));
+  const decoded = new Map();
+
+  if (missing.length > 0) {
+    try {
+      const entries = await AsyncStorage.multiGet(missing.map(key => WEEK_KEY_PREFIX + key));
+      entries.forEach(([storageKey, value]) => {
+        if (!value) return;
+        const week = JSON.parse(value);
+        decoded.set(storageKey.slice(WEEK_KEY_PREFIX.length), { events: decodeWeek(week, manifest.dict), index: week.index });
+      });
+    } catch (error) {
+      console.error("❌ Erreur lecture semaines:", error);
+    }
+  }
+
+  if (keepInMemory) decoded.forEach((week, key) => weekCache.set(key, week));
+
+  // Semaines triées, événements triés dans chaque semaine
+  return wanted.flatMap(key => (weekCache.get(key) || decoded.get(key) || { events: [] }).events);
+}
+
+/**
+ * Charge tout le calendrier enregistré (comparaison, flux, export complet)
+ * Les semaines non consultées ne sont pas gardées en mémoire.
+ * @returns {Promise<Array>} Événements, tableau vide si aucun calendrier
+ */
+export async function loadAllStoredEvents() {
+  const manifest = await loadEventManifest();
+  if (!manifest) return [];
+  return loadStoredWeeks(manifest.weeks, { keepInMemory: false });
+}
+
+// ===============================================================================================
+// REQUÊTES (SEMAINES CHARGÉES)
+// ===============================================================================================
+
+/**
+ * Recherche les événements des semaines chargées via les index
+ * Le test est appliqué une fois par valeur du dictionnaire, pas par événement.
+ * @param {string} field - Champ indexé : 'group', 'teacher' ou 'location'
+ * @param {Function} test - (valeur) => boolean
+ * @returns {Array} Événements concernés, triés par début
+ */
+export function queryLoadedEvents(field, test) {
+  if (!manifestCache) return [];
+
+  const matchingKeys = [];
+  manifestCache.dict[field].forEach((value, i) => {
+    if (test(value)) matchingKeys.push(i);
+  });
+  if (matchingKeys.length === 0) return [];
+
+  const results = [];
+  [...weekCache.keys()].sort().forEach(weekKey => {
+    const { events, index } = weekCache.get(weekKey);
+    const positions = new Set();
+    matchingKeys.forEach(key => (index[field][key] || []).forEach(position => positions.add(position)));
+    [...positions].sort((a, b) => a - b).forEach(position => results.push(events[position]));
+  });
+  return results;
+}
+
+/**
+ * Retourne les clés des semaines enregistrées (manifeste déjà chargé)
+ * @returns {Array<string>} Clés triées, tableau vide si aucun calendrier
+ */
+export function getStoredWeekKeys() {
+  return manifestCache ? manifestCache.weeks : [];
+}
+
+/**
+ * Retourne les événements d'un jour (tous publics), si sa semaine est chargée
+ * @param {Date} date - Jour recherché
+ * @returns {Array} Événements du jour, triés par début
+ */
+export function getLoadedDayEvents(date) {
+  const week = weekCache.get(getWeekKey(date));
+  if (!week) return [];
+  return (week.index.day[getDayKey(date)] || []).map(position => week.events[position]);
+}
+
+/**
+ * Listes pour les menus, lues dans les dictionnaires (sans décoder les semaines)
+ * @returns {Promise<Object>} { count, rooms, teachers }
+ */
+export async function getStoredLists() {
+  const manifest = await loadEventManifest();
+  if (!manifest) return { count: 0, rooms: [], teachers: [] };
+
+  const rooms = new Set();
+  manifest.dict.location.forEach(location => {
+    // Salles multiples séparées par des virgules (ex: "GR W 001, GR W 002")
+    location.split(',').forEach(room => {
+      const cleanRoom = room.trim();
+      if (cleanRoom.length > 0 && cleanRoom !== 'Salle inconnue') rooms.add(cleanRoom);
+    });
+  });
+
+  const teachers = new Set();
+  manifest.dict.teacher.forEach(teacher => {
+    const val = teacher.replace(/\n/g, ' ').trim();
+    if (val !== '') teachers.add(val);
+  });
+
+  return {
+    count: manifest.count,
+    rooms: Array.from(rooms).sort(),
+    teachers: Array.from(teachers).sort((a, b) => a.localeCompare(b)),
+  };
+}
@@ -0,0 +1,301 @@
+/**
+ * @file Catalogue des groupes
+ * @author Doodz
+ * @date Novembre 2025
+ * @description Source unique des promotions et groupes (ressources ADE, libellés, filtres)
+ *
+ * FONCTIONNALITÉS :
+ * - Catalogue embarqué du département actif (année scolaire en cours)
+ * - Un catalogue installé par département
+ * - Chargement d'un catalogue mis à jour (JSON) sans nouvelle version de l'application
+ * - Validation stricte avant installation
+ * - Identifiants ADE de toutes les classes pour la génération de l'URL globale
+ * - Règle de filtrage des événements par groupe
+ * - Sélection par défaut et rangement des groupes d'un cours par promotion
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { getActiveDepartment, loadDepartment, getGroupFilter, DEFAULT_GROUP_NAMING } from './departments';
+import { parseGroupLine, parseSelectionGroup, matchesGroupHierarchy } from './groupParser';
+
+// ===============================================================================================
+// CONFIGURATION
+// ===============================================================================================
+
+/** Clé de stockage du catalogue installé */
+const CATALOG_KEY = '@group_catalog';
+
+/**
+ * Modes de correspondance d'un groupe avec les lignes "groupes" d'un événement
+ * - exact / contains: comparaison du libellé brut
+ * - hierarchy: promo, parcours, groupe et sous-groupes (voir groupParser.js)
+ */
+const MATCH_MODES = ['exact', 'contains', 'hierarchy'];
+
+/** Catalogue vide (département sans ressources ADE connues) */
+const EMPTY_CATALOG = { version: 'aucun', years: [] };
+
+/** Catalogue actif (embarqué tant qu'aucun catalogue valide n'a été chargé) */
+let currentCatalog = getActiveDepartment().catalog || EMPTY_CATALOG;
+
+/**
+ * Retourne la clé de stockage du catalogue installé pour un département
+ * @param {string} departmentKey - Clé du département
+ */
+function getCatalogKey(departmentKey) {
+  return `${CATALOG_KEY}_${departmentKey}`;
+}
+
+// ===============================================================================================
+// VALIDATION
+// ===============================================================================================
+
+/**
+ * Vérifie la structure d'un catalogue
+ * @param {Object} catalog - Catalogue à valider
+ * @returns {Array<string>} Liste des erreurs (vide si le catalogue est valide)
+ */
+export function validateCatalog(catalog) {
+  const errors = [];
+
+  if (!catalog || typeof catalog !== 'object') return ['Le catalogue doit être un objet JSON'];
+  if (typeof catalog.version !== 'string' || catalog.version.trim() === '') errors.push('"version" manquante');
+  if (!Array.isArray(catalog.years) || catalog.years.length === 0) {
+    errors.push('"years" doit être une liste non vide');
+    return errors;
+  }
+
+  const yearKeys = new Set();
+  const ids = new Set();
+
+  catalog.years.forEach((year, yearIndex) => {
+    const where = `years[${yearIndex}]`;
+    if (typeof year.key !== 'string' || year.key.trim() === '') errors.push(`${where} : "key" manquante`);
+    else if (yearKeys.has(year.key)) errors.push(`${where} : promotion "${year.key}" en double`);
+    else yearKeys.add(year.key);
+
+    if (typeof year.label !== 'string') errors.push(`${where} : "label" manquant`);
+
+    if (!Array.isArray(year.groups) || year.groups.length === 0) {
+      errors.push(`${where} : "groups" doit être une liste non vide`);
+      return;
+    }
+
+    const groupKeys = new Set();
+    year.groups.forEach((group, groupIndex) => {
+      const gWhere = `${where}.groups[${groupIndex}]`;
+      if (typeof group.key !== 'string' || group.key.trim() === '') errors.push(`${gWhere} : "key" manquante`);
+      else if (groupKeys.has(group.key)) errors.push(`${gWhere} : groupe "${group.key}" en double`);
+      else groupKeys.add(group.key);
+
+      if (typeof group.label !== 'string') errors.push(`${gWhere} : "label" manquant`);
+
+      if (!Number.isInteger(group.id) || group.id <= 0) errors.push(`${gWhere} : "id" ADE invalide`);
+      else if (ids.has(group.id)) errors.push(`${gWhere} : ressource ADE ${group.id} en double`);
+      else ids.add(group.id);
+
+      // Filtre facultatif : à défaut, déduit de la règle de nommage du département
+      if (group.pattern !== undefined || group.match !== undefined) {
+        if (typeof group.pattern !== 'string' || group.pattern.trim() === '') errors.push(`${gWhere} : "pattern" manquant`);
+        if (!MATCH_MODES.includes(group.match)) errors.push(`${gWhere} : "match" doit valoir ${MATCH_MODES.join(' ou ')}`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+// ===============================================================================================
+// CHARGEMENT
+// ===============================================================================================
+
+/**
+ * Charge le catalogue du département actif (installé, sinon embarqué)
+ * @returns {Promise<Object>} Catalogue actif
+ */
+export async function loadCatalog() {
+  await loadDepartment();
+  const department = getActiveDepartment();
+  currentCatalog = department.catalog || EMPTY_CATALOG;
+
+  try {
+    const stored = await AsyncStorage.getItem(getCatalogKey(department.key));
+    if (stored) {
+      const catalog = JSON.parse(stored);
+      const errors = validateCatalog(catalog);
+      if (errors.length === 0) currentCatalog = catalog;
+      else console.error('Catalogue enregistré invalide, catalogue embarqué utilisé:', errors);
+    }
+  } catch (error) {
+    console.error('Erreur lecture catalogue:', error);
+  }
+  return currentCatalog;
+}
+
+/**
+ * Valide puis installe un nouveau catalogue
+ * @param {Object|string} data - Catalogue (objet ou texte JSON)
+ * @returns {Promise<Object>} Catalogue installé
+ * @throws {Error} Si le JSON est illisible ou le catalogue invalide (message détaillé)
+ */
+export async function installCatalog(data) {
+  let catalog = data;
+  if (typeof data === 'string') {
+    try {
+      catalog = JSON.parse(data);
+    } catch (error) {
+      throw new Error(`JSON illisible : ${error.message}`);
+    }
+  }
+
+  const errors = validateCatalog(catalog);
+  if (errors.length > 0) {
+    throw new Error(`Catalogue invalide :\n${errors.slice(0, 10).join('\n')}`);
+  }
+
+  const department = getActiveDepartment();
+  await AsyncStorage.setItem(getCatalogKey(department.key), JSON.stringify(catalog));
+  currentCatalog = catalog;
+  console.log(`📚 Catalogue ${department.label} ${catalog.version} installé`);
+  return catalog;
+}
+
+/**
+ * Revient au catalogue embarqué du département actif
+ * @returns {Promise<Object>} Catalogue embarqué
+ */
+export async function resetCatalog() {
+  const department = getActiveDepartment();
+  await AsyncStorage.removeItem(getCatalogKey(department.key));
+  currentCatalog = department.catalog || EMPTY_CATALOG;
+  return currentCatalog;
+}
+
+// ===============================================================================================
+// ACCÈS
+// ===============================================================================================
+
+/**
+ * Retourne le catalogue actif
+ * @returns {Object} { version, years }
+ */
+export function getCatalog() {
+  return currentCatalog;
+}
+
+/**
+ * Identifie le catalogue actif (département + version), pour invalider les caches qui en dépendent
+ * @returns {string} Signature (ex: "GEII@2025-2026")
+ */
+export function getCatalogSignature() {
+  return `${getActiveDepartment().key}@${currentCatalog.version}`;
+}
+
+/**
+ * Retourne les identifiants ADE de toutes les classes du catalogue
+ * @param {Object} catalog - Catalogue (actif par défaut)
+ * @returns {Array<number>} Ressources ADE
+ */
+export function getAllClassIds(catalog = currentCatalog) {
+  return catalog.years.flatMap(year => year.groups.map(group => group.id));
+}
+
+/**
+ * Recherche un groupe dans le catalogue actif
+ * Le filtre (pattern, match) est complété par la règle de nommage du département s'il est absent.
+ * @param {string} yearKey - Promotion (ex: "BUT3")
+ * @param {string} groupKey - Groupe (ex: "AII1")
+ * @returns {Object|null} Entrée du groupe (+ selection analysée en mode "hierarchy")
+ */
+export function findGroup(yearKey, groupKey) {
+  const year = currentCatalog.years.find(y => y.key === yearKey);
+  if (!year) return null;
+  const group = year.groups.find(g => g.key === groupKey);
+  if (!group) return null;
+
+  const entry = group.pattern ? { ...group } : { ...group, ...getGroupFilter(getActiveDepartment(), yearKey, groupKey) };
+  if (entry.match === 'hierarchy') entry.selection = parseSelectionGroup(yearKey, entry.pattern);
+  return entry;
+}
+
+/**
+ * Indique si les lignes "groupes" d'un événement concernent un groupe du catalogue
+ * @param {Array<string>} eventGroups - Lignes "groupes" de l'événement
+ * @param {Object} group - Entrée issue de findGroup ({ pattern, match, selection })
+ * @returns {boolean}
+ */
+export function matchesGroup(eventGroups, group) {
+  if (!eventGroups || !group) return false;
+  if (group.match === 'hierarchy' && group.selection) {
+    return matchesGroupHierarchy(eventGroups, group.selection, group.pattern);
+  }
+  if (group.match === 'exact') return eventGroups.some(g => g.trim() === group.pattern);
+  return eventGroups.some(g => g.includes(group.pattern));
+}
+
+// ===============================================================================================
+// AFFICHAGE
+// ===============================================================================================
+
+/**
+ * Sélection étudiante par défaut : premier groupe de la première promotion
+ * @param {Object} catalog - Catalogue (actif par défaut)
+ * @returns {Object|null} { year, group } (null si le catalogue est vide)
+ */
+export function getDefaultSelection(catalog = currentCatalog) {
+  const firstYear = catalog.years[0];
+  if (!firstYear) return null;
+  return { year: firstYear.key, group: firstYear.groups[0].key };
+}
+
+/**
+ * Range les lignes "groupes" d'un événement par promotion du catalogue actif
+ * Le préfixe de promotion de la règle de nommage (ex: "BUT2A_") est retiré des libellés ; les
+ * groupes sans promotion (ex: "A1") vont à la promotion sans préfixe (BUT1 en GEII), les autres
+ * lignes non reconnues dans une colonne "Autres".
+ * @param {Array<string>} rawGroups - Lignes "groupes" de l'événement
+ * @returns {Array<Object>} Colonnes non vides { title, data }, dans l'ordre du catalogue
+ */
+export function organizeEventGroups(rawGroups) {
+  const naming = getActiveDepartment().groupNaming || DEFAULT_GROUP_NAMING;
+  const columns = currentCatalog.years.map(year => ({
+    year,
+    exact: naming.exactYears.includes(year.key),
+    prefix: naming.template.replace('{year}', year.key).replace('{group}', '').toUpperCase(),
+    data: [],
+  }));
+  const others = [];
+
+  rawGroups.forEach(line => {
+    const label = line.trim();
+    const upper = label.toUpperCase();
+
+    const prefixed = columns.find(column => !column.exact && column.prefix && upper.startsWith(column.prefix));
+    if (prefixed) {
+      prefixed.data.push(label.slice(prefixed.prefix.length));
+      return;
+    }
+
+    // Promotion entière ("BUT3A") ou libellé long d'une promotion sans préfixe ("GEII_BUT1_A1")
+    const named = columns.find(column => upper.includes(column.year.key.toUpperCase()));
+    if (named) {
+      const groupKey = named.exact && named.year.groups
+        .map(group => group.key)
+        .find(key => upper.endsWith(`_${key.toUpperCase()}`));
+      named.data.push(groupKey || label);
+      return;
+    }
+
+    const parsed = parseGroupLine(label);
+    const bare = parsed && parsed.year === null && columns.find(column => column.exact);
+    (bare ? bare.data : others).push(label);
+  });
+
+  return [
+    ...columns.map(column => ({ title: column.year.label, data: column.data })),
+    { title: 'Autres', data: others },
+  ]
+    .filter(column => column.data.length > 0)
+    .map(column => ({ ...column, data: [...column.data].sort() }));
+}
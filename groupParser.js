@@ -0,0 +1,118 @@
+/**
+ * @file Analyse des groupes ADE
+ * @author Doodz
+ * @date Novembre 2025
+ * @description Décomposition des lignes "groupes" des descriptions ADE et correspondance hiérarchique
+ *
+ * FONCTIONNALITÉS :
+ * - Analyse d'une ligne en { year, parcours, group, subgroup }
+ *   ("BUT3A" → promo, "BUT3A_AII" → parcours, "BUT3A_AII1" → groupe, "BUT3A_AII1a" → demi-groupe)
+ * - Groupes sans promotion (BUT1 : "A" → groupe de TD, "A1" → groupe de TP)
+ * - Correspondance hiérarchique : un groupe voit les séances de sa promo, de son parcours,
+ *   de son groupe et de ses sous-groupes
+ */
+
+// ===============================================================================================
+// CONFIGURATION
+// ===============================================================================================
+
+/** Ligne préfixée par la promotion : BUT3A, BUT3A_AII, BUT3A_AII1, BUT3A_AII1a, BUT3A_AII1_TP2 */
+const PREFIXED_GROUP_REGEX = /^BUT\s?(\d)\s?A?(?:[_\s-]+([A-Z]+)(?:(\d+)(?:[_\s-]?([A-Za-z0-9]+))?)?)?$/;
+
+/** Ligne sans promotion (BUT1) : A, A1, A1a, A1_TP2 */
+const BARE_GROUP_REGEX = /^([A-Z])(?:(\d+)(?:[_\s-]?([A-Za-z0-9]+))?)?$/;
+
+/** Cache des lignes déjà analysées (les mêmes libellés reviennent sur des milliers d'événements) */
+const parseCache = new Map();
+
+// ===============================================================================================
+// ANALYSE
+// ===============================================================================================
+
+/**
+ * Analyse une ligne "groupe" de la description ADE
+ * @param {string} line - Ligne brute (ex: "BUT3A_AII1")
+ * @returns {Object|null} { year, parcours, group, subgroup } (champs absents = null), ou null si non reconnue
+ *   - year est null pour une ligne sans promotion (ex: "A1")
+ */
+export function parseGroupLine(line) {
+  if (typeof line !== 'string') return null;
+  const text = line.trim();
+  if (parseCache.has(text)) return parseCache.get(text);
+
+  let parsed = null;
+  let match = text.match(PREFIXED_GROUP_REGEX);
+  if (match) {
+    const [, yearNumber, parcours, number, subgroup] = match;
+    parsed = {
+      year: `BUT${yearNumber}`,
+      parcours: parcours || null,
+      group: parcours && number ? `${parcours}${number}` : null,
+      subgroup: subgroup || null,
+    };
+  } else if ((match = text.match(BARE_GROUP_REGEX))) {
+    const [, letter, number, subgroup] = match;
+    parsed = {
+      year: null,
+      parcours: letter,
+      group: number ? `${letter}${number}` : null,
+      subgroup: subgroup || null,
+    };
+  }
+
+  parseCache.set(text, parsed);
+  return parsed;
+}
+
+/**
+ * Construit la cible structurée d'une sélection étudiante
+ * @param {string} yearKey - Promotion sélectionnée (ex: "BUT1")
+ * @param {string} pattern - Libellé ADE du groupe (ex: "A1" ou "BUT3A_AII1")
+ * @returns {Object|null} { year, parcours, group, subgroup, bare } ou null si le libellé n'est pas reconnu
+ *   - bare: true si le groupe apparaît sans promotion dans ADE
+ */
+export function parseSelectionGroup(yearKey, pattern) {
+  const parsed = parseGroupLine(pattern);
+  if (!parsed) return null;
+  return { ...parsed, year: parsed.year || yearKey, bare: parsed.year === null };
+}
+
+// ===============================================================================================
+// CORRESPONDANCE
+// ===============================================================================================
+
+/**
+ * Indique si une séance adressée à "target" concerne la sélection
+ * La cible doit être un ancêtre de la sélection (promo, parcours, groupe) ou l'un de ses sous-groupes.
+ * @param {Object} target - Ligne analysée (parseGroupLine)
+ * @param {Object} selection - Sélection analysée (parseSelectionGroup)
+ * @returns {boolean}
+ */
+export function isGroupInHierarchy(target, selection) {
+  if (target.year === null) {
+    if (!selection.bare) return false;
+  } else if (target.year !== selection.year) {
+    return false;
+  }
+
+  if (target.parcours && target.parcours !== selection.parcours) return false;
+  if (target.group && target.group !== selection.group) return false;
+  if (target.subgroup && selection.subgroup && target.subgroup !== selection.subgroup) return false;
+  return true;
+}
+
+/**
+ * Indique si une séance (ses lignes "groupes") concerne la sélection
+ * Les lignes non reconnues sont comparées au libellé brut (comportement historique).
+ * @param {Array<string>} eventGroups - Lignes "groupes" de l'événement
+ * @param {Object} selection - Sélection analysée (parseSelectionGroup)
+ * @param {string} pattern - Libellé ADE brut du groupe sélectionné
+ * @returns {boolean}
+ */
+export function matchesGroupHierarchy(eventGroups, selection, pattern) {
+  return eventGroups.some(line => {
+    const target = parseGroupLine(line);
+    if (target) return isGroupInHierarchy(target, selection);
+    return selection.bare ? line.trim() === pattern : line.includes(pattern);
+  });
+}
@@ -0,0 +1,261 @@
+/**
+ * @file Widget Android
+ * @author Doodz
+ * @date Novembre 2025
+ * @description Widget d'écran d'accueil "Prochains cours" (react-native-android-widget)
+ *
+ * FONCTIONNALITÉS :
+ * - Cours en cours / prochain cours (titre, salle, horaire)
+ * - Cours restants de la journée
+ * - Source au choix : sélection actuelle ou un favori
+ * - Instantané des prochains cours enregistré à chaque filtrage / actualisation du calendrier
+ * - Rendu sans interface (ajout, mise à jour périodique) via le gestionnaire de tâches du widget
+ */
+
+import React from 'react';
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { FlexWidget, TextWidget, requestWidgetUpdate, registerWidgetTaskHandler } from 'react-native-android-widget';
+
+import { filterGlobalEvents, getSelectionLabel } from './calendarData';
+import { loadStoredWeeks, getWeekKeysAround } from './eventStore';
+import { formatLocation } from './departments';
+
+// ===============================================================================================
+// CONFIGURATION
+// ===============================================================================================
+
+/** Nom du widget (doit correspondre à la déclaration du plugin dans app.json) */
+export const WIDGET_NAME = 'NextCourses';
+
+/** Clé de stockage de la source du widget (absente : sélection actuelle) */
+const WIDGET_SOURCE_KEY = '@widget_source';
+
+/** Clé de stockage de l'instantané affiché par le widget */
+const WIDGET_SNAPSHOT_KEY = '@widget_snapshot';
+
+/** Nombre de jours de cours gardés dans l'instantané (le prochain cours peut être lundi) */
+const SNAPSHOT_DAYS = 7;
+
+/** Nombre maximum de cours restants listés sous le cours principal */
+const MAX_REMAINING = 3;
+
+/** Couleurs du widget (le widget ne suit pas le thème de l'application) */
+const WIDGET_COLORS = {
+  background: '#1e1e1e',
+  text: '#ffffff',
+  muted: '#aaaaaa',
+  accent: '#4dabf7',
+  current: '#51cf66',
+};
+
+// ===============================================================================================
+// SOURCE ET INSTANTANÉ
+// ===============================================================================================
+
+/**
+ * Lit la source du widget
+ * @returns {Promise<Object|null>} Favori { type, value, label }, ou null pour la sélection actuelle
+ */
+export async function loadWidgetSource() {
+  try {
+    const stored = await AsyncStorage.getItem(WIDGET_SOURCE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Erreur lecture source widget:', error);
+    return null;
+  }
+}
+
+/**
+ * Enregistre la source du widget
+ * @param {Object|null} source - Favori { type, value, label }, ou null pour la sélection actuelle
+ */
+export async function saveWidgetSource(source) {
+  try {
+    if (source) await AsyncStorage.setItem(WIDGET_SOURCE_KEY, JSON.stringify(source));
+    else await AsyncStorage.removeItem(WIDGET_SOURCE_KEY);
+  } catch (error) {
+    console.error('Erreur sauvegarde source widget:', error);
+  }
+}
+
+/**
+ * Enregistre les prochains cours d'une sélection puis redessine le widget
+ * @param {Array} events - Événements filtrés de la source du widget
+ * @param {string} label - Libellé de la source
+ */
+export async function updateHomeWidget(events, label) {
+  if (Platform.OS !== 'android') return;
+
+  const now = new Date();
+  const dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const limit = new Date(dayStart);
+  limit.setDate(limit.getDate() + SNAPSHOT_DAYS);
+
+  const snapshot = {
+    label,
+    updatedAt: now.getTime(),
+    events: events
+      .filter(event => event.end > now && event.start < limit)
+      .map(event => ({
+        title: event.title,
+        location: formatLocation(event.location),
+        start: event.start.getTime(),
+        end: event.end.getTime(),
+      })),
+  };
+
+  try {
+    await AsyncStorage.setItem(WIDGET_SNAPSHOT_KEY, JSON.stringify(snapshot));
+    await requestWidgetUpdate({
+      widgetName: WIDGET_NAME,
+      renderWidget: () => <NextCoursesWidget {...getWidgetState(snapshot)} />,
+      widgetNotFound: () => {},
+    });
+  } catch (error) {
+    console.error('Erreur mise à jour widget:', error);
+  }
+}
+
+/**
+ * Recalcule le widget depuis le calendrier enregistré (sans interface, ex: tâche de fond)
+ * La source est le favori choisi, sinon la dernière sélection enregistrée.
+ */
+export async function refreshHomeWidget() {
+  if (Platform.OS !== 'android') return;
+
+  let source = await loadWidgetSource();
+  if (!source) {
+    const savedType = await AsyncStorage.getItem('@selection_type');
+    const savedValue = await AsyncStorage.getItem('@selection_value');
+    if (!savedType || !savedValue) return;
+    source = { type: savedType, value: JSON.parse(savedValue) };
+  }
+
+  const events = await loadStoredWeeks(getWeekKeysAround(new Date(), 0, 1), { keepInMemory: false });
+  const label = source.label || getSelectionLabel(source.type, source.value);
+  await updateHomeWidget(filterGlobalEvents(events, source.type, source.value), label);
+}
+
+/**
+ * Lit l'instantané enregistré
+ * @returns {Promise<Object|null>} { label, updatedAt, events }
+ */
+async function loadWidgetSnapshot() {
+  try {
+    const stored = await AsyncStorage.getItem(WIDGET_SNAPSHOT_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Erreur lecture instantané widget:', error);
+    return null;
+  }
+}
+
+/**
+ * Calcule ce que le widget affiche à un instant donné
+ * @param {Object|null} snapshot - Instantané enregistré
+ * @param {Date} now - Instant de rendu
+ * @returns {Object} { label, current, next, remaining }
+ *   - current: cours en cours (ou null)
+ *   - next: cours suivant, éventuellement un autre jour (ou null)
+ *   - remaining: cours restants de la journée après "next"
+ */
+export function getWidgetState(snapshot, now = new Date()) {
+  if (!snapshot) return { label: null, current: null, next: null, remaining: [] };
+
+  const upcoming = snapshot.events.filter(event => event.end > now.getTime());
+  const current = upcoming.find(event => event.start <= now.getTime()) || null;
+  const later = upcoming.filter(event => event.start > now.getTime());
+  const next = later[0] || null;
+
+  const dayEnd = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getTime();
+  const remaining = later.slice(1).filter(event => event.start < dayEnd).slice(0, MAX_REMAINING);
+
+  return { label: snapshot.label, current, next, remaining };
+}
+
+// ===============================================================================================
+// RENDU
+// ===============================================================================================
+
+/**
+ * Horaire d'un cours ("08:00 - 10:00", précédé du jour s'il n'a pas lieu aujourd'hui)
+ * @param {Object} event - Cours de l'instantané
+ */
+function formatEventTime(event) {
+  const start = new Date(event.start);
+  const end = new Date(event.end);
+  const time = (date) => date.toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' });
+  const range = `${time(start)} - ${time(end)}`;
+  if (start.toDateString() === new Date().toDateString()) return range;
+  return `${start.toLocaleDateString('fr-FR', { weekday: 'short', day: 'numeric' })} • ${range}`;
+}
+
+/**
+ * Bloc d'un cours (titre, salle, horaire)
+ */
+const WidgetCourse = ({ heading, event, color }) => (
+  <FlexWidget style={{ flexDirection: 'column', marginBottom: 6 }}>
+    <TextWidget text={heading} style={{ fontSize: 11, color }} />
+    <TextWidget text={event.title} maxLines={1} truncate="END" style={{ fontSize: 15, fontWeight: 'bold', color: WIDGET_COLORS.text }} />
+    <TextWidget text={`${event.location || 'Salle ?'} • ${formatEventTime(event)}`} maxLines={1} style={{ fontSize: 12, color: WIDGET_COLORS.muted }} />
+  </FlexWidget>
+);
+
+/**
+ * Widget "Prochains cours"
+ * @param {Object} props - Voir getWidgetState
+ */
+export const NextCoursesWidget = ({ label, current, next, remaining = [] }) => (
+  <FlexWidget
+    clickAction="OPEN_APP"
+    style={{ height: 'match_parent', width: 'match_parent', flexDirection: 'column', backgroundColor: WIDGET_COLORS.background, borderRadius: 16, padding: 12 }}
+  >
+    <TextWidget text={label || 'EDT GEII'} maxLines={1} style={{ fontSize: 12, fontWeight: 'bold', color: WIDGET_COLORS.accent, marginBottom: 6 }} />
+
+    {current && <WidgetCourse heading="En cours" event={current} color={WIDGET_COLORS.current} />}
+    {next && <WidgetCourse heading="Ensuite" event={next} color={WIDGET_COLORS.accent} />}
+    {!current && !next && (
+      <TextWidget text={label ? 'Aucun cours à venir 🎉' : "Ouvrez l'application pour choisir un emploi du temps"} style={{ fontSize: 13, color: WIDGET_COLORS.muted }} />
+    )}
+
+    {remaining.map((event, index) => (
+      <TextWidget
+        key={index}
+        text={`${formatEventTime(event)}  ${event.title}${event.location ? ` (${event.location})` : ''}`}
+        maxLines={1}
+        truncate="END"
+        style={{ fontSize: 11, color: WIDGET_COLORS.muted }}
+      />
+    ))}
+  </FlexWidget>
+);
+
+// ===============================================================================================
+// GESTIONNAIRE DU WIDGET
+// ===============================================================================================
+
+/**
+ * Gestionnaire des actions du widget
+ * L'instantané est relu à chaque rendu pour que "En cours" / "Ensuite" suivent l'heure.
+ * @param {Object} props - { widgetInfo, widgetAction, renderWidget }
+ */
+export async function widgetTaskHandler({ widgetInfo, widgetAction, renderWidget }) {
+  if (widgetInfo.widgetName !== WIDGET_NAME) return;
+
+  switch (widgetAction) {
+    case 'WIDGET_ADDED':
+    case 'WIDGET_UPDATE':
+    case 'WIDGET_RESIZED': {
+      const snapshot = await loadWidgetSnapshot();
+      renderWidget(<NextCoursesWidget {...getWidgetState(snapshot)} />);
+      break;
+    }
+    default:
+      break;
+  }
+}
+
+// Le gestionnaire doit être enregistré au chargement du module (hors composant React)
+if (Platform.OS === 'android') registerWidgetTaskHandler(widgetTaskHandler);
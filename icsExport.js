@@ -0,0 +1,142 @@
+/**
+ * @file Export iCalendar
+ * @author Doodz
+ * @date Novembre 2025
+ * @description Sérialisation des événements filtrés en fichier .ics et partage
+ *
+ * FONCTIONNALITÉS :
+ * - Génération d'un VCALENDAR valide avec ical.js
+ * - Conservation du titre, de la salle, des enseignants, des groupes, des remarques et du type de cours
+ * - Écriture dans un fichier et ouverture de la feuille de partage du système
+ */
+
+import ICAL from 'ical.js';
+import { File, Paths } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+
+// ===============================================================================================
+// CONFIGURATION
+// ===============================================================================================
+
+/** Identifiant du producteur du calendrier (PRODID) */
+const PRODID = '-//Doodz//EDT GEII Tours//FR';
+
+// ===============================================================================================
+// SÉRIALISATION
+// ===============================================================================================
+
+/**
+ * Construit le texte de description d'un événement exporté
+ * @param {Object} event - Événement parsé
+ * @returns {string} Description multi-lignes
+ */
+function buildDescription(event) {
+  const lines = [];
+  if (event.groups && event.groups.length > 0) lines.push(...event.groups);
+  if (event.teachers) lines.push(...event.teachers);
+  else if (event.teacher) lines.push(event.teacher);
+  if (event.notes && event.notes.length > 0) lines.push(...event.notes);
+  if (event.courseType) lines.push(`Type : ${event.courseType}`);
+  return lines.join('\n');
+}
+
+/**
+ * Sérialise des événements en VCALENDAR
+ * @param {Array} events - Événements à exporter
+ * @param {Object} options
+ *   - calendarName: nom affiché du calendrier (X-WR-CALNAME)
+ *   - generatedAt: date de génération (DTSTAMP)
+ *   - refreshIntervalHours: si renseigné, le calendrier est décrit comme un flux
+ *     (LAST-MODIFIED et REFRESH-INTERVAL, RFC 7986)
+ * @returns {string} Contenu du fichier .ics
+ */
+export function buildICS(events, { calendarName = 'EDT GEII', generatedAt = new Date(), refreshIntervalHours = null } = {}) {
+  const calendar = new ICAL.Component(['vcalendar', [], []]);
+  calendar.updatePropertyWithValue('prodid', PRODID);
+  calendar.updatePropertyWithValue('version', '2.0');
+  calendar.updatePropertyWithValue('calscale', 'GREGORIAN');
+  calendar.updatePropertyWithValue('method', 'PUBLISH');
+  calendar.updatePropertyWithValue('x-wr-calname', calendarName);
+
+  const stamp = ICAL.Time.fromJSDate(generatedAt, true);
+
+  if (refreshIntervalHours) {
+    calendar.updatePropertyWithValue('last-modified', stamp);
+    calendar.updatePropertyWithValue('x-wr-caldesc', `Généré le ${generatedAt.toLocaleString('fr-FR')}`);
+
+    const refreshInterval = new ICAL.Property('refresh-interval');
+    refreshInterval.setValue(ICAL.Duration.fromSeconds(refreshIntervalHours * 3600));
+    calendar.addProperty(refreshInterval);
+  }
+
+  events.forEach(event => {
+    const vevent = new ICAL.Component('vevent');
+    const icalEvent = new ICAL.Event(vevent);
+
+    icalEvent.uid = event.uid || `${new Date(event.start).getTime()}-${event.title}@edt-geii`;
+    icalEvent.summary = event.title;
+    icalEvent.location = event.location || '';
+    icalEvent.startDate = ICAL.Time.fromJSDate(new Date(event.start), true);
+    icalEvent.endDate = ICAL.Time.fromJSDate(new Date(event.end), true);
+    icalEvent.description = buildDescription(event);
+
+    vevent.addPropertyWithValue('dtstamp', stamp);
+    if (event.courseType) vevent.addPropertyWithValue('categories', event.courseType);
+
+    calendar.addSubcomponent(vevent);
+  });
+
+  return calendar.toString();
+}
+
+// ===============================================================================================
+// FICHIER ET PARTAGE
+// ===============================================================================================
+
+/**
+ * Nettoie un libellé pour en faire un nom de fichier
+ * @param {string} label - Libellé (ex: "BUT3 AII1")
+ * @returns {string} Nom de fichier sûr (ex: "BUT3_AII1")
+ */
+export function toFileName(label) {
+  return label
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-zA-Z0-9-]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Écrit un calendrier dans un fichier .ics
+ * @param {File} file - Fichier de destination (écrasé s'il existe)
+ * @param {string} content - Contenu .ics
+ * @returns {File} Le fichier écrit
+ */
+export function writeICSFile(file, content) {
+  if (file.exists) file.delete();
+  file.create();
+  file.write(content);
+  return file;
+}
+
+/**
+ * Exporte des événements en .ics et ouvre la feuille de partage
+ * @param {Array} events - Événements à exporter
+ * @param {string} label - Libellé de la sélection (nom du calendrier et du fichier)
+ * @returns {Promise<boolean>} true si le partage a été proposé
+ */
+export async function shareEventsAsICS(events, label) {
+  const content = buildICS(events, { calendarName: `EDT ${label}` });
+  const file = writeICSFile(new File(Paths.cache, `edt_${toFileName(label)}.ics`), content);
+
+  if (!(await Sharing.isAvailableAsync())) {
+    console.log("⛔ Partage indisponible sur cet appareil");
+    return false;
+  }
+
+  await Sharing.shareAsync(file.uri, {
+    mimeType: 'text/calendar',
+    UTI: 'public.calendar-event',
+    dialogTitle: `Exporter l'emploi du temps ${label}`,
+  });
+  return true;
+}
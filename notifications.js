@@ -0,0 +1,495 @@
+/**
+ * @file Notifications locales
+ * @author Doodz
+ * @date Novembre 2025
+ * @description Permissions et planification des rappels de cours
+ *
+ * FONCTIONNALITÉS :
+ * - Création du canal Android et demande de permission
+ * - Planification des rappels avant chaque cours (hors journées banalisées d'ADE)
+ * - Alertes immédiates quand l'emploi du temps suivi est modifié
+ * - Notification permanente "en cours / ensuite" remplacée à chaque transition, même application fermée (Android)
+ * - Planification de la prochaine journée de cours une fois la journée terminée
+ * - Lecture des réglages persistants (utilisable hors de l'interface, ex: tâche de fond)
+ */
+
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import * as Device from 'expo-device';
+
+import { isHolidayEvent } from './calendarData';
+
+// ===============================================================================================
+// CONFIGURATION
+// ===============================================================================================
+
+/** Nombre maximum de rappels planifiés (limite Android/iOS) */
+const MAX_SCHEDULED_REMINDERS = 50;
+
+/** Délai de rappel par défaut : 15 minutes avant */
+const DEFAULT_DELAY = { hours: 0, minutes: 15 };
+
+/** Identifiant de la notification permanente (remplacée à chaque transition) */
+const ONGOING_ID = 'ongoing-now-next';
+
+/** Avance de la notification permanente sur le premier cours de la journée (en minutes) */
+const ONGOING_LEAD_MINUTES = 60;
+
+// ===============================================================================================
+// PERMISSIONS
+// ===============================================================================================
+
+/**
+ * Prépare le canal Android et vérifie la permission de notification
+ * @param {Object} options
+ *   - interactive: si true, demande la permission et alerte en cas de refus
+ * @returns {Promise<boolean>} true si les notifications sont autorisées
+ */
+export async function ensureNotificationPermission({ interactive = true } = {}) {
+  if (Platform.OS === 'android') {
+    await Notifications.setNotificationChannelAsync('default', {
+      name: 'default',
+      importance: Notifications.AndroidImportance.MAX,
+      vibrationPattern: [0, 250, 250, 250],
+      lightColor: '#FF231F7C',
+    });
+  }
+
+  if (!Device.isDevice) return false;
+
+  const { status: existingStatus } = await Notifications.getPermissionsAsync();
+  if (existingStatus === 'granted') return true;
+  if (!interactive) return false;
+
+  const { status } = await Notifications.requestPermissionsAsync();
+  if (status !== 'granted') {
+    alert('Permission de notification refusée !');
+    return false;
+  }
+  return true;
+}
+
+// ===============================================================================================
+// RÉGLAGES
+// ===============================================================================================
+
+/**
+ * Lit les réglages de notification enregistrés
+ * @returns {Promise<Object>} { enabled, delay: { hours, minutes } }
+ */
+export async function loadNotificationSettings() {
+  try {
+    const savedEnabled = await AsyncStorage.getItem('@notif_enabled');
+    const savedDelay = await AsyncStorage.getItem('@notif_delay');
+    return {
+      enabled: savedEnabled ? JSON.parse(savedEnabled) : false,
+      delay: savedDelay ? JSON.parse(savedDelay) : DEFAULT_DELAY,
+    };
+  } catch (error) {
+    console.error('Erreur lecture réglages notifications:', error);
+    return { enabled: false, delay: DEFAULT_DELAY };
+  }
+}
+
+// ===============================================================================================
+// PLANIFICATION
+// ===============================================================================================
+
+/**
+ * Replanifie les rappels pour tous les cours futurs
+ * Toutes les notifications déjà planifiées sont annulées au préalable.
+ * @param {Array} events - Événements de la sélection
+ * @param {Object} delay - Délai avant le cours { hours, minutes }
+ * @param {Object} options
+ *   - interactive: transmis à ensureNotificationPermission
+ * @returns {Promise<number>} Nombre de rappels planifiés
+ */
+export async function scheduleCourseReminders(events, delay, { interactive = true } = {}) {
+  // 1. On annule tout pour repartir propre
+  await cancelCourseReminders();
+
+  const hasPermission = await ensureNotificationPermission({ interactive });
+  if (!hasPermission) return 0;
+
+  const delayInMinutes = (delay.hours * 60) + delay.minutes;
+  const now = new Date();
+  let count = 0;
+
+  for (const event of events) {
+    // Pas de rappel pour les journées banalisées d'ADE (le calendrier scolaire n'est qu'indicatif :
+    // un cours présent dans ADE pendant des vacances supposées a bien lieu)
+    if (isHolidayEvent(event)) continue;
+
+    const triggerDate = new Date(event.start);
+    // On retire le délai (ex: 8h00 - 15min = 7h45)
+    triggerDate.setMinutes(triggerDate.getMinutes() - delayInMinutes);
+
+    // Si la date de notif est dans le futur
+    if (triggerDate > now) {
+      try {
+        await Notifications.scheduleNotificationAsync({
+          content: {
+            title: `Cours dans ${delay.hours > 0 ? delay.hours + 'h' : ''}${delay.minutes}m 🎓`,
+            body: `${event.title} en salle ${event.location || '?'}`,
+            sound: true,
+          },
+          trigger: triggerDate,
+        });
+        count++;
+        // On ne planifie pas 500 notifs, juste les prochaines par sécurité
+        if (count >= MAX_SCHEDULED_REMINDERS) break;
+      } catch (e) {
+        console.error("Erreur planif notif", e);
+      }
+    }
+  }
+  console.log(`🔔 ${count} notifications planifiées`);
+  return count;
+}
+
+/**
+ * Annule les rappels de cours planifiés (la notification permanente est conservée)
+ */
+export async function cancelCourseReminders() {
+  const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+  await Promise.all(scheduled
+    .filter(request => request.identifier !== ONGOING_ID)
+    .map(request => Notifications.cancelScheduledNotificationAsync(request.identifier)));
+}
+
+// ===============================================================================================
+// NOTIFICATION PERMANENTE
+// ===============================================================================================
+
+/** Clé de stockage de l'activation de la notification permanente */
+const ONGOING_KEY = '@ongoing_notif';
+
+/**
+ * Indique si la notification permanente est activée
+ * @returns {Promise<boolean>}
+ */
+export async function loadOngoingSetting() {
+  try {
+    return JSON.parse(await AsyncStorage.getItem(ONGOING_KEY)) === true;
+  } catch (error) {
+    console.error('Erreur lecture notification permanente:', error);
+    return false;
+  }
+}
+
+/**
+ * Active ou désactive la notification permanente
+ * @param {boolean} enabled
+ */
+export async function saveOngoingSetting(enabled) {
+  try {
+    await AsyncStorage.setItem(ONGOING_KEY, JSON.stringify(enabled));
+  } catch (error) {
+    console.error('Erreur sauvegarde notification permanente:', error);
+  }
+}
+
+/**
+ * Cours en cours et cours suivant de la journée, à un instant donné
+ * @param {Array} events - Événements de la sélection
+ * @param {Date} at - Instant considéré
+ * @returns {Object} { current, next } (null si absent)
+ */
+function getNowNext(events, at) {
+  const today = at.toDateString();
+  const todayEvents = events.filter(event => event.start.toDateString() === today && event.end > at);
+  return {
+    current: todayEvents.find(event => event.start <= at) || null,
+    next: todayEvents.find(event => event.start > at) || null,
+  };
+}
+
+/**
+ * Construit le contenu de la notification permanente
+ * @param {Object} state - { current, next } (voir getNowNext)
+ * @returns {Object} { title, body }
+ */
+function describeNowNext({ current, next }) {
+  const padZero = (num) => num < 10 ? `0${num}` : num;
+  const formatTime = (date) => `${padZero(date.getHours())}:${padZero(date.getMinutes())}`;
+
+  const nextLine = next
+    ? `Ensuite : ${next.title} à ${formatTime(next.start)} en salle ${next.location || '?'}`
+    : 'Dernier cours de la journée';
+
+  if (current) {
+    return { title: `🎓 ${current.title} • ${current.location || '?'} (fin à ${formatTime(current.end)})`, body: nextLine };
+  }
+  return { title: `☕ Prochain cours à ${formatTime(next.start)}`, body: nextLine };
+}
+
+/**
+ * Texte du message de fin de journée : premier cours de la prochaine journée de cours
+ * @param {Object|null} firstCourse - Voir getNextFirstCourse
+ * @returns {string}
+ */
+function describeNextCourseDay(firstCourse) {
+  if (!firstCourse) return 'Aucun cours à venir';
+  const padZero = (num) => num < 10 ? `0${num}` : num;
+  const day = firstCourse.start.toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long' });
+  return `Prochain cours ${day} à ${padZero(firstCourse.start.getHours())}:${padZero(firstCourse.start.getMinutes())} : ${firstCourse.title}`;
+}
+
+/**
+ * Premier cours de la prochaine journée de cours commençant après un instant donné
+ * @param {Array} events - Événements de la sélection (triés par début)
+ * @param {Date} after - Instant de référence
+ * @returns {Object|null} Événement (null si aucun cours à venir)
+ */
+function getNextFirstCourse(events, after) {
+  let previousDay = null;
+  for (const event of events) {
+    const day = event.start.toDateString();
+    if (day !== previousDay && event.start > after) return event;
+    previousDay = day;
+  }
+  return null;
+}
+
+/**
+ * Découpe le reste de la journée en tranches de même contenu "en cours / ensuite"
+ * La première tranche commence ONGOING_LEAD_MINUTES avant le premier cours ; une tranche
+ * s'arrête au début ou à la fin d'un cours ; la dernière se termine avec le dernier cours.
+ * @param {Array} events - Événements de la sélection
+ * @param {Date} now - Instant de départ
+ * @returns {Array<Object>} Tranches { start, end, state } (vide hors de la journée de cours)
+ */
+function getOngoingSlices(events, now) {
+  const today = now.toDateString();
+  const firstCourse = events.find(event => event.start.toDateString() === today);
+  if (!firstCourse || now.getTime() < firstCourse.start.getTime() - ONGOING_LEAD_MINUTES * 60000) return [];
+
+  const boundaries = [...new Set(events
+    .filter(event => event.start.toDateString() === today)
+    .flatMap(event => [event.start.getTime(), event.end.getTime()])
+    .filter(time => time > now.getTime()))]
+    .sort((a, b) => a - b);
+
+  const slices = [];
+  let sliceStart = now.getTime();
+  for (const boundary of boundaries) {
+    const state = getNowNext(events, new Date(sliceStart));
+    if (state.current || state.next) slices.push({ start: sliceStart, end: boundary, state });
+    sliceStart = boundary;
+  }
+  return slices;
+}
+
+/** Réglages Android communs : canal silencieux, notification non balayable */
+const ongoingContent = (content) => ({ ...content, sticky: true, autoDismiss: false, sound: false });
+
+/**
+ * Affiche ou met à jour la notification permanente "en cours / ensuite" (Android)
+ * La tranche en cours remplace la notification affichée sous le même identifiant. La transition
+ * suivante est planifiée (déclencheur à date) sous ce même identifiant : elle remplace la
+ * notification même application fermée. Une seule demande peut être en attente par identifiant,
+ * la suivante est donc planifiée à chaque mise à jour. Après le dernier cours, la notification
+ * est remplacée par un message de fin de journée (avec le prochain cours) que l'on peut balayer ;
+ * la mise à jour suivante la retire et planifie le début de la prochaine journée de cours.
+ * Les journées banalisées d'ADE sont ignorées.
+ * @param {Array} events - Événements de la sélection
+ * @returns {Promise<Date|null>} Prochaine transition (null si aucun cours à venir)
+ */
+export async function updateOngoingNotification(events) {
+  if (Platform.OS !== 'android') return null;
+
+  try {
+    await Notifications.cancelScheduledNotificationAsync(ONGOING_ID);
+
+    const now = new Date();
+    const courses = events.filter(event => !isHolidayEvent(event));
+    const [slice, following] = getOngoingSlices(courses, now);
+
+    if (!slice) {
+      await Notifications.dismissNotificationAsync(ONGOING_ID);
+    }
+
+    // Hors de la journée de cours : seule l'apparition avant le prochain premier cours est planifiée
+    const firstCourse = slice ? null : getNextFirstCourse(courses, now);
+    if (!slice && !firstCourse) return null;
+
+    const hasPermission = await ensureNotificationPermission({ interactive: false });
+    if (!hasPermission) return null;
+
+    await Notifications.setNotificationChannelAsync('ongoing', {
+      name: 'Cours en cours',
+      importance: Notifications.AndroidImportance.LOW,
+    });
+
+    if (firstCourse) {
+      const dayStart = new Date(firstCourse.start.getTime() - ONGOING_LEAD_MINUTES * 60000);
+      await Notifications.scheduleNotificationAsync({
+        identifier: ONGOING_ID,
+        content: ongoingContent(describeNowNext(getNowNext(courses, dayStart))),
+        trigger: { type: Notifications.SchedulableTriggerInputTypes.DATE, date: dayStart, channelId: 'ongoing' },
+      });
+      return dayStart;
+    }
+
+    await Notifications.scheduleNotificationAsync({
+      identifier: ONGOING_ID,
+      content: ongoingContent(describeNowNext(slice.state)),
+      trigger: { channelId: 'ongoing' },
+    });
+
+    const boundary = new Date(slice.end);
+    await Notifications.scheduleNotificationAsync({
+      identifier: ONGOING_ID,
+      content: following
+        ? ongoingContent(describeNowNext(following.state))
+        : { title: '✅ Fin des cours de la journée', body: describeNextCourseDay(getNextFirstCourse(courses, boundary)), sound: false },
+      trigger: { type: Notifications.SchedulableTriggerInputTypes.DATE, date: boundary, channelId: 'ongoing' },
+    });
+
+    return boundary;
+  } catch (error) {
+    console.error('Erreur notification permanente:', error);
+    return null;
+  }
+}
+
+/**
+ * Retire la notification permanente et sa prochaine mise à jour
+ */
+export async function clearOngoingNotification() {
+  if (Platform.OS !== 'android') return;
+
+  try {
+    await Notifications.cancelScheduledNotificationAsync(ONGOING_ID);
+    await Notifications.dismissNotificationAsync(ONGOING_ID);
+  } catch (error) {
+    console.error('Erreur suppression notification permanente:', error);
+  }
+}
+
+// ===============================================================================================
+// ALERTES DE MODIFICATION
+// ===============================================================================================
+
+/** Clé de stockage des réglages d'alerte de modification */
+const CHANGE_ALERTS_KEY = '@change_alerts';
+
+/** Au-delà de ce nombre de modifications, une seule notification récapitulative est envoyée */
+const MAX_DETAILED_CHANGE_NOTIFICATIONS = 3;
+
+/** Réglages par défaut : alertes pour la sélection actuelle uniquement */
+export const DEFAULT_CHANGE_ALERTS = { current: true, favorites: {} };
+
+/**
+ * Retourne la clé d'une sélection (Étudiant, Enseignant, Salle) dans les réglages d'alerte
+ * @param {string} type - 'student', 'teacher' ou 'room'
+ * @param {Object|string} value - Critères de la sélection
+ * @returns {string} Clé unique
+ */
+export function getChangeAlertKey(type, value) {
+  return `${type}:${JSON.stringify(value)}`;
+}
+
+/**
+ * Lit les réglages d'alerte de modification
+ * @returns {Promise<Object>} { current: boolean, favorites: { [clé]: boolean } }
+ */
+export async function loadChangeAlertSettings() {
+  try {
+    const stored = await AsyncStorage.getItem(CHANGE_ALERTS_KEY);
+    return stored ? { ...DEFAULT_CHANGE_ALERTS, ...JSON.parse(stored) } : DEFAULT_CHANGE_ALERTS;
+  } catch (error) {
+    console.error('Erreur lecture alertes modification:', error);
+    return DEFAULT_CHANGE_ALERTS;
+  }
+}
+
+/**
+ * Enregistre les réglages d'alerte de modification
+ * @param {Object} settings - { current, favorites }
+ */
+export async function saveChangeAlertSettings(settings) {
+  try {
+    await AsyncStorage.setItem(CHANGE_ALERTS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error('Erreur sauvegarde alertes modification:', error);
+  }
+}
+
+/**
+ * Construit le titre et le texte d'une notification pour une modification
+ * @param {Object} change - Modification issue de diffEvents
+ * @param {string} label - Libellé de la sélection concernée
+ * @returns {Object} { title, body }
+ */
+function describeChange(change, label) {
+  const padZero = (num) => num < 10 ? `0${num}` : num;
+  const formatSlot = (event) => {
+    const day = event.start.toLocaleDateString('fr-FR', { weekday: 'short', day: '2-digit', month: '2-digit' });
+    return `${day} ${padZero(event.start.getHours())}:${padZero(event.start.getMinutes())}`;
+  };
+  const event = change.after || change.before;
+
+  if (change.type === 'added') {
+    return { title: `➕ Nouveau cours (${label})`, body: `${event.title} • ${formatSlot(event)} • ${event.location}` };
+  }
+  if (change.type === 'removed') {
+    return { title: `❌ Cours annulé (${label})`, body: `${event.title} • ${formatSlot(event)}` };
+  }
+
+  const parts = [];
+  if (change.fields.includes('time')) parts.push(`${formatSlot(change.before)} → ${formatSlot(change.after)}`);
+  if (change.fields.includes('location')) parts.push(`${change.before.location} → ${change.after.location}`);
+
+  return {
+    title: change.fields.includes('time') ? `🕒 Cours déplacé (${label})` : `📍 Changement de salle (${label})`,
+    body: `${event.title} : ${parts.join(' • ')}`,
+  };
+}
+
+/**
+ * Envoie immédiatement les notifications de modification de l'emploi du temps
+ * Une notification par modification, ou un récapitulatif si elles sont trop nombreuses.
+ * @param {Array} groups - [{ label, changes }] modifications regroupées par sélection suivie
+ * @returns {Promise<number>} Nombre de notifications envoyées
+ */
+export async function notifyTimetableChanges(groups) {
+  const total = groups.reduce((sum, group) => sum + group.changes.length, 0);
+  if (total === 0) return 0;
+
+  const hasPermission = await ensureNotificationPermission({ interactive: false });
+  if (!hasPermission) return 0;
+
+  const notifications = [];
+
+  if (total > MAX_DETAILED_CHANGE_NOTIFICATIONS) {
+    const lines = groups.map(({ label, changes }) => {
+      const count = (type) => changes.filter(c => c.type === type).length;
+      const details = [
+        count('added') > 0 && `${count('added')} ajouté(s)`,
+        count('removed') > 0 && `${count('removed')} annulé(s)`,
+        count('modified') > 0 && `${count('modified')} modifié(s)`,
+      ].filter(Boolean).join(', ');
+      return `${label} : ${details}`;
+    });
+    notifications.push({ title: `📝 ${total} modifications de l'emploi du temps`, body: lines.join('\n') });
+  } else {
+    groups.forEach(({ label, changes }) => {
+      changes.forEach(change => notifications.push(describeChange(change, label)));
+    });
+  }
+
+  for (const content of notifications) {
+    try {
+      await Notifications.scheduleNotificationAsync({
+        content: { ...content, sound: true },
+        trigger: null,
+      });
+    } catch (e) {
+      console.error("Erreur notif modification", e);
+    }
+  }
+  console.log(`📣 ${notifications.length} notification(s) de modification envoyée(s)`);
+  return notifications.length;
+}
@@ -0,0 +1,174 @@
+/**
+ * @file Disponibilité des salles
+ * @author Doodz
+ * @date Novembre 2025
+ * @description Calcul des créneaux d'occupation des salles à partir du calendrier global
+ *
+ * FONCTIONNALITÉS :
+ * - Découpage des salles multiples d'un événement ("GR W 001, GR W 002")
+ * - Planning d'occupation par salle (créneaux triés et fusionnés)
+ * - Recherche des salles libres sur une fenêtre quelconque (jour, début, durée)
+ * - Prochaine occupation et durée de disponibilité de chaque salle libre
+ * - Taux d'occupation par créneau (carte de chaleur par étage)
+ */
+
+// ===============================================================================================
+// CONFIGURATION
+// ===============================================================================================
+
+/** Heure de fin de journée (au-delà, une salle est considérée libre jusqu'au lendemain) */
+export const DAY_END_HOUR = 19;
+
+/** Fenêtre "Tout l'après-midi" : 13h30 -> fin de journée */
+export const AFTERNOON_START = { hours: 13, minutes: 30 };
+
+// ===============================================================================================
+// PLANNING DES SALLES
+// ===============================================================================================
+
+/**
+ * Sépare les salles d'un événement (une salle par entrée)
+ * @param {string} location - Champ LOCATION de l'événement
+ * @returns {Array<string>} Noms de salles nettoyés
+ */
+export function splitLocations(location) {
+  if (!location) return [];
+  return location.split(',').map(l => l.trim()).filter(Boolean);
+}
+
+/**
+ * Fusionne des créneaux qui se chevauchent ou se touchent
+ * @param {Array} slots - [{ start, end }] (Date)
+ * @returns {Array} Créneaux fusionnés, triés par début
+ */
+export function mergeSlots(slots) {
+  const sorted = [...slots].sort((a, b) => a.start - b.start);
+  const merged = [];
+  sorted.forEach(slot => {
+    const last = merged[merged.length - 1];
+    if (last && slot.start <= last.end) {
+      if (slot.end > last.end) last.end = slot.end;
+    } else {
+      merged.push({ ...slot });
+    }
+  });
+  return merged;
+}
+
+/**
+ * Construit le planning d'occupation de chaque salle
+ * Les créneaux qui se chevauchent ou se touchent sont fusionnés.
+ * @param {Array} allEvents - Calendrier global
+ * @returns {Map<string, Array>} salle -> [{ start, end }] triés par début
+ */
+export function buildRoomSchedule(allEvents) {
+  const schedule = new Map();
+
+  allEvents.forEach(event => {
+    splitLocations(event.location).forEach(room => {
+      if (!schedule.has(room)) schedule.set(room, []);
+      schedule.get(room).push({ start: new Date(event.start), end: new Date(event.end) });
+    });
+  });
+
+  schedule.forEach((slots, room) => schedule.set(room, mergeSlots(slots)));
+
+  return schedule;
+}
+
+// ===============================================================================================
+// RECHERCHE DE SALLES LIBRES
+// ===============================================================================================
+
+/**
+ * Recherche les salles libres pendant toute une fenêtre
+ * @param {Array} allEvents - Calendrier global
+ * @param {Array<string>} rooms - Salles candidates (ex: availableRooms)
+ * @param {Date} windowStart - Début de la fenêtre
+ * @param {Date} windowEnd - Fin de la fenêtre
+ * @returns {Array} [{ room, nextBusyAt, freeMinutes }]
+ *   - nextBusyAt: début de la prochaine occupation le même jour (null si libre jusqu'au soir)
+ *   - freeMinutes: durée de disponibilité à partir du début de la fenêtre
+ */
+export function findFreeRooms(allEvents, rooms, windowStart, windowEnd) {
+  const schedule = buildRoomSchedule(allEvents);
+
+  const dayEnd = new Date(windowStart);
+  dayEnd.setHours(DAY_END_HOUR, 0, 0, 0);
+  const horizon = windowEnd > dayEnd ? windowEnd : dayEnd;
+
+  const results = [];
+  rooms.forEach(room => {
+    const slots = schedule.get(room) || [];
+
+    // Occupée pendant la fenêtre : écartée
+    if (slots.some(slot => slot.start < windowEnd && slot.end > windowStart)) return;
+
+    const next = slots.find(slot => slot.start >= windowEnd && slot.start < horizon);
+    const freeUntil = next ? next.start : horizon;
+
+    results.push({
+      room,
+      nextBusyAt: next ? next.start : null,
+      freeMinutes: Math.round((freeUntil - windowStart) / 60000),
+    });
+  });
+
+  return results;
+}
+
+// ===============================================================================================
+// OCCUPATION (CARTE DE CHALEUR)
+// ===============================================================================================
+
+/**
+ * Calcule le taux d'occupation de chaque salle par créneau sur une journée
+ * @param {Array} allEvents - Calendrier global
+ * @param {Array<string>} rooms - Salles à analyser
+ * @param {Date} day - Jour analysé
+ * @param {Object} options
+ *   - startHour / endHour: bornes de la journée (8h -> DAY_END_HOUR par défaut)
+ *   - slotMinutes: durée d'un créneau (30 min par défaut)
+ * @returns {Object} { slots, rows }
+ *   - slots: débuts de créneaux (Date)
+ *   - rows: { [salle]: taux d'occupation par créneau (0 à 1) }
+ */
+export function computeRoomOccupancy(allEvents, rooms, day, { startHour = 8, endHour = DAY_END_HOUR, slotMinutes = 30 } = {}) {
+  const dayStart = new Date(day);
+  dayStart.setHours(startHour, 0, 0, 0);
+  const slotCount = Math.round(((endHour - startHour) * 60) / slotMinutes);
+  const slotMs = slotMinutes * 60000;
+  const slots = Array.from({ length: slotCount }, (_, i) => new Date(dayStart.getTime() + i * slotMs));
+  const dayEnd = new Date(dayStart.getTime() + slotCount * slotMs);
+
+  // On ne garde que les événements de la journée avant de construire le planning
+  const dayEvents = allEvents.filter(event => new Date(event.start) < dayEnd && new Date(event.end) > dayStart);
+  const schedule = buildRoomSchedule(dayEvents);
+
+  const rows = {};
+  rooms.forEach(room => {
+    const busy = schedule.get(room) || [];
+    rows[room] = slots.map(slotStart => {
+      const slotEnd = slotStart.getTime() + slotMs;
+      const occupied = busy.reduce((sum, slot) => {
+        const overlap = Math.min(slot.end.getTime(), slotEnd) - Math.max(slot.start.getTime(), slotStart.getTime());
+        return overlap > 0 ? sum + overlap : sum;
+      }, 0);
+      return Math.min(occupied / slotMs, 1);
+    });
+  });
+
+  return { slots, rows };
+}
+
+/**
+ * Taux d'occupation moyen d'un ensemble de salles (ex: un étage) sur la journée
+ * @param {Object} rows - Lignes issues de computeRoomOccupancy
+ * @param {Array<string>} rooms - Salles concernées
+ * @returns {number} Taux entre 0 et 1
+ */
+export function getAverageOccupancy(rows, rooms) {
+  const values = rooms.flatMap(room => rows[room] || []);
+  if (values.length === 0) return 0;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
@@ -0,0 +1,318 @@
+/**
+ * @file Calendrier scolaire
+ * @author Doodz
+ * @date Novembre 2025
+ * @description Vacances, jours fériés et semestres de l'année universitaire
+ *
+ * FONCTIONNALITÉS :
+ * - Calendriers décrits en données (vacances, semestres), un par année universitaire
+ * - Import d'un calendrier (JSON) pour une nouvelle année sans nouvelle version de l'application
+ * - Validation stricte avant installation
+ * - Année sans calendrier signalée (aucune vacance supposée)
+ * - Jours fériés français calculés (dont Pâques, Ascension, Pentecôte)
+ * - Informations d'un jour (vacances, férié) et d'une semaine (entièrement chômée ou non)
+ * - Semestre en cours selon la promotion (S1 à S6)
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { getDayKey } from './eventStore';
+
+// ===============================================================================================
+// CONFIGURATION
+// ===============================================================================================
+
+/** Clé de stockage des calendriers importés ({ "2026-2027": calendrier }) */
+const SCHOOL_CALENDARS_KEY = '@school_calendars';
+
+/** Mois de rentrée (septembre) : une date antérieure appartient à l'année universitaire précédente */
+const SCHOOL_YEAR_START_MONTH = 8;
+
+/**
+ * Calendriers embarqués, par année universitaire (dates incluses, "AAAA-MM-JJ")
+ * - year: année universitaire ("2025-2026")
+ * - holidays: périodes de vacances (calquées sur la zone B, à ajuster au calendrier de l'IUT)
+ * - terms: semestres impairs (1) puis pairs (2), communs à toutes les promotions
+ */
+const EMBEDDED_CALENDARS = {
+  '2025-2026': {
+    year: '2025-2026',
+    holidays: [
+      { key: 'toussaint', label: 'Vacances de la Toussaint', start: '2025-10-18', end: '2025-11-02' },
+      { key: 'noel', label: 'Vacances de Noël', start: '2025-12-20', end: '2026-01-04' },
+      { key: 'hiver', label: "Vacances d'hiver", start: '2026-02-14', end: '2026-03-01' },
+      { key: 'printemps', label: 'Vacances de printemps', start: '2026-04-11', end: '2026-04-26' },
+      { key: 'ete', label: "Vacances d'été", start: '2026-07-04', end: '2026-08-31' },
+    ],
+    terms: [
+      { term: 1, start: '2025-09-01', end: '2026-01-18' },
+      { term: 2, start: '2026-01-19', end: '2026-07-03' },
+    ],
+  },
+};
+
+/** Calendriers disponibles (embarqués, complétés ou remplacés par les calendriers importés) */
+let calendars = { ...EMBEDDED_CALENDARS };
+
+/** Semestres de chaque promotion (semestre impair, semestre pair) */
+const YEAR_SEMESTERS = {
+  BUT1: ['S1', 'S2'],
+  BUT2: ['S3', 'S4'],
+  BUT3: ['S5', 'S6'],
+};
+
+/** Jours fériés déjà calculés, par année */
+const publicHolidaysCache = new Map();
+
+// ===============================================================================================
+// VALIDATION ET CHARGEMENT
+// ===============================================================================================
+
+/**
+ * Vérifie la structure d'un calendrier scolaire
+ * @param {Object} calendar - Calendrier à valider
+ * @returns {Array<string>} Liste des erreurs (vide si le calendrier est valide)
+ */
+export function validateSchoolCalendar(calendar) {
+  const errors = [];
+  const isDay = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+  if (!calendar || typeof calendar !== 'object') return ['Le calendrier doit être un objet JSON'];
+  if (typeof calendar.year !== 'string' || !/^\d{4}-\d{4}$/.test(calendar.year)) errors.push('"year" doit valoir "AAAA-AAAA"');
+
+  const checkPeriods = (name, periods, checkEntry) => {
+    if (!Array.isArray(periods)) {
+      errors.push(`"${name}" doit être une liste`);
+      return;
+    }
+    periods.forEach((period, index) => {
+      const where = `${name}[${index}]`;
+      if (!isDay(period.start) || !isDay(period.end)) errors.push(`${where} : "start" / "end" doivent valoir "AAAA-MM-JJ"`);
+      else if (period.start > period.end) errors.push(`${where} : "start" après "end"`);
+      checkEntry(period, where);
+    });
+  };
+
+  checkPeriods('holidays', calendar.holidays, (period, where) => {
+    if (typeof period.key !== 'string' || period.key.trim() === '') errors.push(`${where} : "key" manquante`);
+    if (typeof period.label !== 'string' || period.label.trim() === '') errors.push(`${where} : "label" manquant`);
+  });
+  checkPeriods('terms', calendar.terms, (period, where) => {
+    if (period.term !== 1 && period.term !== 2) errors.push(`${where} : "term" doit valoir 1 ou 2`);
+  });
+
+  return errors;
+}
+
+/**
+ * Charge les calendriers importés (en plus des calendriers embarqués)
+ * @returns {Promise<Array<string>>} Années universitaires disponibles
+ */
+export async function loadSchoolCalendars() {
+  calendars = { ...EMBEDDED_CALENDARS };
+  try {
+    const stored = JSON.parse(await AsyncStorage.getItem(SCHOOL_CALENDARS_KEY)) || {};
+    Object.values(stored).forEach(calendar => {
+      const errors = validateSchoolCalendar(calendar);
+      if (errors.length === 0) calendars[calendar.year] = calendar;
+      else console.error('Calendrier scolaire enregistré invalide, ignoré:', errors);
+    });
+  } catch (error) {
+    console.error('Erreur lecture calendriers scolaires:', error);
+  }
+  return getSchoolCalendarYears();
+}
+
+/**
+ * Valide puis installe le calendrier d'une année universitaire (remplace celui de la même année)
+ * @param {Object|string} data - Calendrier (objet ou texte JSON)
+ * @returns {Promise<Object>} Calendrier installé
+ * @throws {Error} Si le JSON est illisible ou le calendrier invalide (message détaillé)
+ */
+export async function installSchoolCalendar(data) {
+  let calendar = data;
+  if (typeof data === 'string') {
+    try {
+      calendar = JSON.parse(data);
+    } catch (error) {
+      throw new Error(`JSON illisible : ${error.message}`);
+    }
+  }
+
+  const errors = validateSchoolCalendar(calendar);
+  if (errors.length > 0) {
+    throw new Error(`Calendrier invalide :\n${errors.slice(0, 10).join('\n')}`);
+  }
+
+  const stored = JSON.parse(await AsyncStorage.getItem(SCHOOL_CALENDARS_KEY)) || {};
+  stored[calendar.year] = calendar;
+  await AsyncStorage.setItem(SCHOOL_CALENDARS_KEY, JSON.stringify(stored));
+  calendars[calendar.year] = calendar;
+  console.log(`🌴 Calendrier scolaire ${calendar.year} installé`);
+  return calendar;
+}
+
+/**
+ * Supprime les calendriers importés (retour aux calendriers embarqués)
+ * @returns {Promise<Array<string>>} Années universitaires disponibles
+ */
+export async function resetSchoolCalendars() {
+  await AsyncStorage.removeItem(SCHOOL_CALENDARS_KEY);
+  calendars = { ...EMBEDDED_CALENDARS };
+  return getSchoolCalendarYears();
+}
+
+// ===============================================================================================
+// JOURS FÉRIÉS
+// ===============================================================================================
+
+/**
+ * Calcule la date de Pâques (algorithme de Meeus / Jones / Butcher)
+ * @param {number} year - Année
+ * @returns {Date} Dimanche de Pâques
+ */
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Retourne les jours fériés d'une année
+ * @param {number} year - Année
+ * @returns {Object} { "AAAA-MM-JJ": libellé }
+ */
+export function getPublicHolidays(year) {
+  if (publicHolidaysCache.has(year)) return publicHolidaysCache.get(year);
+
+  const easter = getEasterSunday(year);
+  const afterEaster = (days) => new Date(year, easter.getMonth(), easter.getDate() + days);
+
+  const holidays = {
+    [getDayKey(new Date(year, 0, 1))]: "Jour de l'an",
+    [getDayKey(afterEaster(1))]: 'Lundi de Pâques',
+    [getDayKey(new Date(year, 4, 1))]: 'Fête du Travail',
+    [getDayKey(new Date(year, 4, 8))]: 'Victoire 1945',
+    [getDayKey(afterEaster(39))]: 'Ascension',
+    [getDayKey(afterEaster(50))]: 'Lundi de Pentecôte',
+    [getDayKey(new Date(year, 6, 14))]: 'Fête nationale',
+    [getDayKey(new Date(year, 7, 15))]: 'Assomption',
+    [getDayKey(new Date(year, 10, 1))]: 'Toussaint',
+    [getDayKey(new Date(year, 10, 11))]: 'Armistice',
+    [getDayKey(new Date(year, 11, 25))]: 'Noël',
+  };
+  publicHolidaysCache.set(year, holidays);
+  return holidays;
+}
+
+// ===============================================================================================
+// ACCÈS
+// ===============================================================================================
+
+/**
+ * Retourne l'année universitaire d'une date
+ * @param {Date} date - Date recherchée
+ * @returns {string} Année universitaire (ex: "2025-2026")
+ */
+export function getSchoolYear(date) {
+  const startYear = date.getMonth() >= SCHOOL_YEAR_START_MONTH ? date.getFullYear() : date.getFullYear() - 1;
+  return `${startYear}-${startYear + 1}`;
+}
+
+/**
+ * Retourne les années universitaires disponibles
+ * @returns {Array<string>} Années triées (ex: ["2025-2026", "2026-2027"])
+ */
+export function getSchoolCalendarYears() {
+  return Object.keys(calendars).sort();
+}
+
+/**
+ * Retourne le calendrier de l'année universitaire d'une date
+ * @param {Date} date - Date recherchée
+ * @returns {Object|null} Calendrier, ou null si l'année n'est pas connue (aucune vacance supposée)
+ */
+export function getSchoolCalendar(date) {
+  return calendars[getSchoolYear(date)] || null;
+}
+
+/**
+ * Informations du calendrier scolaire pour un jour
+ * Les jours fériés sont toujours connus ; les vacances ne le sont que si l'année a un calendrier.
+ * @param {Date} date - Jour recherché
+ * @returns {Object} { holiday, publicHoliday, off }
+ *   - holiday: période de vacances ({ key, label }) ou null
+ *   - publicHoliday: libellé du jour férié ou null
+ *   - off: jour sans cours prévu (vacances, férié ou week-end)
+ */
+export function getDayInfo(date) {
+  const key = getDayKey(date);
+  const calendar = getSchoolCalendar(date);
+  const holiday = calendar?.holidays.find(period => key >= period.start && key <= period.end) || null;
+  const publicHoliday = getPublicHolidays(date.getFullYear())[key] || null;
+  const weekend = date.getDay() === 0 || date.getDay() === 6;
+  return { holiday, publicHoliday, off: !!holiday || !!publicHoliday || weekend };
+}
+
+/**
+ * Indique si aucun cours n'est prévu du lundi au vendredi d'une semaine
+ * @param {Date} monday - Lundi de la semaine
+ * @returns {boolean}
+ */
+export function isHolidayWeek(monday) {
+  return Array.from({ length: 5 }, (_, i) => new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + i))
+    .every(day => getDayInfo(day).off);
+}
+
+/**
+ * Retourne les périodes de vacances qui chevauchent un intervalle
+ * @param {Date} start - Premier jour
+ * @param {Date} end - Dernier jour (inclus)
+ * @returns {Array<Object>} Périodes { key, label, start, end }
+ */
+export function getHolidaysBetween(start, end) {
+  const startKey = getDayKey(start);
+  const endKey = getDayKey(end);
+  const periods = [getSchoolCalendar(start), getSchoolCalendar(end)]
+    .filter((calendar, index, list) => calendar && list.indexOf(calendar) === index)
+    .flatMap(calendar => calendar.holidays);
+  return periods.filter(period => period.start <= endKey && period.end >= startKey);
+}
+
+/**
+ * Retourne les années universitaires d'un intervalle qui n'ont pas de calendrier
+ * @param {Date} start - Premier jour
+ * @param {Date} end - Dernier jour (inclus)
+ * @returns {Array<string>} Années manquantes (ex: ["2026-2027"])
+ */
+export function getMissingSchoolYears(start, end) {
+  return [...new Set([getSchoolYear(start), getSchoolYear(end)])].filter(year => !calendars[year]);
+}
+
+/**
+ * Retourne le semestre en cours à une date
+ * @param {Date} date - Date recherchée
+ * @param {string} yearKey - Promotion (ex: "BUT2"), facultative
+ * @returns {string|null} "S3" pour une promotion connue, "S1 / S3 / S5" sinon, null hors semestre
+ */
+export function getSemesterLabel(date, yearKey) {
+  const key = getDayKey(date);
+  const current = getSchoolCalendar(date)?.terms.find(term => key >= term.start && key <= term.end);
+  if (!current) return null;
+
+  const semesters = YEAR_SEMESTERS[yearKey];
+  if (semesters) return semesters[current.term - 1];
+  return Object.values(YEAR_SEMESTERS).map(pair => pair[current.term - 1]).join(' / ');
+}